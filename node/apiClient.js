@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const APIClient = require('../shared/apiClient');
+const { providerCreator } = require('../shared/jimpleFns');
+const { deepAssign } = require('../shared/deepAssign');
+/**
+ * @module node/apiClient
+ */
+
+/**
+ * @typedef {import('./appConfiguration').AppConfiguration} AppConfiguration
+ * @typedef {import('../shared/jimpleFns').Jimple} Jimple
+ */
+
+/**
+ * @typedef {import('../shared/jimpleFns').ProviderCreator<O>} ProviderCreator
+ * @template O
+ */
+
+/**
+ * @typedef {import('../shared/apiClient').APIClientEndpoints} APIClientEndpoints
+ * @typedef {import('../shared/apiClient').APIClientFetchClient} APIClientFetchClient
+ * @typedef {import('../shared/apiClient').APIClientOptions} APIClientOptions
+ */
+
+/**
+ * @typedef {import('../shared/apiClient').APIClientIdempotencyOption} APIClientIdempotencyOption
+ * @prettierignore
+ */
+
+/**
+ * @typedef {Object} APIClientServiceMap
+ * @property {string | AppConfiguration} [appConfiguration]
+ * The name of the service for {@link AppConfiguration} or an instance of it. It's only
+ * used when there's a `settingPath`. `appConfiguration` by default.
+ * @property {string | APIClientFetchClient} [fetchClient]
+ * The name of the service for the fetch client the {@link APIClient} will use, or the
+ * function itself. `fetchClient` by default.
+ * @parent module:node/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientProviderClientOptions
+ * @property {string} [settingPath]
+ * The path to a setting on the {@link AppConfiguration} service with the `url`,
+ * `endpoints`, `defaultHeaders` and `options` for the client. The values of the setting
+ * are merged on top of the ones sent to the provider.
+ * @property {string} [url]
+ * The API entry point.
+ * @property {APIClientEndpoints} [endpoints]
+ * A dictionary of named endpoints relative to the API entry point.
+ * @property {Object.<string, string>} [defaultHeaders]
+ * A dictionary of default headers to include on every request.
+ * @property {Partial<APIClientOptions>} [options]
+ * The customization options for the client.
+ * @property {APIClientServiceMap} [services]
+ * A dictionary with the services that need to be injected on the client.
+ * @parent module:node/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientProviderOptionsProperties
+ * @property {string} [serviceName]
+ * The name that will be used to register the instance of {@link APIClient}. Its default
+ * value is `apiClient`.
+ * @property {Object.<string, Partial<APIClientProviderClientOptions>>} [clients]
+ * A dictionary of clients to register, using their service names as keys. When used, the
+ * rest of the options are the base for all the clients, and `serviceName` is ignored.
+ * @parent module:node/apiClient
+ */
+
+/**
+ * @typedef {APIClientProviderClientOptions & APIClientProviderOptionsProperties} APIClientProviderOptions
+ * @parent module:node/apiClient
+ * @prettierignore
+ */
+
+/**
+ * Generates a random UUID (v4) to be used as an idempotency key, using Node's `crypto`
+ * module.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const generateIdempotencyKey = () => {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  const bytes = crypto.randomBytes(16);
+  // Set the version (4) and the variant (10xx) of the UUID.
+  bytes[6] = 0x40 + (bytes[6] % 0x10);
+  bytes[8] = 0x80 + (bytes[8] % 0x40);
+  const hex = bytes.toString('hex');
+  return [
+    hex.substr(0, 8),
+    hex.substr(8, 4),
+    hex.substr(12, 4),
+    hex.substr(16, 4),
+    hex.substr(20),
+  ].join('-');
+};
+
+/**
+ * Adds the generator that uses Node's `crypto` module to the value of an `idempotency`
+ * option, unless it already has one.
+ *
+ * @param {APIClientIdempotencyOption | undefined} value
+ * The value of the option.
+ * @returns {APIClientIdempotencyOption}
+ * @ignore
+ */
+const addIdempotencyGenerator = (value) => {
+  if (value && typeof value === 'object') {
+    return value.generator ? value : { ...value, generator: generateIdempotencyKey };
+  }
+
+  return { enabled: value === true, generator: generateIdempotencyKey };
+};
+
+/**
+ * Registers a service for an {@link APIClient} on the container.
+ *
+ * @param {Jimple} app
+ * The container.
+ * @param {string} serviceName
+ * The name of the service.
+ * @param {Partial<APIClientProviderClientOptions>} options
+ * The options to create the client.
+ * @ignore
+ */
+const registerAPIClient = (app, serviceName, options) => {
+  app.set(serviceName, () => {
+    /**
+     * @type {APIClientProviderClientOptions}
+     * @ignore
+     */
+    const useOptions = deepAssign(
+      {
+        settingPath: '',
+        url: '',
+        endpoints: {},
+        defaultHeaders: {},
+        options: {},
+        services: {
+          appConfiguration: 'appConfiguration',
+          fetchClient: 'fetchClient',
+        },
+      },
+      options,
+    );
+
+    /**
+     * Gets a service from the container if the value is its name.
+     *
+     * @param {*} value  The name of the service or the service itself.
+     * @returns {*}
+     * @ignore
+     */
+    const getService = (value) => (typeof value === 'string' ? app.get(value) : value);
+
+    let settings = useOptions;
+    if (useOptions.settingPath) {
+      const appConfiguration = getService(useOptions.services.appConfiguration);
+      settings = deepAssign(
+        useOptions,
+        appConfiguration.get(useOptions.settingPath) || {},
+      );
+    }
+
+    return new APIClient(
+      settings.url,
+      settings.endpoints,
+      getService(settings.services.fetchClient),
+      settings.defaultHeaders,
+      {
+        ...settings.options,
+        idempotency: addIdempotencyGenerator(settings.options.idempotency),
+      },
+    );
+  });
+};
+
+/**
+ * The service provider that once registered on the app container will set an instance of
+ * {@link APIClient} as a service, or a service for each client on the `clients`
+ * option.
+ *
+ * @type {ProviderCreator<APIClientProviderOptions>}
+ * @tutorial APIClient
+ */
+const apiClient = providerCreator((options = {}) => (app) => {
+  const { clients, serviceName, ...clientOptions } = options;
+  if (clients) {
+    Object.keys(clients).forEach((name) => {
+      registerAPIClient(app, name, deepAssign(clientOptions, clients[name]));
+    });
+  } else {
+    registerAPIClient(app, serviceName || 'apiClient', clientOptions);
+  }
+});
+
+module.exports.apiClient = apiClient;
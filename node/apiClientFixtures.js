@@ -0,0 +1,58 @@
+const fs = require('fs-extra');
+const APIClientFakeFetch = require('../shared/apiClientFakeFetch');
+/**
+ * @module node/apiClientFixtures
+ */
+
+/**
+ * @typedef {import('../shared/apiClient').APIClientFetchClient} APIClientFetchClient
+ */
+
+/**
+ * Creates a fake fetch client using a JSON fixture: if the file exists, the client will
+ * replay its interactions; otherwise, it will use a real fetch client to send the
+ * requests and record them, so they can be saved with
+ * {@link module:node/apiClientFixtures~saveAPIClientFixture|saveAPIClientFixture}.
+ *
+ * @param {string}                path                The path to the fixture file.
+ * @param {?APIClientFetchClient} [fetchClient=null]  The real fetch client to record the
+ *                                                    interactions, in case the file
+ *                                                    doesn't exist.
+ * @returns {Promise<APIClientFakeFetch>} If the file doesn't exist and there's no fetch
+ *                                        client to record, the promise will be rejected.
+ * @tutorial APIClient
+ */
+const loadAPIClientFixture = (path, fetchClient = null) =>
+  fs.pathExists(path).then((exists) => {
+    if (exists) {
+      return fs
+        .readJson(path)
+        .then((recordings) => new APIClientFakeFetch({ recordings }));
+    }
+
+    if (!fetchClient) {
+      throw new Error(
+        `The fixture doesn't exist and there's no client to record: ${path}`,
+      );
+    }
+
+    return new APIClientFakeFetch({ fetchClient });
+  });
+
+/**
+ * Saves the interactions a fake fetch client recorded on a JSON fixture. If the client
+ * wasn't recording, the file won't be modified.
+ *
+ * @param {string}             path       The path to the fixture file. If the directory
+ *                                        doesn't exist, it will be created.
+ * @param {APIClientFakeFetch} fakeFetch  The client that recorded the interactions.
+ * @returns {Promise<boolean>} Whether or not the file was saved.
+ * @tutorial APIClient
+ */
+const saveAPIClientFixture = (path, fakeFetch) =>
+  fakeFetch.mode === 'record'
+    ? fs.outputJson(path, fakeFetch.recordings, { spaces: 2 }).then(() => true)
+    : Promise.resolve(false);
+
+module.exports.loadAPIClientFixture = loadAPIClientFixture;
+module.exports.saveAPIClientFixture = saveAPIClientFixture;
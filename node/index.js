@@ -5,6 +5,7 @@
  * @ignore
  */
 
+const { loadAPIClientFixture, saveAPIClientFixture } = require('./apiClientFixtures');
 const { AppConfiguration } = require('./appConfiguration');
 const { EnvironmentUtils } = require('./environmentUtils');
 const { ErrorHandler } = require('./errorHandler');
@@ -13,6 +14,8 @@ const { packageInfo } = require('./packageInfo');
 const { PathUtils } = require('./pathUtils');
 const { rootRequire } = require('./rootRequire');
 
+module.exports.loadAPIClientFixture = loadAPIClientFixture;
+module.exports.saveAPIClientFixture = saveAPIClientFixture;
 module.exports.AppConfiguration = AppConfiguration;
 module.exports.EnvironmentUtils = EnvironmentUtils;
 module.exports.ErrorHandler = ErrorHandler;
@@ -1,3 +1,4 @@
+const { apiClient } = require('./apiClient');
 const { appConfiguration } = require('./appConfiguration');
 const { environmentUtils } = require('./environmentUtils');
 const { errorHandler } = require('./errorHandler');
@@ -6,6 +7,7 @@ const { packageInfoProvider } = require('./packageInfo');
 const { pathUtils } = require('./pathUtils');
 const { rootRequireProvider } = require('./rootRequire');
 
+module.exports.apiClient = apiClient;
 module.exports.appConfiguration = appConfiguration;
 module.exports.environmentUtils = environmentUtils;
 module.exports.errorHandler = errorHandler;
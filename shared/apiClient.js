@@ -1,15 +1,62 @@
 const statuses = require('statuses');
 const urijs = require('urijs');
 const ObjectUtils = require('./objectUtils');
+const APIClientCircuitBreaker = require('./apiClientCircuitBreaker');
+const APIClientError = require('./apiClientError');
+const APIClientMemoryCache = require('./apiClientMemoryCache');
+const APIClientPaginator = require('./apiClientPaginator');
+const APIClientScheduler = require('./apiClientScheduler');
+const EventsHub = require('./eventsHub');
+// The size, in bytes, of the chunks used to stream the request bodies: 64KB.
+const UPLOAD_CHUNK_SIZE = 65536;
 /**
  * @module shared/apiClient
  */
 
+/**
+ * @typedef {import('./apiClientError').APIClientErrorDetails} APIClientErrorDetails
+ * @typedef {import('./apiClientAuth').APIClientAuthStrategy} APIClientAuthStrategy
+ */
+
+/**
+ * @typedef {import('./apiClientPaginator').APIClientPaginatorOptions} APIClientPaginatorOptions
+ * @prettierignore
+ */
+
+/**
+ * @typedef {import('./apiClientScheduler').APIClientSchedulerOptions} APIClientSchedulerOptions
+ * @prettierignore
+ */
+
+/**
+ * @typedef {import('./apiClientCircuitBreaker').APIClientCircuitBreakerOptions} APIClientCircuitBreakerOptions
+ * @prettierignore
+ */
+
 /**
  * This kind of dictionary is used for building stuff like query string parameters and
- * headers.
+ * headers. For query string parameters, the values can also be arrays and objects.
+ *
+ * @typedef {Object.<string, any>} APIClientParametersDictionary
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * The formats in which the client can serialize arrays on the query string:
+ * - `repeat`: `a=1&a=2`.
+ * - `brackets`: `a[]=1&a[]=2`.
+ * - `comma`: `a=1,2`.
+ *
+ * @typedef {'repeat' | 'brackets' | 'comma'} APIClientArrayFormat
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * A function to serialize the query string parameters of an endpoint.
  *
- * @typedef {Object.<string, string | number>} APIClientParametersDictionary
+ * @callback APIClientQuerySerializer
+ * @param {APIClientParametersDictionary} query  The query string parameters.
+ * @returns {string} The query string, without the leading `?`.
  * @parent module:shared/apiClient
  */
 
@@ -22,10 +69,446 @@ const ObjectUtils = require('./objectUtils');
  * @property {string} [body]
  * The request body.
  * @property {boolean} [json]
- * Whether or not the response should _"JSON decoded"_.
+ * Whether or not the response should _"JSON decoded"_. If the body can't be decoded, it
+ * will be resolved as an empty object.
+ * @property {APIClientResponseType} [responseType]
+ * How the response body should be decoded. When specified, the `json` option is ignored.
+ * @property {APIClientRetryOption} [retry]
+ * Overwrites for the client retry policy, for this request only.
+ * @property {number} [timeout]
+ * Overwrites the client timeout, for this request only.
+ * @property {AbortSignal} [signal]
+ * A signal to cancel the request.
+ * @property {boolean} [cache]
+ * Whether or not to use the cache for this request. If the value is not a boolean, it
+ * will be sent to the fetch client, as the native `fetch` also has a `cache` option.
+ * @property {boolean} [dedupe]
+ * Whether or not the request can share the response of an identical request that is still
+ * in progress.
+ * @property {boolean} [refreshToken]
+ * Whether or not the client should try to refresh the authorization token if the request
+ * fails with a `401`. By default, it's `true` when the client has a token refresher.
+ * @property {boolean} [auth]
+ * Whether or not the client should use its authentication strategy for this request. By
+ * default, it's `true`.
+ * @property {APIClientBodyType} [bodyType]
+ * How the body should be serialized. If it's not specified, it will be inferred from the
+ * body.
+ * @property {boolean} [fullResponse]
+ * Whether or not to resolve the request with an object that includes the response
+ * information besides the decoded body.
+ * @property {number} [priority]
+ * The priority of the request on the scheduler queue: requests with higher priority are
+ * sent first. By default, it's `0`.
+ * @property {string} [endpoint]
+ * The name of the endpoint the request is for, so the scheduler can use its limits. When
+ * using `call`, it's set automatically.
+ * @property {APIClientProgressCallback} [onUploadProgress]
+ * A function to report the progress of the request body upload. If the client doesn't use
+ * `streamUploads`, or the body can't be streamed, it will only be called when the upload
+ * starts and when it ends.
+ * @property {APIClientProgressCallback} [onDownloadProgress]
+ * A function to report the progress of the response body download. If the response body
+ * can't be read as a stream, it will only be called once the response is received.
+ * @property {string | boolean} [idempotencyKey]
+ * The idempotency key for the request. If it's a string, it will be used as the key,
+ * which is useful to replay a request that was already sent; if it's `true`, a key will
+ * be generated, even if the method is not on the client `idempotency.methods`; and if
+ * it's `false`, the request won't have a key.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientProgress
+ * @property {number}  loaded    The number of bytes transferred so far.
+ * @property {?number} total     The total number of bytes, if it's known.
+ * @property {?number} progress  The progress of the transfer, from `0` to `1`. If the
+ *                               total is not known, it will be `null` until the transfer
+ *                               ends.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @callback APIClientProgressCallback
+ * @param {APIClientProgress} progress  The progress of the transfer.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * The formats in which the client can serialize a request body:
+ * - `json`: Object literals and arrays are encoded as JSON, with `application/json`.
+ * - `form`: Objects and `URLSearchParams` are encoded as a query string, with
+ *   `application/x-www-form-urlencoded`.
+ * - `multipart`: Objects are converted into `FormData`, and the `Content-Type` is removed
+ *   so the fetch client can add it with the boundary.
+ * - `text`: The body is converted into a string, with `text/plain`.
+ * - `binary`: A `Blob`, a `Buffer`, an `ArrayBuffer` (or a view) or a stream is sent as
+ *   it is, with the type of the `Blob` or `application/octet-stream`.
+ * - `raw`: The body is sent as it is, without a `Content-Type`.
+ *
+ * @typedef {'json' | 'form' | 'multipart' | 'text' | 'binary' | 'raw'} APIClientBodyType
+ * @parent module:shared/apiClient
+ * @prettierignore
+ */
+
+/**
+ * The formats in which the client can decode a response body:
+ * - `json`: Decoded as JSON. Empty responses are resolved as `null`, and if the body can't
+ *   be decoded, the request is rejected with a `parse_error`.
+ * - `text`: Decoded as a string.
+ * - `blob`: Decoded as a `Blob`.
+ * - `arrayBuffer`: Decoded as an `ArrayBuffer`.
+ * - `stream`: The `body` of the response, without reading it.
+ * - `auto`: Decoded according to the `Content-Type` header: `json` for JSON types,
+ *   `text` for text types (or when there's no header), and `blob` for anything else.
+ *   Empty responses are resolved as `null`.
+ *
+ * @typedef {'json' | 'text' | 'blob' | 'arrayBuffer' | 'stream' | 'auto'} APIClientResponseType
+ * @parent module:shared/apiClient
+ * @prettierignore
+ */
+
+/**
+ * @typedef {Object} APIClientFullResponse
+ * @property {*} data
+ * The body of the response, after the response interceptors.
+ * @property {number} status
+ * The HTTP status of the response.
+ * @property {Object.<string, string>} headers
+ * A dictionary with the headers of the response. The names are in lower case.
+ * @property {string} url
+ * The URL of the response, or the URL of the request if the fetch client doesn't provide
+ * it.
+ * @property {APIClientRequestOptions} request
+ * The options of the request.
+ * @property {string} [idempotencyKey]
+ * The idempotency key the request was sent with, if it had one.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * The information the client sends with the events of the requests. Depending on the
+ * event, some of the properties may not be present.
+ *
+ * @typedef {Object} APIClientRequestEvent
+ * @property {string}                  url         The URL of the request.
+ * @property {string}                  method      The method of the request.
+ * @property {APIClientRequestOptions} request     The options of the request.
+ * @property {?number}                 [status]    The HTTP status of the response. On
+ *                                                 `request:error`, it can be `null` if
+ *                                                 there was no response.
+ * @property {number}                  [duration]  The time, in milliseconds, since the
+ *                                                 request was sent.
+ * @property {Error}                   [error]     The error, on `request:error`, and on
+ *                                                 `request:retry` if the attempt failed
+ *                                                 without a response.
+ * @property {number}                  [attempt]   The number of the attempt that will be
+ *                                                 made, on `request:retry`.
+ * @property {number}                  [delay]     The time, in milliseconds, the client
+ *                                                 will wait before the next attempt, on
+ *                                                 `request:retry`.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientRetryPolicy
+ * @property {number}   maxAttempts  The maximum number of times a request can be made,
+ *                                   including the first one. By default, it's `1`, which
+ *                                   means that the requests are never retried.
+ * @property {number}   delay        The base delay, in milliseconds, before retrying a
+ *                                   request. Each retry will multiply the delay by
+ *                                   `factor`. By default, it's `300`.
+ * @property {number}   factor       The multiplier for the exponential backoff. By
+ *                                   default, it's `2`.
+ * @property {number}   maxDelay     The maximum delay, in milliseconds, between retries.
+ *                                   By default, it's `30000`.
+ * @property {boolean}  jitter       Whether or not to randomize the delays, to avoid
+ *                                   multiple clients retrying at the same time. When
+ *                                   enabled, the delay will be a random value between `0`
+ *                                   and the calculated delay. By default, it's `true`.
+ * @property {number[]} statuses     The list of HTTP statuses that can be retried. By
+ *                                   default, `408`, `429`, `500`, `502`, `503` and `504`.
+ * @property {string[]} methods      The list of request methods that can be retried. By
+ *                                   default, only the idempotent ones: `GET`, `HEAD`,
+ *                                   `OPTIONS`, `PUT` and `DELETE`.
+ * @property {boolean}  retryAfter   Whether or not to use the `Retry-After` header, when
+ *                                   a `429` or a `503` response includes it, as the delay
+ *                                   for the next retry. The delay is still limited by
+ *                                   `maxDelay`. By default, it's `true`.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @callback APIClientIdempotencyKeyGenerator
+ * @param {APIClientRequestOptions} request  The options of the request that needs the
+ *                                           key.
+ * @returns {string}
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientServerSentEvent
+ * @property {string}  event  The type of event. If the server didn't specify one, it will
+ *                            be `message`.
+ * @property {string}  data   The data of the event. If the event had multiple `data`
+ *                            lines, they'll be joined with line breaks.
+ * @property {?string} id     The ID of the last event the server sent, if it sent one.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientServerSentEventsOptionsProperties
+ * @property {boolean} [reconnect=true]
+ * Whether or not to reconnect when the server closes the connection. When reconnecting,
+ * the client sends the ID of the last event on the `Last-Event-ID` header. If the server
+ * responds with a `204`, the client won't reconnect.
+ * @property {number} [reconnectDelay=3000]
+ * The time, in milliseconds, to wait before reconnecting. The server can change it by
+ * sending a `retry` field.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {APIClientFetchOptions & APIClientServerSentEventsOptionsProperties} APIClientServerSentEventsOptions
+ * @parent module:shared/apiClient
+ * @prettierignore
+ */
+
+/**
+ * @typedef {Object} APIClientServerSentEventsState
+ * @property {string}   event  The type of the event being parsed.
+ * @property {string[]} data   The `data` lines of the event being parsed.
+ * @property {?string}  id     The ID of the last event.
+ * @property {?number}  retry  The reconnection time the server sent, if it sent one.
+ * @parent module:shared/apiClient
+ * @ignore
+ */
+
+/**
+ * @typedef {Object} APIClientLineReader
+ * @property {() => Promise<?string>} next    Reads the next line of the stream. When the
+ *                                            stream ends, it will be resolved with
+ *                                            `null`.
+ * @property {() => Promise}          cancel  Cancels the stream.
+ * @parent module:shared/apiClient
+ * @ignore
+ */
+
+/**
+ * @typedef {Object} APIClientIdempotencyOptions
+ * @property {boolean} enabled
+ * Whether or not to add keys to the requests. By default, it's `false`.
+ * @property {string} header
+ * The name of the header for the keys. By default, it's `Idempotency-Key`.
+ * @property {string[]} methods
+ * The list of request methods that need a key. By default,
+ * `POST` and `PATCH`.
+ * @property {APIClientIdempotencyKeyGenerator} generator
+ * The function to generate the keys. By default, it generates UUIDs (v4) using the Web
+ * Crypto API, if the environment supports it.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * The idempotency options can be defined as an object with overwrites for the current
+ * options, or as a boolean to enable or disable the keys.
+ *
+ * @typedef {Partial<APIClientIdempotencyOptions> | boolean} APIClientIdempotencyOption
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * Any object with the methods of the {@link Logger} interface. If the object doesn't have
+ * a `warn` method, the client will use `warning`.
+ *
+ * @typedef {Object} APIClientLogger
+ * @property {(message: string) => void} info       Logs the successful requests.
+ * @property {(message: string) => void} [warn]     Logs the retries.
+ * @property {(message: string) => void} [warning]  An alternative to `warn`, used by the
+ *                                                  {@link Logger} service.
+ * @property {(message: string) => void} error      Logs the failed requests.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientLoggingOptions
+ * @property {APIClientLogger} logger         The object the client will use to log the
+ *                                            requests.
+ * @property {boolean}         headers        Whether or not to log the headers of the
+ *                                            requests and the responses. By default, it's
+ *                                            `false`.
+ * @property {boolean}         bodies         Whether or not to log the bodies of the
+ *                                            requests and the responses. By default, it's
+ *                                            `false`.
+ * @property {string[]}        redactHeaders  The names of the headers which values should
+ *                                            be redacted. The names are case-insensitive.
+ *                                            By default, `Authorization`, `Cookie` and
+ *                                            `Set-Cookie`.
+ * @property {string[]}        redactQuery    The names of the query string parameters
+ *                                            which values should be redacted from the
+ *                                            URLs. The names are case-insensitive. By
+ *                                            default, `X-API-Key`, `api_key`,
+ *                                            `access_token` and `token`.
+ * @property {string[]}        redactPaths    The paths (using dot notation) of the
+ *                                            properties of the JSON bodies which values
+ *                                            should be redacted. A `*` can be used as a
+ *                                            component to match all the properties of an
+ *                                            object,
+ *                                            or all the items of an array. By default,
+ *                                            it's empty.
+ * @property {string}          placeholder    The text that replaces the redacted values.
+ *                                            By default, it's `[REDACTED]`.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * The retry policy can be defined as an object with overwrites for the current policy,
+ * as a number for the maximum attempts, or as `false` to disable the retries.
+ *
+ * @typedef {Partial<APIClientRetryPolicy> | number | boolean} APIClientRetryOption
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientOptions
+ * @property {APIClientRetryOption} [retry]
+ * The policy the client will use to retry failed requests.
+ * @property {number} [timeout]
+ * The time, in milliseconds, the client will wait for each attempt of a request before
+ * aborting it. Once a response is received, the same time is used as a timeout to decode
+ * its body. By default, it's `0`, which means no timeout.
+ * @property {boolean | APIClientCacheStore} [cache]
+ * Whether or not to cache the responses of `GET` requests. If it's a store, the cache
+ * will be enabled and the client will use it instead of the default in-memory store.
+ * @property {boolean} [dedupe]
+ * Whether or not identical `GET` and `HEAD` requests that are made while one of them is
+ * still in progress should share the same response. By default, it's `false`.
+ * @property {APIClientTokenRefresher} [tokenRefresher]
+ * A function to get a new authorization token when a request fails with a `401`.
+ * @property {APIClientAuthStrategy} [auth]
+ * A function to authenticate the requests before they get sent.
+ * @property {APIClientResponseType} [responseType]
+ * The default `responseType` for the requests. If it's not specified, the responses will
+ * be _"JSON decoded"_, unless the requests use `json: false`.
+ * @property {boolean} [fullResponse]
+ * Whether or not to resolve the requests with an object that includes the response
+ * information besides the decoded body. By default, it's `false`.
+ * @property {EventsHub} [events]
+ * The hub where the client will emit the events of the requests. If not specified, the
+ * client will create its own.
+ * @property {APIClientScheduler | APIClientSchedulerOptions} [scheduler]
+ * A scheduler, or the options to create one, to limit the number of requests that can be
+ * sent at the same time, or on a period of time. By default, there are no limits.
+ * @property {Object.<string, string>} [baseURLs]
+ * A dictionary of named base URLs the endpoints can use with their `baseURL` property,
+ * for when they are on different hosts.
+ * @property {boolean} [encodePath]
+ * Whether or not to URL-encode the values of the placeholders when generating the
+ * endpoints. By default, it's `true`.
+ * @property {APIClientArrayFormat} [arrayFormat]
+ * How arrays should be serialized on the query string. By default, it's `repeat`.
+ * @property {APIClientQuerySerializer} [querySerializer]
+ * A custom function to serialize the query strings of the endpoints. When specified, the
+ * `arrayFormat` option is ignored.
+ * @property {boolean} [streamUploads]
+ * Whether or not the fetch client supports streams as request bodies. When enabled, the
+ * requests with `onUploadProgress` will send their bodies as streams, in order to report
+ * the progress of the upload. By default, it's `false`.
+ * @property {APIClientCircuitBreaker | APIClientCircuitBreakerOptions} [circuitBreaker]
+ * A circuit breaker, or the options to create one, to stop sending requests to a host (or
+ * an endpoint) that keeps failing. By default, there's no circuit breaker.
+ * @property {APIClientLogger | Partial<APIClientLoggingOptions>} [logging]
+ * A logger, or the options with a logger, to log the requests. By default, the requests
+ * are not logged.
+ * @property {APIClientIdempotencyOption} [idempotency]
+ * Whether or not to add idempotency keys to the requests with non-idempotent methods, so
+ * they can be safely retried.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientGraphQLOptionsProperties
+ * @property {string} [operationName]
+ * The name of the operation to run, in case the query has more than one.
+ * @property {string} [persistedQuery]
+ * The SHA-256 hash of the query, to use it as a persisted query. The client will first
+ * send only the hash, and if the server doesn't know it, it will send the query too.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {APIClientFetchOptions & APIClientGraphQLOptionsProperties} APIClientGraphQLOptions
+ * @parent module:shared/apiClient
+ * @prettierignore
+ */
+
+/**
+ * @typedef {Object} APIClientCacheEntry
+ * @property {*}                       body          The decoded body of the response.
+ * @property {number}                  status        The HTTP status of the response.
+ * @property {Object.<string, string>} headers       The headers of the response.
+ * @property {?string}                 etag          The value of the `ETag` header, to
+ *                                                   revalidate the entry.
+ * @property {?string}                 lastModified  The value of the `Last-Modified`
+ *                                                   header, to revalidate the entry.
+ * @property {number}                  expires       The timestamp, in milliseconds, until
+ *                                                   which the entry can be used without
+ *                                                   revalidating it.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientCacheStore
+ * @property {function(string):(?APIClientCacheEntry | Promise<?APIClientCacheEntry>)} get
+ * Gets an entry.
+ * @property {function(string,APIClientCacheEntry):(void | Promise<void>)} set
+ * Saves an entry.
+ * @property {function(string):*} delete
+ * Removes an entry.
+ * @property {function():*} clear
+ * Removes all the entries.
  * @parent module:shared/apiClient
  */
 
+/**
+ * @typedef {Object} APIClientRequestSettings
+ * @property {boolean} decodeResponse
+ * Whether or not the response body should be decoded, instead of returning the response
+ * object. It's also used to check if the response can be cached or shared.
+ * @property {?APIClientResponseType} responseType
+ * How the response body should be decoded. If it's `null`, the response will be _"JSON
+ * decoded"_, as long as `decodeResponse` is `true`.
+ * @property {APIClientRetryPolicy} retryPolicy
+ * The retry policy for the request.
+ * @property {number} timeout
+ * The timeout for each attempt of the request.
+ * @property {boolean} cache
+ * Whether or not the response can be cached.
+ * @property {?string} cacheKey
+ * The key for the cache entry of the request. It's generated once the request goes
+ * through the interceptors and the authentication strategy, and if the request can't be
+ * cached, it will be `null`.
+ * @property {boolean} dedupe
+ * Whether or not the response can be shared with identical in-flight requests.
+ * @property {boolean} refreshToken
+ * Whether or not to refresh the authorization token if the request fails with a `401`.
+ * @property {string} token
+ * The authorization token the request was made with.
+ * @property {boolean} authenticate
+ * Whether or not to use the authentication strategy.
+ * @property {boolean} fullResponse
+ * Whether or not to resolve the request with an {@link APIClientFullResponse}.
+ * @property {number} priority
+ * The priority of the request on the scheduler queue.
+ * @property {?string} endpoint
+ * The name of the endpoint the request is for.
+ * @property {?APIClientProgressCallback} onUploadProgress
+ * The function to report the progress of the request body upload.
+ * @property {?APIClientProgressCallback} onDownloadProgress
+ * The function to report the progress of the response body download.
+ * @ignore
+ */
+
 /**
  * @callback APIClientFetchClient
  * @param {string}                url        The request URL.
@@ -48,19 +531,137 @@ const ObjectUtils = require('./objectUtils');
  * @parent module:shared/apiClient
  */
 
+/**
+ * @typedef {'request' | 'response' | 'error'} APIClientInterceptorType
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {Object} APIClientResponseContext
+ * @property {APIClientRequestOptions} request   The options of the request that generated
+ *                                               the response.
+ * @property {number}                  status    The HTTP status of the response.
+ * @property {Response}                response  The original response the fetch client
+ *                                               returned.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * A function that can modify a request before it gets sent. It receives the request
+ * options and it has to return them, modified or not, either directly or on a
+ * {@link Promise}.
+ *
+ * @callback APIClientRequestInterceptor
+ * @param {APIClientRequestOptions} request  The request options.
+ * @returns {APIClientRequestOptions | Promise<APIClientRequestOptions>}
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * A function that can modify the response of a successful request. It receives the
+ * response, _"JSON decoded"_ or not, depending on the request options, and it has to
+ * return it, modified or not, either directly or on a {@link Promise}.
+ *
+ * @callback APIClientResponseInterceptor
+ * @param {*}                        response  The response.
+ * @param {APIClientResponseContext} context   The information of the request and the
+ *                                             original response.
+ * @returns {*}
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * A function that gets called when a request fails. If the function returns a value,
+ * the request will be resolved with it; to keep the request as failed, the function has
+ * to throw an error or return a rejected {@link Promise}.
+ *
+ * @callback APIClientErrorInterceptor
+ * @param {Error}                   error    The error that made the request fail.
+ * @param {APIClientRequestOptions} request  The options of the request that failed.
+ * @returns {*}
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * A function that gets called when a request fails with a `401` in order to get a new
+ * authorization token. If the function returns a string, either directly or on a
+ * {@link Promise}, it will be used as the new token; otherwise, the function is expected
+ * to call `setAuthorizationToken` itself.
+ *
+ * @callback APIClientTokenRefresher
+ * @param {APIClientError} error   The error of the request that failed.
+ * @param {APIClient}      client  A reference to the client.
+ * @returns {?(string | Promise<?string>)}
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * @typedef {APIClientRequestInterceptor|APIClientResponseInterceptor|APIClientErrorInterceptor} APIClientInterceptor
+ * @parent module:shared/apiClient
+ * @prettierignore
+ */
+
+/**
+ * @typedef {Object} APIClientInterceptors
+ * @property {APIClientRequestInterceptor[]} request
+ * The functions that are called before sending a request.
+ * @property {APIClientResponseInterceptor[]} response
+ * The functions that are called after receiving a successful response.
+ * @property {APIClientErrorInterceptor[]} error
+ * The functions that are called when a request fails.
+ * @parent module:shared/apiClient
+ */
+
 /**
  * @typedef {Object} APIClientEndpoint
- * @property {string}                         path   The path to the endpoint relative to
- *                                                   the API entry point. It can include
- *                                                   placeholders with the format
- *                                                   `:placeholder-name` that are going to
- *                                                   be replaced when the endpoint gets
- *                                                   generated.
- * @property {?APIClientParametersDictionary} query  A dictionary of query string
- *                                                   parameters that will be added when
- *                                                   the endpoint. If the value of a
- *                                                   parameter is `null`, it won't be
- *                                                   added.
+ * @property {string} path
+ * The path to the endpoint relative to the API entry point. It can include placeholders
+ * with the format `:placeholder-name` that are going to be replaced when the endpoint
+ * gets generated. If the placeholder ends with `?`, it's optional, and it will be removed
+ * when there's no value for it.
+ * @property {?APIClientParametersDictionary} query
+ * A dictionary of query string parameters that will be added when the endpoint. If the
+ * value of a parameter is `null`, it won't be added.
+ * @property {string} [method]
+ * The request method `call` should use for the endpoint. By default, it's `GET`.
+ * @property {string[]} [params]
+ * A list of parameters `call` should require, besides the placeholders, which are always
+ * required.
+ * @property {boolean | string[]} [body]
+ * The shape of the body `call` should require: `true` if the endpoint requires a body, or
+ * a list of the properties the body must have.
+ * @property {APIClientFetchOptions} [options]
+ * Default options for the requests `call` makes to the endpoint.
+ * @property {string} [baseURL]
+ * The base URL for the endpoint, instead of the client URL. It can be the name of a URL
+ * on the client `baseURLs` dictionary, or an absolute URL.
+ * @property {boolean} [encodePath]
+ * Overwrites the client `encodePath` option for the endpoint.
+ * @property {APIClientArrayFormat} [arrayFormat]
+ * Overwrites the client `arrayFormat` option for the endpoint.
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * A function generated for an endpoint, so it can be called without using its name. It
+ * receives the same parameters as `call`, after the name.
+ *
+ * @callback APIClientEndpointCaller
+ * @param {APIClientParametersDictionary} [parameters={}]
+ * The values for the placeholders and the query string.
+ * @param {*} [body=null]
+ * The request body.
+ * @param {APIClientFetchOptions} [options={}]
+ * The request options.
+ * @returns {Promise<any>}
+ * @parent module:shared/apiClient
+ */
+
+/**
+ * A dictionary of functions to make requests to the endpoints, with the same structure
+ * the endpoints were defined with.
+ *
+ * @typedef {Object.<string, APIClientEndpointCaller | Object>} APIClientEndpointsCallers
  * @parent module:shared/apiClient
  */
 
@@ -113,8 +714,10 @@ class APIClient {
    * The fetch function that makes the requests.
    * @param {APIClientParametersDictionary} [defaultHeaders={}]
    * A dictionary of default headers to include on every request.
+   * @param {APIClientOptions} [options={}]
+   * Customization options for the client.
    */
-  constructor(url, endpoints, fetchClient, defaultHeaders = {}) {
+  constructor(url, endpoints, fetchClient, defaultHeaders = {}, options = {}) {
     /**
      * The API entry point.
      *
@@ -123,6 +726,15 @@ class APIClient {
      * @ignore
      */
     this._url = url;
+    /**
+     * A dictionary of named base URLs the endpoints can use instead of the API entry
+     * point.
+     *
+     * @type {Object.<string, string>}
+     * @access protected
+     * @ignore
+     */
+    this._baseURLs = { ...options.baseURLs };
     /**
      * A dictionary of named endpoints relative to the API entry point.
      *
@@ -144,6 +756,15 @@ class APIClient {
      * @ignore
      */
     this._fetchClient = fetchClient;
+    /**
+     * The dictionary of functions to make requests to the endpoints. It gets generated
+     * the first time it's accessed.
+     *
+     * @type {?APIClientEndpointsCallers}
+     * @access protected
+     * @ignore
+     */
+    this._api = null;
     /**
      * A dictionary of default headers to include on every request.
      *
@@ -160,97 +781,418 @@ class APIClient {
      * @ignore
      */
     this._authorizationToken = '';
-  }
-  /**
-   * Makes a `DELETE` request.
-   *
-   * @param {string}                url           The request URL.
-   * @param {Object}                body          The request body.
-   * @param {APIClientFetchOptions} [options={}]  The request options.
-   * @returns {Promise<Response>}
-   */
-  delete(url, body = {}, options = {}) {
-    return this.post(url, body, { method: 'delete', ...options });
-  }
-  /**
-   * Generates an endpoint URL.
-   *
-   * @param {string} name
-   * The name of the endpoint on the `endpoints` property.
-   * @param {APIClientParametersDictionary} [parameters={}]
-   * A dictionary of values that will replace placeholders on the endpoint definition.
-   * @returns {string}
-   * @throws {Error}
-   * If the endpoint doesn't exist on the `endpoints` property.
-   */
-  endpoint(name, parameters = {}) {
-    // Get the endpoint information.
-    const info = this._endpoints[name];
-    // Validate that the endpoint exists.
-    if (!info) {
-      throw new Error(`Trying to request unknown endpoint: ${name}`);
-    }
-    // Get a new reference for the parameters.
-    const params = { ...parameters };
-    // If the endpoint is a string, format it into an object with `path`.
-    const endpoint = typeof info === 'string' ? { path: info, query: null } : info;
-    // Define the object that will have the query string.
-    const query = {};
-    // If the endpoint has a `query` property...
-    if (endpoint.query) {
-      // ...Loog all the query parameters.
-      Object.keys(endpoint.query).forEach((queryName) => {
-        // Get the defined value of the parameter.
-        const queryValue = endpoint.query[queryName];
-        // If there's a value of this parameter on the received `parameters`...
-        if (typeof params[queryName] !== 'undefined') {
-          // ...add it to the query dictionary.
-          query[queryName] = params[queryName];
-          // Remove the used parameter.
-          delete params[queryName];
-        } else if (queryValue !== null) {
-          // If the default value of the parameter is not `null`, use it.
-          query[queryName] = queryValue;
-        }
-      });
-    }
-    // Get the endpoint path.
-    let { path } = endpoint;
-    // Loop all the received `parameters`...
-    Object.keys(params).forEach((parameter) => {
-      // Build how a placeholder for this parameter would look like.
-      const placeholder = `:${parameter}`;
-      // Get the parameter value.
-      const value = params[parameter];
-      // If the path has the placeholder...
-      if (path.includes(placeholder)) {
-        // ...replace the placeholder with the value.
-        path = path.replace(placeholder, `${value}`);
-      } else {
-        // ...otherwise, add it on the query string.
-        query[parameter] = value;
-      }
-    });
-    // Convert the URL into a `urijs` object.
-    const uri = urijs(`${this._url}/${path}`);
-    // Loop and add all the query string parameters.
-    Object.keys(query).forEach((queryName) => {
-      uri.addQuery(queryName, query[queryName]);
-    });
-    // Return the `urijs` object as a string.
-    return uri.toString();
-  }
-  /**
-   * Formats an error response into a proper Error object. This method should proabably be
-   * overwritten to accomodate the error messages for the API it's being used for.
-   *
-   * @param {Object}  response        A received response from a request.
-   * @param {?string} response.error  An error message received on the response.
-   * @param {number}  status          The HTTP status of the response.
+    /**
+     * The function to get a new authorization token when a request fails with a `401`.
+     *
+     * @type {?APIClientTokenRefresher}
+     * @access protected
+     * @ignore
+     */
+    this._tokenRefresher = options.tokenRefresher || null;
+    /**
+     * The function to authenticate the requests before they get sent.
+     *
+     * @type {?APIClientAuthStrategy}
+     * @access protected
+     * @ignore
+     */
+    this._authStrategy = options.auth || null;
+    /**
+     * The promise of the token refresh that is in progress, so the requests that fail
+     * while it's running can wait for it instead of starting a new one.
+     *
+     * @type {?Promise}
+     * @access protected
+     * @ignore
+     */
+    this._tokenRefresh = null;
+    /**
+     * The lists of functions that intercept the requests, their responses and their
+     * errors.
+     *
+     * @type {APIClientInterceptors}
+     * @access protected
+     * @ignore
+     */
+    this._interceptors = {
+      request: [],
+      response: [],
+      error: [],
+    };
+    /**
+     * The policy the client uses to retry failed requests.
+     *
+     * @type {APIClientRetryPolicy}
+     * @access protected
+     * @ignore
+     */
+    this._retryPolicy = this._createRetryPolicy(options.retry, {
+      maxAttempts: 1,
+      delay: 300,
+      factor: 2,
+      maxDelay: 30000,
+      jitter: true,
+      statuses: [
+        'request timeout',
+        'too many requests',
+        'internal server error',
+        'bad gateway',
+        'service unavailable',
+        'gateway timeout',
+      ].map((status) => statuses(status)),
+      methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+      retryAfter: true,
+    });
+    /**
+     * The time, in milliseconds, the client waits for each attempt of a request before
+     * aborting it.
+     *
+     * @type {number}
+     * @access protected
+     * @ignore
+     */
+    this._timeout = options.timeout || 0;
+    /**
+     * Whether or not the client caches the responses of `GET` requests.
+     *
+     * @type {boolean}
+     * @access protected
+     * @ignore
+     */
+    this._cacheEnabled = !!options.cache;
+    /**
+     * The store where the client saves the cached responses.
+     *
+     * @type {APIClientCacheStore}
+     * @access protected
+     * @ignore
+     */
+    this._cacheStore =
+      options.cache && typeof options.cache === 'object'
+        ? options.cache
+        : new APIClientMemoryCache();
+    /**
+     * Whether or not identical requests that are made while one of them is still in
+     * progress should share the same response.
+     *
+     * @type {boolean}
+     * @access protected
+     * @ignore
+     */
+    this._dedupeEnabled = !!options.dedupe;
+    /**
+     * The default format in which the response bodies should be decoded.
+     *
+     * @type {?APIClientResponseType}
+     * @access protected
+     * @ignore
+     */
+    this._responseType = options.responseType || null;
+    /**
+     * Whether or not to resolve the requests with the response information besides the
+     * decoded body.
+     *
+     * @type {boolean}
+     * @access protected
+     * @ignore
+     */
+    this._fullResponse = !!options.fullResponse;
+    /**
+     * The hub where the client emits the events of the requests.
+     *
+     * @type {EventsHub}
+     * @access protected
+     * @ignore
+     */
+    this._events = options.events || new EventsHub();
+    /**
+     * Whether or not to URL-encode the values of the placeholders.
+     *
+     * @type {boolean}
+     * @access protected
+     * @ignore
+     */
+    this._encodePath = options.encodePath !== false;
+    /**
+     * How arrays should be serialized on the query string.
+     *
+     * @type {APIClientArrayFormat}
+     * @access protected
+     * @ignore
+     */
+    this._arrayFormat = options.arrayFormat || 'repeat';
+    /**
+     * A custom function to serialize the query strings.
+     *
+     * @type {?APIClientQuerySerializer}
+     * @access protected
+     * @ignore
+     */
+    this._querySerializer = options.querySerializer || null;
+    /**
+     * The scheduler that limits when the requests can be sent, if the client has limits.
+     *
+     * @type {?APIClientScheduler}
+     * @access protected
+     * @ignore
+     */
+    this._scheduler = null;
+    if (options.scheduler) {
+      this._scheduler =
+        typeof options.scheduler.schedule === 'function'
+          ? options.scheduler
+          : new APIClientScheduler(options.scheduler);
+    }
+    /**
+     * A dictionary with the requests that are in progress and can be shared. The keys are
+     * generated with the method, the URL and the headers of the requests.
+     *
+     * @type {Object.<string, Promise>}
+     * @access protected
+     * @ignore
+     */
+    this._pendingRequests = {};
+    /**
+     * The circuit breaker that rejects the requests for hosts or endpoints that keep
+     * failing, if the client has one.
+     *
+     * @type {?APIClientCircuitBreaker}
+     * @access protected
+     * @ignore
+     */
+    this._circuitBreaker = null;
+    if (options.circuitBreaker) {
+      this._circuitBreaker =
+        typeof options.circuitBreaker.execute === 'function'
+          ? options.circuitBreaker
+          : new APIClientCircuitBreaker(options.circuitBreaker);
+    }
+    /**
+     * Whether or not the fetch client supports streams as request bodies.
+     *
+     * @type {boolean}
+     * @access protected
+     * @ignore
+     */
+    this._streamUploads = options.streamUploads === true;
+    /**
+     * The options for the idempotency keys the client adds to the requests.
+     *
+     * @type {APIClientIdempotencyOptions}
+     * @access protected
+     * @ignore
+     */
+    this._idempotency = this._createIdempotencyOptions(options.idempotency, {
+      enabled: false,
+      header: 'Idempotency-Key',
+      methods: ['POST', 'PATCH'],
+      generator: this._generateIdempotencyKey.bind(this),
+    });
+    /**
+     * The options to log the requests, if logging is enabled.
+     *
+     * @type {?APIClientLoggingOptions}
+     * @access protected
+     * @ignore
+     */
+    this._logging = this._createLoggingOptions(options.logging);
+  }
+  /**
+   * Adds an interceptor for the requests. The interceptors are called in the same order
+   * they were added, and they can be either sync or async.
+   *
+   * @param {APIClientInterceptorType} type         The type of interceptor: `request`
+   *                                                interceptors are called before sending
+   *                                                a request, `response` interceptors are
+   *                                                called after receiving a successful
+   *                                                response, and `error` interceptors are
+   *                                                called when a request fails.
+   * @param {APIClientInterceptor}     interceptor  The interceptor function.
+   * @returns {Function} A function to remove the interceptor.
+   * @throws {Error} If the type is not supported.
+   */
+  addInterceptor(type, interceptor) {
+    const interceptors = this._getInterceptors(type);
+    if (!interceptors.includes(interceptor)) {
+      interceptors.push(interceptor);
+    }
+
+    return () => this.removeInterceptor(type, interceptor);
+  }
+  /**
+   * Makes a request to an endpoint using its definition: the method, the default options
+   * and the validations for the parameters and the body.
+   *
+   * @param {string} name
+   * The name of the endpoint on the `endpoints` property.
+   * @param {APIClientParametersDictionary} [parameters={}]
+   * A dictionary of values that will replace placeholders on the endpoint definition, or
+   * that will be added on the query string.
+   * @param {*} [body=null]
+   * The request body.
+   * @param {APIClientFetchOptions} [options={}]
+   * The request options. They will be merged with the default options of the endpoint.
+   * @returns {Promise<any>} If the endpoint doesn't exist, if a required parameter or a
+   *                         property of the body is missing, or if the URL can't be
+   *                         generated, the promise will be rejected before sending the
+   *                         request.
+   */
+  call(name, parameters = {}, body = null, options = {}) {
+    const info = this._endpoints[name];
+    if (!info) {
+      return Promise.reject(new Error(`Trying to request unknown endpoint: ${name}`));
+    }
+
+    const endpoint = typeof info === 'string' ? { path: info } : info;
+    const error = this._validateEndpointCall(name, endpoint, parameters, body);
+    if (error) {
+      return Promise.reject(error);
+    }
+
+    let url;
+    try {
+      url = this.endpoint(name, parameters);
+    } catch (urlError) {
+      return Promise.reject(urlError);
+    }
+
+    const defaults = endpoint.options || {};
+    const request = {
+      ...defaults,
+      ...options,
+      url,
+      method: options.method || defaults.method || endpoint.method,
+      endpoint: name,
+    };
+    if (defaults.headers && options.headers) {
+      request.headers = {
+        ...defaults.headers,
+        ...options.headers,
+      };
+    }
+
+    if (body !== null) {
+      request.body = body;
+    }
+
+    return this.fetch(request);
+  }
+  /**
+   * Makes a `DELETE` request.
+   *
+   * @param {string}                url           The request URL.
+   * @param {Object}                body          The request body.
+   * @param {APIClientFetchOptions} [options={}]  The request options.
+   * @returns {Promise<Response>}
+   */
+  delete(url, body = {}, options = {}) {
+    return this.post(url, body, { method: 'delete', ...options });
+  }
+  /**
+   * Generates an endpoint URL.
+   *
+   * @param {string} name
+   * The name of the endpoint on the `endpoints` property.
+   * @param {APIClientParametersDictionary} [parameters={}]
+   * A dictionary of values that will replace placeholders on the endpoint definition.
+   * The values that don't have a placeholder will be added on the query string.
+   * @returns {string}
+   * @throws {Error}
+   * If the endpoint doesn't exist on the `endpoints` property.
+   * @throws {Error}
+   * If the array format is not supported.
+   * @throws {Error}
+   * If the endpoint uses a named base URL that doesn't exist.
+   */
+  endpoint(name, parameters = {}) {
+    // Get the endpoint information.
+    const info = this._endpoints[name];
+    // Validate that the endpoint exists.
+    if (!info) {
+      throw new Error(`Trying to request unknown endpoint: ${name}`);
+    }
+    // Get a new reference for the parameters.
+    const params = { ...parameters };
+    // If the endpoint is a string, format it into an object with `path`.
+    const endpoint = typeof info === 'string' ? { path: info, query: null } : info;
+    // Define the object that will have the query string.
+    const query = {};
+    // If the endpoint has a `query` property...
+    if (endpoint.query) {
+      // ...Loog all the query parameters.
+      Object.keys(endpoint.query).forEach((queryName) => {
+        // Get the defined value of the parameter.
+        const queryValue = endpoint.query[queryName];
+        // If there's a value of this parameter on the received `parameters`...
+        if (typeof params[queryName] !== 'undefined') {
+          // ...add it to the query dictionary.
+          query[queryName] = params[queryName];
+          // Remove the used parameter.
+          delete params[queryName];
+        } else if (queryValue !== null) {
+          // If the default value of the parameter is not `null`, use it.
+          query[queryName] = queryValue;
+        }
+      });
+    }
+    // Replace the placeholders on the endpoint path.
+    const encode =
+      typeof endpoint.encodePath === 'boolean' ? endpoint.encodePath : this._encodePath;
+    const { path, used } = this._formatPath(endpoint.path, params, encode);
+    // Add the parameters that weren't used as placeholders on the query string.
+    Object.keys(params)
+      .filter((parameter) => !used.includes(parameter))
+      .forEach((parameter) => {
+        query[parameter] = params[parameter];
+      });
+    // Convert the URL into a `urijs` object.
+    const uri = urijs(`${this._getBaseURL(name, endpoint)}/${path}`);
+    // Add all the query string parameters.
+    if (this._querySerializer) {
+      const queryString = this._querySerializer(query);
+      if (queryString) {
+        const currentQuery = uri.query();
+        uri.query(currentQuery ? `${currentQuery}&${queryString}` : queryString);
+      }
+    } else {
+      this._serializeQuery(query, endpoint.arrayFormat || this._arrayFormat).forEach(
+        ([queryName, queryValue]) => {
+          uri.addQuery(queryName, queryValue);
+        },
+      );
+    }
+    // Return the `urijs` object as a string.
+    return uri.toString();
+  }
+  /**
+   * Formats an error response into a proper Error object. This method should proabably be
+   * overwritten to accomodate the error messages for the API it's being used for.
+   *
+   * @param {Object} response
+   * A received response from a request.
+   * @param {?string} response.error
+   * An error message received on the response.
+   * @param {number} status
+   * The HTTP status of the response.
+   * @param {Partial<APIClientErrorDetails>} [details={}]
+   * Extra information of the request and the response, like the headers, the URL and the
+   * method.
    * @returns {Error}
    */
-  error(response, status) {
-    return new Error(`[${status}]: ${response.error}`);
+  error(response, status, details = {}) {
+    const message =
+      response && typeof response.error !== 'undefined'
+        ? response.error
+        : statuses.message[status];
+    return new APIClientError(
+      `[${status}]: ${message}`,
+      status >= statuses('internal server error') ? 'server_error' : 'client_error',
+      {
+        ...details,
+        status,
+        body: response,
+      },
+    );
   }
   /**
    * Makes a request.
@@ -269,69 +1211,114 @@ class APIClient {
     if (Object.keys(headers).length) {
       opts.headers = headers;
     }
-    // Format the flag the method will use to decided whether to decode the response or not.
-    const handleAsJSON = typeof opts.json === 'boolean' ? opts.json : true;
-    const { url } = opts;
+    // Check if the request needs an idempotency key, and add it to the headers.
+    const idempotencyKey = this._createIdempotencyKey(opts);
+    if (idempotencyKey) {
+      opts.headers = {
+        ...opts.headers,
+        [this._idempotency.header]: idempotencyKey,
+      };
+    }
+    // Generate the settings the client will use to send the request.
+    const settings = this._createRequestSettings(opts);
     // Remove the necessary options in order to make it a valid `FetchOptions` object.
-    delete opts.url;
     delete opts.json;
-    // If the options include a body...
+    delete opts.responseType;
+    delete opts.fullResponse;
+    delete opts.retry;
+    delete opts.timeout;
+    delete opts.dedupe;
+    delete opts.refreshToken;
+    delete opts.auth;
+    delete opts.priority;
+    delete opts.endpoint;
+    delete opts.onUploadProgress;
+    delete opts.onDownloadProgress;
+    delete opts.idempotencyKey;
+    const { bodyType } = opts;
+    delete opts.bodyType;
+    if (typeof opts.cache === 'boolean') {
+      delete opts.cache;
+    }
+    // If the options include a body, serialize it and set the `Content-Type`.
+    let request = opts;
     if (opts.body) {
-      // Let's first check if there are headers and if a `Content-Type` has been set.
-      let hasContentType = false;
-      if (opts.headers) {
-        hasContentType = !!Object.keys(opts.headers).find(
-          (name) => name.toLowerCase() === 'content-type',
-        );
-      } else {
-        opts.headers = {};
-      }
-      // If the body is an object...
-      if (typeof opts.body === 'object') {
-        // ...and if it's an object literal...
-        if (Object.getPrototypeOf(opts.body).constructor.name === 'Object') {
-          // ...encode it.
-          opts.body = JSON.stringify(opts.body);
-        }
-        // If no `Content-Type` was defined, let's assume is a JSON request.
-        if (!hasContentType) {
-          opts.headers['Content-Type'] = 'application/json';
-        }
+      try {
+        request = this._serializeBody(opts, bodyType);
+      } catch (serializeError) {
+        return Promise.reject(serializeError);
       }
     }
 
-    let responseStatus;
-    // Make the request.
-    return this._fetchClient(url, opts)
-      .then((response) => {
-        // Capture the response status.
-        responseStatus = response.status;
-        let nextStep;
-        // If the response should be handled as JSON and it has a `json()` method...
-        if (handleAsJSON && typeof response.json === 'function') {
-          /**
-           * Since some clients fail to decode an empty response, we'll try to decode it,
-           * but if it fails, it will return an empty object.
-           *
-           * @ignore
-           */
-          nextStep = response.json().catch(() => ({}));
-        } else {
-          // If the response shouldn't be handled as JSON, set to return the raw object.
-          nextStep = response;
-        }
+    /**
+     * Handles a failed request: if it failed with a `401` and the token can be refreshed,
+     * it will refresh it and replay the request; otherwise, it will send the error
+     * through the error interceptors.
+     *
+     * @param {Error} error  The error that made the request fail.
+     * @returns {Promise<any>}
+     * @ignore
+     */
+    const handleError = (error) =>
+      settings.refreshToken && error.status === statuses('unauthorized')
+        ? this._refreshToken(error, settings.token).then(
+            // Replay the original request, but without refreshing the token again, and
+            // without deduplicating it, as the original request is still pending.
+            () =>
+              this.fetch({
+                ...options,
+                refreshToken: false,
+                dedupe: false,
+                idempotencyKey: idempotencyKey || options.idempotencyKey,
+              }),
+            (refreshError) => this._runErrorInterceptors(refreshError, request),
+          )
+        : this._runErrorInterceptors(error, request);
 
-        return nextStep;
-      })
-      .then((response) =>
-        /**
-         * If the response status is from an Error, format and return the error; otherwise, return
-         * the same response.
-         */
-        responseStatus >= statuses('bad request')
-          ? Promise.reject(this.error(response, responseStatus))
-          : response,
-      );
+    // Run the request interceptors.
+    return (
+      this._runInterceptors('request', request)
+        // Let the subscribers of the hub modify the request.
+        .then((interceptedRequest) =>
+          this._events.reduceAsync('request:options', interceptedRequest, this),
+        )
+        .then((reducedRequest) => this._authenticate(reducedRequest, settings))
+        .then((authenticatedRequest) => {
+          request = authenticatedRequest;
+          // The keys are generated from the final request, so responses for different
+          // credentials won't be cached or shared together.
+          settings.cacheKey = this._getCacheKey(request, settings);
+          // Check if the request can share the response of an identical one.
+          const dedupeKey = this._getDedupeKey(request, settings);
+          if (dedupeKey && this._pendingRequests[dedupeKey]) {
+            return this._pendingRequests[dedupeKey];
+          }
+
+          const promise = this._getCacheEntry(settings.cacheKey)
+            .then((cacheEntry) =>
+              // If the entry is still fresh, there's no need to make the request.
+              cacheEntry && cacheEntry.expires > Date.now()
+                ? this._resolveResponse(
+                    cacheEntry.body,
+                    {
+                      request,
+                      status: cacheEntry.status,
+                      response: null,
+                    },
+                    settings,
+                    cacheEntry,
+                  )
+                : this._trackRequest(
+                    this._addCacheValidators(request, cacheEntry),
+                    settings,
+                    cacheEntry,
+                  ),
+            )
+            .catch(handleError);
+
+          return dedupeKey ? this._addPendingRequest(dedupeKey, promise) : promise;
+        }, handleError)
+    );
   }
   /**
    * Makes a `GET` request.
@@ -343,6 +1330,94 @@ class APIClient {
   get(url, options = {}) {
     return this.fetch({ url, ...options });
   }
+  /**
+   * Runs a GraphQL operation on an endpoint. The operation is sent with a `POST`, and if
+   * the response has an `errors` list, the request will be rejected with a
+   * `graphql_error`, even if its status was `200`.
+   *
+   * @param {string} name
+   * The name of the GraphQL endpoint on the `endpoints` property.
+   * @param {?string} query
+   * The GraphQL query. It can be `null` if the operation uses a persisted query the
+   * server already knows.
+   * @param {Object} [variables={}]
+   * The variables for the operation.
+   * @param {Partial<APIClientGraphQLOptions>} [options={}]
+   * The request options.
+   * @returns {Promise<any>} The `data` of the response.
+   */
+  graphql(name, query, variables = {}, options = {}) {
+    let url;
+    try {
+      url = this.endpoint(name);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const { operationName, persistedQuery, ...requestOptions } = options;
+    const fullResponse =
+      typeof requestOptions.fullResponse === 'boolean'
+        ? requestOptions.fullResponse
+        : this._fullResponse;
+    /**
+     * Sends the operation to the endpoint.
+     *
+     * @param {boolean} includeQuery  Whether or not to send the query.
+     * @returns {Promise<APIClientFullResponse>}
+     * @ignore
+     */
+    const send = (includeQuery) => {
+      const body = { variables };
+      if (operationName) {
+        body.operationName = operationName;
+      }
+
+      if (includeQuery && query) {
+        body.query = query;
+      }
+
+      if (persistedQuery) {
+        body.extensions = {
+          persistedQuery: {
+            version: 1,
+            sha256Hash: persistedQuery,
+          },
+        };
+      }
+
+      return this.post(url, body, {
+        ...requestOptions,
+        endpoint: name,
+        responseType: 'json',
+        fullResponse: true,
+      });
+    };
+
+    let nextStep;
+    if (persistedQuery && query) {
+      nextStep = send(false).then(
+        (response) =>
+          this._isPersistedQueryNotFound(response.data) ? send(true) : response,
+        (error) =>
+          this._isPersistedQueryNotFound(error.body) ? send(true) : Promise.reject(error),
+      );
+    } else {
+      nextStep = send(true);
+    }
+
+    return nextStep.then((response) => {
+      const body = response.data || {};
+      if (Array.isArray(body.errors) && body.errors.length) {
+        return this._runErrorInterceptors(
+          this._createGraphQLError(response, body.errors),
+          response.request,
+        );
+      }
+
+      const data = typeof body.data === 'undefined' ? null : body.data;
+      return fullResponse ? { ...response, data } : data;
+    });
+  }
   /**
    * Makes a `HEAD` request.
    *
@@ -373,7 +1448,23 @@ class APIClient {
     return { ...headers, ...overwrites };
   }
   /**
-   * Makes a `PATCH` request.
+   * Creates an async iterator to request the pages of an endpoint, one after the other.
+   *
+   * @param {string} name
+   * The name of the endpoint on the `endpoints` property.
+   * @param {APIClientParametersDictionary} [parameters={}]
+   * The parameters for the first request.
+   * @param {Partial<APIClientPaginatorOptions>} [options={}]
+   * Customize how the pages are requested.
+   * @returns {APIClientPaginator}
+   * @throws {Error}
+   * If the pagination strategy is not supported.
+   */
+  paginate(name, parameters = {}, options = {}) {
+    return new APIClientPaginator(this, name, parameters, options);
+  }
+  /**
+   * Makes a `PATCH` request.
    *
    * @param {string}                url           The request URL.
    * @param {Object}                body          The request body.
@@ -410,6 +1501,24 @@ class APIClient {
   put(url, body, options = {}) {
     return this.post(url, body, { method: 'put', ...options });
   }
+  /**
+   * Removes an interceptor.
+   *
+   * @param {APIClientInterceptorType} type         The type of interceptor.
+   * @param {APIClientInterceptor}     interceptor  The interceptor function.
+   * @returns {boolean} Whether or not the interceptor was found and removed.
+   * @throws {Error} If the type is not supported.
+   */
+  removeInterceptor(type, interceptor) {
+    const interceptors = this._getInterceptors(type);
+    const index = interceptors.indexOf(interceptor);
+    if (index > -1) {
+      interceptors.splice(index, 1);
+      return true;
+    }
+
+    return false;
+  }
   /**
    * Sets a bearer token for all the requests.
    *
@@ -419,6 +1528,30 @@ class APIClient {
   setAuthorizationToken(token = '') {
     this._authorizationToken = token;
   }
+  /**
+   * Sets the function the client uses to authenticate the requests before they get sent.
+   *
+   * @param {?APIClientAuthStrategy} strategy  The new strategy. If it's `null`, the
+   *                                           requests won't be modified.
+   */
+  setAuthStrategy(strategy) {
+    this._authStrategy = strategy;
+  }
+  /**
+   * Sets the dictionary of named base URLs the endpoints can use. This can be used to
+   * switch environments without creating a new client.
+   *
+   * @param {Object.<string, string>} [baseURLs={}]
+   * The new dictionary of base URLs.
+   * @param {boolean} [overwrite=true]
+   * If `false`, it will merge the new base URLs with the current ones.
+   */
+  setBaseURLs(baseURLs = {}, overwrite = true) {
+    this._baseURLs = {
+      ...(overwrite ? {} : this._baseURLs),
+      ...baseURLs,
+    };
+  }
   /**
    * Sets the default headers for the requests.
    *
@@ -433,6 +1566,302 @@ class APIClient {
       ...headers,
     };
   }
+  /**
+   * Sets the options for the idempotency keys the client adds to the requests.
+   *
+   * @param {APIClientIdempotencyOption} options  The new options. If it's an object, it
+   *                                              will be merged with the current options;
+   *                                              and if it's a boolean, it will enable or
+   *                                              disable the keys.
+   */
+  setIdempotency(options) {
+    this._idempotency = this._createIdempotencyOptions(options, this._idempotency);
+  }
+  /**
+   * Enables or disables the logging of the requests.
+   *
+   * @param {?(APIClientLogger | Partial<APIClientLoggingOptions>)} logging
+   * A logger, or the options with a logger, to log the requests. If it's `null`, the
+   * logging will be disabled.
+   */
+  setLogging(logging) {
+    this._logging = this._createLoggingOptions(logging);
+  }
+  /**
+   * Sets the policy the client uses to retry failed requests.
+   *
+   * @param {APIClientRetryOption} policy  The new policy. If it's an object, it will be
+   *                                       merged with the current policy; if it's a
+   *                                       number, it will be used as the maximum
+   *                                       attempts; and if it's `false`, it will disable
+   *                                       the retries.
+   */
+  setRetryPolicy(policy) {
+    this._retryPolicy = this._createRetryPolicy(policy, this._retryPolicy);
+  }
+  /**
+   * Sets the function the client uses to get a new authorization token when a request
+   * fails with a `401`.
+   *
+   * @param {?APIClientTokenRefresher} refresher  The new refresher. If it's `null`, the
+   *                                              client won't try to refresh the token.
+   */
+  setTokenRefresher(refresher) {
+    this._tokenRefresher = refresher;
+  }
+  /**
+   * Sets the API entry point.
+   *
+   * @param {string} url  The new entry point.
+   */
+  setURL(url) {
+    this._url = url;
+  }
+  /**
+   * Makes a request for a stream of Server-Sent Events (`text/event-stream`), and returns
+   * an async iterator that yields the events as they are received. When the server closes
+   * the connection, the client will reconnect, sending the ID of the last event on the
+   * `Last-Event-ID` header.
+   *
+   * @param {string} url
+   * The request URL.
+   * @param {Partial<APIClientServerSentEventsOptions>} [options={}]
+   * The request options. If the options include a `signal` and it gets aborted, the
+   * iterator will be rejected with an `aborted` error.
+   * @returns {AsyncIterableIterator<APIClientServerSentEvent>}
+   * @example
+   *
+   *   for await (const { event, data } of client.streamEvents(url)) {
+   *     console.log(event, JSON.parse(data));
+   *   }
+   *
+   */
+  streamEvents(url, options = {}) {
+    const { reconnect, reconnectDelay, ...fetchOptions } = {
+      reconnect: true,
+      reconnectDelay: 3000,
+      ...options,
+    };
+    const request = { url, method: 'GET', signal: fetchOptions.signal };
+    let state = {
+      event: '',
+      data: [],
+      id: null,
+      retry: null,
+    };
+    let lines = null;
+    let closed = false;
+    /**
+     * Makes the request and creates the reader for the stream. If the response doesn't
+     * have a body (a `204`), the iterator will be closed.
+     *
+     * @returns {Promise}
+     * @ignore
+     */
+    const connect = () =>
+      this.fetch({
+        url,
+        ...fetchOptions,
+        headers: {
+          Accept: 'text/event-stream',
+          ...fetchOptions.headers,
+          ...(state.id ? { 'Last-Event-ID': state.id } : {}),
+        },
+        responseType: 'stream',
+        fullResponse: false,
+      }).then((body) => {
+        lines = body ? this._createLineReader(body) : null;
+        closed = !body;
+      });
+    /**
+     * Closes the current connection and, if possible, waits for the delay and reconnects.
+     *
+     * @returns {Promise}
+     * @ignore
+     */
+    const restart = () => {
+      lines = null;
+      state = { ...state, event: '', data: [] };
+      closed = closed || !reconnect;
+      return closed
+        ? Promise.resolve()
+        : this._wait(state.retry === null ? reconnectDelay : state.retry, fetchOptions);
+    };
+    /**
+     * Reads lines until an event is complete.
+     *
+     * @returns {Promise<IteratorResult<APIClientServerSentEvent>>}
+     * @ignore
+     */
+    const next = () => {
+      if (request.signal && request.signal.aborted) {
+        closed = true;
+        return Promise.reject(this._createAbortError(request));
+      }
+
+      if (closed) {
+        return Promise.resolve({ done: true, value: undefined });
+      }
+
+      if (!lines) {
+        return connect().then(next);
+      }
+
+      return this._readStreamLine(lines, request).then(
+        (line) => {
+          if (line === null) {
+            return restart().then(next);
+          }
+
+          const result = this._parseEventLine(line, state);
+          ({ state } = result);
+          return result.message ? { done: false, value: result.message } : next();
+        },
+        // If the signal was aborted, `next` will close the iterator.
+        () => (request.signal && request.signal.aborted ? next() : restart().then(next)),
+      );
+    };
+
+    /**
+     * Stops the stream when the iteration ends early.
+     *
+     * @returns {Promise}
+     * @ignore
+     */
+    const close = () => {
+      closed = true;
+      return lines ? lines.cancel() : Promise.resolve();
+    };
+
+    return this._createStreamIterator(next, close);
+  }
+  /**
+   * Makes a request for a stream of newline-delimited JSON (NDJSON), and returns an async
+   * iterator that yields the records as they are received.
+   *
+   * @param {string}                url           The request URL.
+   * @param {APIClientFetchOptions} [options={}]  The request options. If the options
+   *                                              include a `signal` and it gets aborted,
+   *                                              the iterator will be rejected with an
+   *                                              `aborted` error.
+   * @returns {AsyncIterableIterator<any>} If a line can't be decoded, the iterator will
+   *                                       be rejected with a `parse_error`.
+   * @example
+   *
+   *   for await (const user of client.streamNDJSON(url)) {
+   *     console.log(user.name);
+   *   }
+   *
+   */
+  streamNDJSON(url, options = {}) {
+    const method = options.method ? options.method.toUpperCase() : 'GET';
+    const request = { url, method, signal: options.signal };
+    let lines = null;
+    let closed = false;
+    /**
+     * Reads the next record of the stream, and it makes the request if it's the first
+     * one.
+     *
+     * @returns {Promise<IteratorResult<any>>}
+     * @ignore
+     */
+    const next = () => {
+      if (request.signal && request.signal.aborted) {
+        closed = true;
+        return Promise.reject(this._createAbortError(request));
+      }
+
+      if (closed) {
+        return Promise.resolve({ done: true, value: undefined });
+      }
+
+      if (!lines) {
+        return this.fetch({
+          url,
+          ...options,
+          headers: {
+            Accept: 'application/x-ndjson',
+            ...options.headers,
+          },
+          responseType: 'stream',
+          fullResponse: false,
+        }).then((body) => {
+          lines = this._createLineReader(body);
+          return next();
+        });
+      }
+
+      return this._readStreamLine(lines, request).then((line) => {
+        if (line === null) {
+          closed = true;
+          return { done: true, value: undefined };
+        }
+
+        if (!line.trim()) {
+          return next();
+        }
+
+        let value;
+        try {
+          value = JSON.parse(line);
+        } catch (error) {
+          closed = true;
+          throw new APIClientError(
+            `Unable to decode the record: ${error.message}`,
+            'parse_error',
+            {
+              url,
+              method,
+              cause: error,
+            },
+          );
+        }
+
+        return { done: false, value };
+      });
+    };
+
+    /**
+     * Stops the stream when the iteration ends early.
+     *
+     * @returns {Promise}
+     * @ignore
+     */
+    const close = () => {
+      closed = true;
+      return lines ? lines.cancel() : Promise.resolve();
+    };
+
+    return this._createStreamIterator(next, close);
+  }
+  /**
+   * A dictionary of functions to make requests to the endpoints, with the same structure
+   * the endpoints were defined with. For example, for the endpoint `users.update`, the
+   * function would be `api.users.update(parameters, body, options)`.
+   *
+   * @type {APIClientEndpointsCallers}
+   */
+  get api() {
+    if (!this._api) {
+      this._api = ObjectUtils.unflat(
+        Object.keys(this._endpoints).reduce((acc, name) => {
+          /**
+           * Makes a request to the endpoint.
+           *
+           * @type {APIClientEndpointCaller}
+           * @ignore
+           */
+          const caller = (...args) => this.call(name, ...args);
+          return {
+            ...acc,
+            [name]: caller,
+          };
+        }, {}),
+      );
+    }
+
+    return this._api;
+  }
   /**
    * An authorization token to include on the requests.
    *
@@ -441,6 +1870,56 @@ class APIClient {
   get authorizationToken() {
     return this._authorizationToken;
   }
+  /**
+   * The function the client uses to authenticate the requests before they get sent.
+   *
+   * @type {?APIClientAuthStrategy}
+   */
+  get authStrategy() {
+    return this._authStrategy;
+  }
+  /**
+   * A dictionary of named base URLs the endpoints can use.
+   *
+   * @type {Object.<string, string>}
+   */
+  get baseURLs() {
+    return { ...this._baseURLs };
+  }
+  /**
+   * Whether or not the client caches the responses of `GET` requests.
+   *
+   * @type {boolean}
+   */
+  get cacheEnabled() {
+    return this._cacheEnabled;
+  }
+  /**
+   * The store where the client saves the cached responses.
+   *
+   * @type {APIClientCacheStore}
+   */
+  get cacheStore() {
+    return this._cacheStore;
+  }
+  /**
+   * The circuit breaker that rejects the requests for hosts or endpoints that keep
+   * failing. If the client doesn't have one, it will be `null`.
+   *
+   * @type {?APIClientCircuitBreaker}
+   */
+  get circuitBreaker() {
+    return this._circuitBreaker;
+  }
+  /**
+   * Whether or not identical requests that are made while one of them is still in
+   * progress share the same response.
+   *
+   * @type {boolean}
+   */
+  get dedupeEnabled() {
+    return this._dedupeEnabled;
+  }
   /**
    * A dictionary of default headers to include on every request.
    *
@@ -457,6 +1936,14 @@ class APIClient {
   get endpoints() {
     return { ...this._endpoints };
   }
+  /**
+   * The hub where the client emits the events of the requests.
+   *
+   * @type {EventsHub}
+   */
+  get events() {
+    return this._events;
+  }
   /**
    * The fetch function that makes the requests.
    *
@@ -465,6 +1952,62 @@ class APIClient {
   get fetchClient() {
     return this._fetchClient;
   }
+  /**
+   * The options for the idempotency keys the client adds to the requests.
+   *
+   * @type {APIClientIdempotencyOptions}
+   */
+  get idempotency() {
+    return {
+      ...this._idempotency,
+      methods: this._idempotency.methods.slice(),
+    };
+  }
+  /**
+   * The options to log the requests. If logging is disabled, it will be `null`.
+   *
+   * @type {?APIClientLoggingOptions}
+   */
+  get logging() {
+    return this._logging
+      ? {
+          ...this._logging,
+          redactHeaders: this._logging.redactHeaders.slice(),
+          redactQuery: this._logging.redactQuery.slice(),
+          redactPaths: this._logging.redactPaths.slice(),
+        }
+      : null;
+  }
+  /**
+   * The policy the client uses to retry failed requests.
+   *
+   * @type {APIClientRetryPolicy}
+   */
+  get retryPolicy() {
+    return {
+      ...this._retryPolicy,
+      statuses: this._retryPolicy.statuses.slice(),
+      methods: this._retryPolicy.methods.slice(),
+    };
+  }
+  /**
+   * The scheduler that limits when the requests can be sent. If the client doesn't have
+   * limits, it will be `null`.
+   *
+   * @type {?APIClientScheduler}
+   */
+  get scheduler() {
+    return this._scheduler;
+  }
+  /**
+   * The time, in milliseconds, the client waits for each attempt of a request before
+   * aborting it.
+   *
+   * @type {number}
+   */
+  get timeout() {
+    return this._timeout;
+  }
   /**
    * The API entry point.
    *
@@ -473,6 +2016,2282 @@ class APIClient {
   get url() {
     return this._url;
   }
+  /**
+   * Adds the headers to revalidate a cache entry to a request.
+   *
+   * @param {APIClientRequestOptions} request     The request options.
+   * @param {?APIClientCacheEntry}    cacheEntry  The cache entry for the request, if
+   *                                              there's one.
+   * @returns {APIClientRequestOptions}
+   * @access protected
+   */
+  _addCacheValidators(request, cacheEntry) {
+    if (!cacheEntry || (!cacheEntry.etag && !cacheEntry.lastModified)) {
+      return request;
+    }
+
+    const headers = { ...request.headers };
+    if (cacheEntry.etag) {
+      headers['If-None-Match'] = cacheEntry.etag;
+    }
+    if (cacheEntry.lastModified) {
+      headers['If-Modified-Since'] = cacheEntry.lastModified;
+    }
+
+    return { ...request, headers };
+  }
+  /**
+   * Saves a request that is in progress so identical requests can share its response.
+   * Once the request is completed, it gets removed.
+   *
+   * @param {string}  key      The key that identifies the request.
+   * @param {Promise} promise  The promise of the request.
+   * @returns {Promise}
+   * @access protected
+   */
+  _addPendingRequest(key, promise) {
+    /**
+     * Removes the request from the dictionary of pending requests.
+     *
+     * @ignore
+     */
+    const remove = () => {
+      delete this._pendingRequests[key];
+    };
+    const pending = promise.then(
+      (response) => {
+        remove();
+        return response;
+      },
+      (error) => {
+        remove();
+        return Promise.reject(error);
+      },
+    );
+    this._pendingRequests[key] = pending;
+    return pending;
+  }
+  /**
+   * Sends a request through the authentication strategy, if the client has one.
+   *
+   * @param {APIClientRequestOptions}  request   The request options.
+   * @param {APIClientRequestSettings} settings  The settings for the request.
+   * @returns {Promise<APIClientRequestOptions>}
+   * @access protected
+   */
+  _authenticate(request, settings) {
+    return this._authStrategy && settings.authenticate
+      ? Promise.resolve(this._authStrategy(request, this))
+      : Promise.resolve(request);
+  }
+  /**
+   * Checks whether or not a request can be retried. Requests with idempotency keys can be
+   * retried even if their methods are not on the policy, as the server can identify them.
+   *
+   * @param {APIClientRequestOptions} request  The request options.
+   * @param {APIClientRetryPolicy}    policy   The retry policy for the request.
+   * @param {number}                  attempt  The number of the attempt that just failed.
+   * @returns {boolean}
+   * @access protected
+   */
+  _canRetry(request, policy, attempt) {
+    return (
+      attempt < policy.maxAttempts &&
+      (policy.methods.includes(request.method) || !!this._getIdempotencyKey(request))
+    );
+  }
+  /**
+   * Creates the error the client uses to reject a request that was aborted, or that timed
+   * out.
+   *
+   * @param {APIClientRequestOptions} request      The request options.
+   * @param {number}                  [timeout=0]  If the request timed out, the timeout,
+   *                                               in milliseconds.
+   * @returns {APIClientError}
+   * @access protected
+   */
+  _createAbortError(request, timeout = 0) {
+    const details = {
+      url: request.url,
+      method: request.method,
+      idempotencyKey: this._getIdempotencyKey(request),
+    };
+    let error;
+    if (timeout) {
+      error = new APIClientError(
+        `The request timed out after ${timeout}ms`,
+        'timeout',
+        details,
+      );
+      error.name = 'TimeoutError';
+    } else {
+      error = new APIClientError('The request was aborted', 'aborted', details);
+      error.name = 'AbortError';
+    }
+
+    return error;
+  }
+  /**
+   * Generates a cache entry for a response. If the response can't be cached, because it
+   * has `Cache-Control: no-store`, or because it can't be revalidated nor has a
+   * `max-age`,
+   * it will return `null`.
+   *
+   * @param {Response} response  The response from the fetch client.
+   * @param {*}        body      The decoded body of the response.
+   * @returns {?APIClientCacheEntry}
+   * @access protected
+   */
+  _createCacheEntry(response, body) {
+    const cacheControl = this._getCacheControl(response);
+    const etag = this._getResponseHeader(response, 'etag');
+    const lastModified = this._getResponseHeader(response, 'last-modified');
+    if (
+      cacheControl['no-store'] ||
+      (!etag && !lastModified && !cacheControl['max-age'])
+    ) {
+      return null;
+    }
+
+    return {
+      body,
+      status: response.status,
+      headers: this._getResponseHeaders(response),
+      etag,
+      lastModified,
+      expires: this._getCacheExpiration(cacheControl),
+    };
+  }
+  /**
+   * Creates the error the client uses to reject a request when its circuit is open.
+   *
+   * @param {APIClientRequestOptions} request  The request options.
+   * @param {string}                  key      The host or the endpoint of the circuit.
+   * @returns {APIClientError}
+   * @access protected
+   */
+  _createCircuitOpenError(request, key) {
+    return new APIClientError(`The circuit for ${key} is open`, 'circuit_open', {
+      url: request.url,
+      method: request.method,
+      idempotencyKey: this._getIdempotencyKey(request),
+    });
+  }
+  /**
+   * Creates a `FormData` object for a `multipart` body.
+   *
+   * @param {Object | FormData} body  The request body. If it's already a `FormData`
+   *                                  object, it will be returned as it is. If a value is
+   *                                  an array, each item will be added with the same
+   *                                  name.
+   * @returns {FormData}
+   * @throws {Error} If there's no `FormData` on the environment.
+   * @access protected
+   */
+  _createFormDataBody(body) {
+    const { FormData, Blob } = globalThis;
+    if (typeof FormData === 'undefined') {
+      throw new Error("The environment doesn't support FormData");
+    }
+
+    if (body instanceof FormData) {
+      return body;
+    }
+
+    const result = new FormData();
+    Object.keys(body).forEach((name) => {
+      const values = Array.isArray(body[name]) ? body[name] : [body[name]];
+      values
+        .filter((value) => typeof value !== 'undefined' && value !== null)
+        .forEach((value) => {
+          result.append(
+            name,
+            typeof value === 'object' &&
+              !(typeof Blob !== 'undefined' && value instanceof Blob)
+              ? JSON.stringify(value)
+              : value,
+          );
+        });
+    });
+
+    return result;
+  }
+  /**
+   * Encodes a `form` body as a query string.
+   *
+   * @param {Object | URLSearchParams} body  The request body. If a value is an array,
+   *                                         each item will be added with the same name.
+   * @returns {string}
+   * @access protected
+   */
+  _createFormURLEncodedBody(body) {
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+      return body.toString();
+    }
+
+    return Object.keys(body)
+      .reduce((acc, name) => {
+        const values = Array.isArray(body[name]) ? body[name] : [body[name]];
+        return [
+          ...acc,
+          ...values
+            .filter((value) => typeof value !== 'undefined' && value !== null)
+            .map((value) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`),
+        ];
+      }, [])
+      .join('&')
+      .replace(/%20/g, '+');
+  }
+  /**
+   * Creates the error for a GraphQL response that has an `errors` list.
+   *
+   * @param {APIClientFullResponse} response  The information of the response.
+   * @param {Object[]}              errors    The list of errors of the response.
+   * @returns {APIClientError}
+   * @access protected
+   */
+  _createGraphQLError(response, errors) {
+    const message = errors
+      .map((error) => (error && error.message) || 'Unknown error')
+      .join(', ');
+    return new APIClientError(`[${response.status}]: ${message}`, 'graphql_error', {
+      status: response.status,
+      body: response.data,
+      headers: response.headers,
+      url: response.url,
+      method: response.request.method,
+      errors,
+      idempotencyKey: this._getIdempotencyKey(response.request),
+    });
+  }
+  /**
+   * Generates the idempotency key for a request, if it needs one. If the request already
+   * has the header, its value will be used as the key.
+   *
+   * @param {APIClientRequestOptions} request  The request options.
+   * @returns {?string}
+   * @access protected
+   */
+  _createIdempotencyKey(request) {
+    const { idempotencyKey } = request;
+    if (typeof idempotencyKey === 'string') {
+      return idempotencyKey;
+    }
+
+    const current = this._getIdempotencyKey(request);
+    if (current) {
+      return current;
+    }
+
+    const { enabled, methods, generator } = this._idempotency;
+    const useKey =
+      typeof idempotencyKey === 'boolean'
+        ? idempotencyKey
+        : enabled && methods.includes(request.method);
+    return useKey ? generator(request) : null;
+  }
+  /**
+   * Generates the idempotency options using base ones and the value of an `idempotency`
+   * option.
+   *
+   * @param {APIClientIdempotencyOption | undefined} value
+   * The value of the `idempotency` option.
+   * @param {APIClientIdempotencyOptions} base
+   * The options that will be used as base.
+   * @returns {APIClientIdempotencyOptions}
+   * @access protected
+   */
+  _createIdempotencyOptions(value, base) {
+    let options;
+    if (typeof value === 'boolean') {
+      options = { ...base, enabled: value };
+    } else if (value && typeof value === 'object') {
+      options = { ...base, enabled: true, ...value };
+    } else {
+      options = { ...base };
+    }
+
+    options.methods = options.methods.map((method) => method.toUpperCase());
+    return options;
+  }
+  /**
+   * Creates a reader that splits the body of a response into lines. The body can be a
+   * `ReadableStream` (from the Fetch API) or an async iterable (like Node streams).
+   *
+   * @param {?(ReadableStream | AsyncIterable)} body  The body of the response.
+   * @returns {APIClientLineReader}
+   * @access protected
+   */
+  _createLineReader(body) {
+    const decoder = typeof TextDecoder === 'undefined' ? null : new TextDecoder();
+    const reader = body && typeof body.getReader === 'function' ? body.getReader() : null;
+    const iterator =
+      !reader && body && typeof body[Symbol.asyncIterator] === 'function'
+        ? body[Symbol.asyncIterator]()
+        : null;
+    /**
+     * Reads the next chunk of the stream.
+     *
+     * @returns {Promise<IteratorResult<string | Uint8Array>>}
+     * @ignore
+     */
+    const read = () => {
+      if (reader) {
+        return reader.read();
+      }
+
+      return iterator
+        ? iterator.next()
+        : Promise.resolve({ done: true, value: undefined });
+    };
+    /**
+     * Cancels the stream. If the stream fails to cancel, the error will be ignored.
+     *
+     * @returns {Promise}
+     * @ignore
+     */
+    const cancel = () =>
+      Promise.resolve()
+        .then(() => {
+          if (reader) {
+            return reader.cancel();
+          }
+
+          return iterator && iterator.return ? iterator.return() : undefined;
+        })
+        .catch(() => undefined);
+    let buffer = '';
+    let pending = [];
+    let done = false;
+    /**
+     * Decodes a chunk of the stream.
+     *
+     * @param {string | Uint8Array} chunk  The chunk to decode.
+     * @returns {string}
+     * @ignore
+     */
+    const decode = (chunk) => {
+      if (typeof chunk === 'string') {
+        return chunk;
+      }
+
+      return decoder ? decoder.decode(chunk, { stream: true }) : String(chunk);
+    };
+    /**
+     * Gets the next line, reading chunks from the stream until there's a complete one.
+     *
+     * @returns {Promise<?string>}
+     * @ignore
+     */
+    const next = () => {
+      if (pending.length) {
+        const [line, ...rest] = pending;
+        pending = rest;
+        return Promise.resolve(line.endsWith('\r') ? line.slice(0, -1) : line);
+      }
+
+      if (done) {
+        return Promise.resolve(null);
+      }
+
+      return read().then((result) => {
+        if (result.done) {
+          done = true;
+          const last = buffer + (decoder ? decoder.decode() : '');
+          buffer = '';
+          pending = last ? [last] : [];
+        } else {
+          const parts = (buffer + decode(result.value)).split('\n');
+          buffer = parts.pop();
+          pending = parts;
+        }
+
+        return next();
+      });
+    };
+
+    return { next, cancel };
+  }
+  /**
+   * Generates the options to log the requests.
+   *
+   * @param {?((APIClientLogger | Partial<APIClientLoggingOptions>) | undefined)} value
+   * The value of the `logging` option.
+   * @returns {?APIClientLoggingOptions}
+   * @access protected
+   */
+  _createLoggingOptions(value) {
+    if (!value) {
+      return null;
+    }
+
+    const options = {
+      headers: false,
+      bodies: false,
+      redactHeaders: ['Authorization', 'Cookie', 'Set-Cookie'],
+      redactQuery: ['X-API-Key', 'api_key', 'access_token', 'token'],
+      redactPaths: [],
+      placeholder: '[REDACTED]',
+      ...(typeof value.info === 'function' ? { logger: value } : value),
+    };
+    options.redactHeaders = options.redactHeaders.map((name) => name.toLowerCase());
+    options.redactQuery = options.redactQuery.map((name) => name.toLowerCase());
+    return options;
+  }
+  /**
+   * Creates the error the client uses to reject a request when the fetch client fails.
+   *
+   * @param {APIClientRequestOptions} request  The request options.
+   * @param {Error}                   error    The error the fetch client generated.
+   * @returns {APIClientError}
+   * @access protected
+   */
+  _createNetworkError(request, error) {
+    return new APIClientError(error.message, 'network_error', {
+      url: request.url,
+      method: request.method,
+      cause: error,
+      idempotencyKey: this._getIdempotencyKey(request),
+    });
+  }
+  /**
+   * Generates the information of a transfer for the progress callbacks.
+   *
+   * @param {number}  loaded        The number of bytes transferred so far.
+   * @param {?number} total         The total number of bytes, if it's known.
+   * @param {boolean} [done=false]  Whether or not the transfer ended.
+   * @returns {APIClientProgress}
+   * @access protected
+   */
+  _createProgress(loaded, total, done = false) {
+    let progress = null;
+    if (done) {
+      progress = 1;
+    } else if (total) {
+      progress = Math.min(loaded / total, 1);
+    }
+
+    return { loaded, total, progress };
+  }
+  /**
+   * Creates a response with a body that was already read, so it can be decoded the same
+   * way as the original one.
+   *
+   * @param {Response}   response  The original response.
+   * @param {Uint8Array} bytes     The body of the response.
+   * @returns {Object}
+   * @access protected
+   */
+  _createReadResponse(response, bytes) {
+    /**
+     * Decodes the body as text.
+     *
+     * @returns {Promise<string>}
+     * @ignore
+     */
+    const text = () => Promise.resolve(new TextDecoder().decode(bytes));
+    /**
+     * Decodes the body as JSON.
+     *
+     * @returns {Promise<any>}
+     * @ignore
+     */
+    const json = () => text().then((value) => JSON.parse(value));
+    /**
+     * Gets a copy of the body as an `ArrayBuffer`.
+     *
+     * @returns {Promise<ArrayBuffer>}
+     * @ignore
+     */
+    const arrayBuffer = () =>
+      Promise.resolve(
+        bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+      );
+    /**
+     * Gets the body as a `Blob`, with the type from the response headers.
+     *
+     * @returns {Promise<Blob>}
+     * @ignore
+     */
+    const blob = () => {
+      const { Blob } = globalThis;
+      return Promise.resolve(
+        new Blob([bytes], {
+          type: this._getResponseHeader(response, 'content-type') || '',
+        }),
+      );
+    };
+    return {
+      url: response.url,
+      status: response.status,
+      statusText: response.statusText,
+      ok: response.ok,
+      redirected: response.redirected,
+      headers: response.headers,
+      body: null,
+      bodyUsed: true,
+      text,
+      json,
+      arrayBuffer,
+      blob,
+    };
+  }
+  /**
+   * Generates the settings the client will use to send a request, based on the request
+   * options and the client configuration.
+   *
+   * @param {APIClientRequestOptions} request  The request options.
+   * @returns {APIClientRequestSettings}
+   * @access protected
+   */
+  _createRequestSettings(request) {
+    const settings = {
+      decodeResponse: typeof request.json === 'boolean' ? request.json : true,
+      responseType: request.responseType || this._responseType,
+      fullResponse:
+        typeof request.fullResponse === 'boolean'
+          ? request.fullResponse
+          : this._fullResponse,
+      retryPolicy: this._createRetryPolicy(request.retry, this._retryPolicy),
+      timeout: typeof request.timeout === 'number' ? request.timeout : this._timeout,
+      cache: typeof request.cache === 'boolean' ? request.cache : this._cacheEnabled,
+      cacheKey: null,
+      dedupe: typeof request.dedupe === 'boolean' ? request.dedupe : this._dedupeEnabled,
+      refreshToken:
+        !!this._tokenRefresher &&
+        (typeof request.refreshToken === 'boolean' ? request.refreshToken : true),
+      token: this._authorizationToken,
+      authenticate: request.auth !== false,
+      priority: request.priority || 0,
+      endpoint: request.endpoint || null,
+      onUploadProgress: request.onUploadProgress || null,
+      onDownloadProgress: request.onDownloadProgress || null,
+    };
+    if (settings.responseType) {
+      settings.decodeResponse = settings.responseType !== 'stream';
+    }
+
+    return settings;
+  }
+  /**
+   * Generates a retry policy using a base one and the value of a `retry` option.
+   *
+   * @param {APIClientRetryOption | undefined} value  The value of the `retry` option.
+   * @param {APIClientRetryPolicy}             base   The policy that will be used as
+   *                                                  base.
+   * @returns {APIClientRetryPolicy}
+   * @access protected
+   */
+  _createRetryPolicy(value, base) {
+    let policy;
+    if (value === false) {
+      policy = { ...base, maxAttempts: 1 };
+    } else if (typeof value === 'number') {
+      policy = { ...base, maxAttempts: value };
+    } else if (value && typeof value === 'object') {
+      policy = { ...base, ...value };
+    } else {
+      policy = { ...base };
+    }
+
+    policy.methods = policy.methods.map((method) => method.toUpperCase());
+    return policy;
+  }
+  /**
+   * Creates an async iterator for the methods that stream responses.
+   *
+   * @param {() => Promise<IteratorResult<T>>} next   The function to get the next value.
+   * @param {() => Promise}                    close  The function to stop the stream,
+   *                                                  when the iteration ends early.
+   * @returns {AsyncIterableIterator<T>}
+   * @template T
+   * @access protected
+   */
+  _createStreamIterator(next, close) {
+    const iterator = {
+      next,
+      return: null,
+    };
+    /**
+     * Stops the stream and ends the iteration.
+     *
+     * @returns {Promise<IteratorResult<T>>}
+     * @ignore
+     */
+    iterator.return = () => close().then(() => ({ done: true, value: undefined }));
+    /**
+     * Returns the iterator itself, so it can be used on a `for await` loop.
+     *
+     * @returns {AsyncIterableIterator<T>}
+     * @ignore
+     */
+    iterator[Symbol.asyncIterator] = () => iterator;
+    return iterator;
+  }
+  /**
+   * Decodes the body of a response.
+   *
+   * @param {Response}                response      The response from the fetch client.
+   * @param {APIClientRequestOptions} request       The request options.
+   * @param {APIClientResponseType}   responseType  How the body should be decoded.
+   * @returns {Promise<any>}
+   * @throws {Error} If the format is not supported.
+   * @access protected
+   */
+  _decodeResponse(response, request, responseType) {
+    const type =
+      responseType === 'auto' ? this._getResponseTypeFromHeaders(response) : responseType;
+    const empty =
+      request.method === 'HEAD' ||
+      [statuses('no content'), statuses('reset content')].includes(response.status) ||
+      this._getResponseHeader(response, 'content-length') === '0';
+    let result;
+    switch (empty && responseType === 'auto' ? 'json' : type) {
+      case 'json':
+        result = empty
+          ? Promise.resolve(null)
+          : this._parseJSONResponse(response, request);
+        break;
+      case 'text':
+        result = empty ? Promise.resolve('') : response.text();
+        break;
+      case 'blob':
+        result = response.blob();
+        break;
+      case 'arrayBuffer':
+        result = response.arrayBuffer();
+        break;
+      case 'stream':
+        result = Promise.resolve(response.body || null);
+        break;
+      default:
+        throw new Error(`Invalid response type: ${responseType}`);
+    }
+
+    return result;
+  }
+  /**
+   * Makes a single call to the fetch client. If the request has a timeout or a signal,
+   * the method will send the signal of the attempt controller to the fetch client, but it
+   * will also reject the request by itself, in case the fetch client doesn't support
+   * signals.
+   *
+   * @param {APIClientRequestOptions} request
+   * The request options.
+   * @param {number} timeout
+   * The time, in milliseconds, to wait before aborting the request.
+   * @param {?AbortController} [controller=null]
+   * The controller for the signal the fetch client will receive.
+   * @returns {Promise<Response>}
+   * @access protected
+   */
+  _fetch(request, timeout, controller = null) {
+    const { url, ...fetchOptions } = request;
+    return this._guardRequest(
+      request,
+      timeout,
+      () =>
+        this._fetchClient(
+          url,
+          controller ? { ...fetchOptions, signal: controller.signal } : fetchOptions,
+        ).catch((error) => Promise.reject(this._createNetworkError(request, error))),
+      controller,
+    );
+  }
+  /**
+   * Formats a request or response body so it can be logged: JSON strings and objects are
+   * redacted and encoded, other strings are logged as they are, and other types of bodies
+   * are replaced with their type.
+   *
+   * @param {*} body  The body to format.
+   * @returns {string}
+   * @access protected
+   */
+  _formatLogBody(body) {
+    let result;
+    if (typeof body === 'undefined' || body === null) {
+      result = '-';
+    } else if (typeof body === 'string') {
+      try {
+        result = JSON.stringify(this._redactBody(JSON.parse(body)));
+      } catch (ignore) {
+        result = body;
+      }
+    } else if (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype) {
+      result = JSON.stringify(this._redactBody(body));
+    } else if (typeof body === 'object') {
+      result = `[${body.constructor ? body.constructor.name : 'Object'}]`;
+    } else {
+      result = String(body);
+    }
+
+    return result;
+  }
+  /**
+   * Replaces the placeholders of an endpoint path with the values of the parameters. All
+   * the occurrences of a placeholder are replaced, and the optional placeholders without
+   * a value are removed, together with the slash before them. A `?` after a placeholder
+   * only makes it optional if it's followed by a slash or the end of the path; otherwise,
+   * it's the start of the query string.
+   *
+   * @param {string} path
+   * The endpoint path.
+   * @param {APIClientParametersDictionary} parameters
+   * The values for the placeholders.
+   * @param {boolean} encode
+   * Whether or not to URL-encode the values.
+   * @returns {{ path: string; used: string[] }} The formatted path and the list of
+   *                                             parameters that have placeholders.
+   * @access protected
+   */
+  _formatPath(path, parameters, encode) {
+    const used = [];
+    const newPath = path.replace(
+      /(\/?):([\w-]+)(\?(?=\/|$))?/g,
+      (match, slash, placeholder, optional) => {
+        const value = parameters[placeholder];
+        if (!used.includes(placeholder)) {
+          used.push(placeholder);
+        }
+
+        if (typeof value === 'undefined' || value === null) {
+          return optional ? '' : match;
+        }
+
+        return `${slash}${encode ? encodeURIComponent(`${value}`) : value}`;
+      },
+    );
+
+    return { path: newPath, used };
+  }
+  /**
+   * Generates a random UUID (v4) to be used as an idempotency key. If the environment
+   * supports `crypto.randomUUID`, it will be used; otherwise, the UUID will be generated
+   * using the bytes from {@link APIClient#_getRandomBytes}.
+   *
+   * @returns {string}
+   * @access protected
+   */
+  _generateIdempotencyKey() {
+    const { crypto } = globalThis;
+    if (crypto && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+
+    const bytes = this._getRandomBytes(16);
+    // Set the version (4) and the variant (10xx) of the UUID.
+    bytes[6] = 0x40 + (bytes[6] % 0x10);
+    bytes[8] = 0x80 + (bytes[8] % 0x40);
+    const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return [
+      hex.substr(0, 8),
+      hex.substr(8, 4),
+      hex.substr(12, 4),
+      hex.substr(16, 4),
+      hex.substr(20),
+    ].join('-');
+  }
+  /**
+   * Gets the base URL for an endpoint: the one on its `baseURL` property or, if it
+   * doesn't have one, the API entry point.
+   *
+   * @param {string}            name      The name of the endpoint.
+   * @param {APIClientEndpoint} endpoint  The endpoint definition.
+   * @returns {string}
+   * @throws {Error} If the endpoint uses a named base URL that doesn't exist.
+   * @access protected
+   */
+  _getBaseURL(name, endpoint) {
+    const { baseURL } = endpoint;
+    if (!baseURL) {
+      return this._url;
+    }
+
+    if (typeof this._baseURLs[baseURL] === 'string') {
+      return this._baseURLs[baseURL];
+    }
+
+    if (/^(?:[a-z][\w+.-]*:)?\/\//i.test(baseURL)) {
+      return baseURL;
+    }
+
+    throw new Error(`Unknown base URL for the endpoint ${name}: ${baseURL}`);
+  }
+  /**
+   * Gets the bytes of a request body, in case it can be streamed. Only strings,
+   * `ArrayBuffer`s and their views can be converted.
+   *
+   * @param {*} body  The request body.
+   * @returns {?Uint8Array}
+   * @access protected
+   */
+  _getBodyBytes(body) {
+    let result = null;
+    if (typeof body === 'string') {
+      if (typeof TextEncoder !== 'undefined') {
+        result = new TextEncoder().encode(body);
+      }
+    } else if (typeof ArrayBuffer !== 'undefined') {
+      if (body instanceof ArrayBuffer) {
+        result = new Uint8Array(body);
+      } else if (ArrayBuffer.isView(body)) {
+        result = new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+      }
+    }
+
+    return result;
+  }
+  /**
+   * Infers the format of a request body:
+   * - Strings are sent as they are (`raw`).
+   * - `FormData` objects are `multipart`.
+   * - `URLSearchParams` objects are `form`.
+   * - `Blob`, `ArrayBuffer`, its views (like `Buffer`) and streams are `binary`.
+   * - Everything else is `json`.
+   *
+   * @param {*} body  The request body.
+   * @returns {APIClientBodyType}
+   * @access protected
+   */
+  _getBodyType(body) {
+    const { FormData, Blob } = globalThis;
+    let result;
+    if (typeof body !== 'object') {
+      result = 'raw';
+    } else if (typeof FormData !== 'undefined' && body instanceof FormData) {
+      result = 'multipart';
+    } else if (
+      typeof URLSearchParams !== 'undefined' &&
+      body instanceof URLSearchParams
+    ) {
+      result = 'form';
+    } else if (
+      (typeof Blob !== 'undefined' && body instanceof Blob) ||
+      body instanceof ArrayBuffer ||
+      ArrayBuffer.isView(body) ||
+      typeof body.pipe === 'function' ||
+      typeof body.getReader === 'function'
+    ) {
+      result = 'binary';
+    } else {
+      result = 'json';
+    }
+
+    return result;
+  }
+  /**
+   * Parses the `Cache-Control` header of a response into a dictionary of directives.
+   * Directives without values, like `no-store`, are set as `true`.
+   *
+   * @param {Response} response  The response from the fetch client.
+   * @returns {Object.<string, string | boolean>}
+   * @access protected
+   */
+  _getCacheControl(response) {
+    const header = this._getResponseHeader(response, 'cache-control');
+    return (header || '')
+      .split(',')
+      .map((directive) => directive.trim())
+      .filter((directive) => directive)
+      .reduce((acc, directive) => {
+        const [name, value] = directive.split('=');
+        return {
+          ...acc,
+          [name.toLowerCase()]: typeof value === 'undefined' ? true : value,
+        };
+      }, {});
+  }
+  /**
+   * Gets a cache entry from the store.
+   *
+   * @param {?string} key  The key of the entry. If it's `null`, the method will resolve
+   *                       with `null`.
+   * @returns {Promise<?APIClientCacheEntry>}
+   * @access protected
+   */
+  _getCacheEntry(key) {
+    return key
+      ? Promise.resolve(this._cacheStore.get(key)).then((entry) => entry || null)
+      : Promise.resolve(null);
+  }
+  /**
+   * Calculates until when a cache entry can be used without revalidating it.
+   *
+   * @param {Object.<string, string | boolean>} cacheControl
+   * The directives of the `Cache-Control` header of the response.
+   * @returns {number} A timestamp in milliseconds.
+   * @access protected
+   */
+  _getCacheExpiration(cacheControl) {
+    const maxAge = Number(cacheControl['max-age']);
+    return !cacheControl['no-cache'] && maxAge > 0
+      ? Date.now() + maxAge * 1000
+      : Date.now();
+  }
+  /**
+   * Generates the key for the cache entry of a request. Only `GET` requests that decode
+   * the response can be cached.
+   *
+   * @param {APIClientRequestOptions}  request   The request options.
+   * @param {APIClientRequestSettings} settings  The settings the client will use to send
+   *                                             the request.
+   * @returns {?string} If the request can't be cached, it will return `null`.
+   * @access protected
+   */
+  _getCacheKey(request, settings) {
+    return settings.cache && request.method === 'GET' && settings.decodeResponse
+      ? this._getRequestKey(request, settings.responseType)
+      : null;
+  }
+  /**
+   * Generates the key to share the response of a request with identical requests that are
+   * made while it's in progress. Only `GET` and `HEAD` requests that decode the response
+   * and don't have their own signal can be shared, as cancelling one of them would cancel
+   * the rest.
+   *
+   * @param {APIClientRequestOptions}  request   The request options.
+   * @param {APIClientRequestSettings} settings  The settings the client will use to send
+   *                                             the request.
+   * @returns {?string} If the request can't be shared, it will return `null`.
+   * @access protected
+   */
+  _getDedupeKey(request, settings) {
+    return settings.dedupe &&
+      ['GET', 'HEAD'].includes(request.method) &&
+      settings.decodeResponse &&
+      !request.signal &&
+      !settings.onDownloadProgress
+      ? this._getRequestKey(
+          request,
+          settings.responseType,
+          settings.fullResponse ? 'full' : '',
+        )
+      : null;
+  }
+  /**
+   * Gets the idempotency key a request has on its headers.
+   *
+   * @param {APIClientRequestOptions} request  The request options.
+   * @returns {?string}
+   * @access protected
+   */
+  _getIdempotencyKey(request) {
+    return this._getResponseHeader(request, this._idempotency.header);
+  }
+  /**
+   * Gets the list of interceptors for a specific type.
+   *
+   * @param {APIClientInterceptorType} type  The type of interceptor.
+   * @returns {Function[]}
+   * @throws {Error} If the type is not supported.
+   * @access protected
+   */
+  _getInterceptors(type) {
+    const interceptors = this._interceptors[type];
+    if (!interceptors) {
+      throw new Error(`Invalid interceptor type: ${type}`);
+    }
+
+    return interceptors;
+  }
+  /**
+   * Generates a list of random bytes. It uses `crypto.getRandomValues` if the environment
+   * supports it, and `Math.random` as a last resort.
+   *
+   * @param {number} size  The number of bytes to generate.
+   * @returns {Uint8Array}
+   * @access protected
+   */
+  _getRandomBytes(size) {
+    const { crypto } = globalThis;
+    const bytes = new Uint8Array(size);
+    if (crypto && typeof crypto.getRandomValues === 'function') {
+      crypto.getRandomValues(bytes);
+    } else {
+      bytes.forEach((byte, index) => {
+        bytes[index] = Math.floor(Math.random() * 256);
+      });
+    }
+
+    return bytes;
+  }
+  /**
+   * Generates a key to identify a request. The key is generated using the method, the URL
+   * and the headers, so requests with different authorization headers, for example, won't
+   * be considered the same. The key is used for the cache entries and to share the
+   * responses of identical requests.
+   *
+   * @param {APIClientRequestOptions} request   The request options.
+   * @param {...?string}              variants  Extra values to identify the request, like
+   *                                            the response type, for requests that would
+   *                                            be resolved with different values.
+   * @returns {string}
+   * @access protected
+   */
+  _getRequestKey(request, ...variants) {
+    const headers = request.headers || {};
+    const headersKey = Object.keys(headers)
+      .sort()
+      .map((name) => `${name.toLowerCase()}:${headers[name]}`)
+      .join('|');
+    return [request.method, request.url, headersKey, ...variants]
+      .filter((part) => !!part)
+      .join(' ');
+  }
+  /**
+   * Reads a header from a response. This works with both `Headers` objects and plain
+   * dictionaries, as some fetch clients don't implement the `Headers` interface.
+   *
+   * @param {Response} response  The response from where the header will be read.
+   * @param {string}   name      The name of the header.
+   * @returns {?string}
+   * @access protected
+   */
+  _getResponseHeader(response, name) {
+    const { headers } = response;
+    let result = null;
+    if (headers) {
+      if (typeof headers.get === 'function') {
+        result = headers.get(name);
+      } else {
+        const headerName = Object.keys(headers).find(
+          (key) => key.toLowerCase() === name.toLowerCase(),
+        );
+        if (headerName) {
+          result = headers[headerName];
+        }
+      }
+    }
+
+    return typeof result === 'undefined' ? null : result;
+  }
+  /**
+   * Generates a dictionary with the headers of a response. This works with both `Headers`
+   * objects and plain dictionaries, and the names are always in lower case.
+   *
+   * @param {Response} response  The response from where the headers will be read.
+   * @returns {Object.<string, string>}
+   * @access protected
+   */
+  _getResponseHeaders(response) {
+    const result = {};
+    const { headers } = response || {};
+    if (headers) {
+      if (typeof headers.forEach === 'function') {
+        headers.forEach((value, name) => {
+          result[name.toLowerCase()] = value;
+        });
+      } else {
+        Object.keys(headers).forEach((name) => {
+          result[name.toLowerCase()] = headers[name];
+        });
+      }
+    }
+
+    return result;
+  }
+  /**
+   * Infers how a response body should be decoded using its `Content-Type` header.
+   *
+   * @param {Response} response  The response from the fetch client.
+   * @returns {APIClientResponseType}
+   * @access protected
+   */
+  _getResponseTypeFromHeaders(response) {
+    const contentType = (this._getResponseHeader(response, 'content-type') || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    let result;
+    if (contentType.includes('json')) {
+      result = 'json';
+    } else if (
+      !contentType ||
+      contentType.startsWith('text/') ||
+      contentType.includes('xml') ||
+      contentType.includes('javascript') ||
+      contentType === 'application/x-www-form-urlencoded'
+    ) {
+      result = 'text';
+    } else {
+      result = typeof response.blob === 'function' ? 'blob' : 'arrayBuffer';
+    }
+
+    return result;
+  }
+  /**
+   * Calculates how long the client should wait before retrying a request.
+   *
+   * @param {APIClientRetryPolicy} policy      The retry policy for the request.
+   * @param {number}               attempt     The number of the attempt that just failed.
+   * @param {?Response}            [response]  The response of the failed attempt, if it
+   *                                           wasn't a network error.
+   * @returns {number} The delay in milliseconds.
+   * @access protected
+   */
+  _getRetryDelay(policy, attempt, response = null) {
+    if (
+      policy.retryAfter &&
+      response &&
+      [statuses('too many requests'), statuses('service unavailable')].includes(
+        response.status,
+      )
+    ) {
+      const retryAfter = this._getResponseHeader(response, 'retry-after');
+      if (retryAfter) {
+        // The header can be either a number of seconds or an HTTP date.
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds)
+          ? Date.parse(retryAfter) - Date.now()
+          : seconds * 1000;
+        if (!Number.isNaN(delay)) {
+          return Math.min(Math.max(delay, 0), policy.maxDelay);
+        }
+      }
+    }
+
+    const delay = Math.min(
+      policy.maxDelay,
+      policy.delay * policy.factor ** (attempt - 1),
+    );
+    return policy.jitter ? Math.round(Math.random() * delay) : delay;
+  }
+  /**
+   * Runs a task for a request (sending it or decoding its response), and rejects it if
+   * the request signal gets aborted or if the timeout is reached before the task
+   * finishes.
+   *
+   * @param {APIClientRequestOptions} request
+   * The request options.
+   * @param {number} timeout
+   * The time, in milliseconds, to wait before aborting the task.
+   * @param {() => Promise<T>} task
+   * The function that runs the task.
+   * @param {?AbortController} [controller=null]
+   * A controller to abort when the task is rejected, so the fetch client can also stop
+   * the request.
+   * @returns {Promise<T>}
+   * @template T
+   * @access protected
+   */
+  _guardRequest(request, timeout, task, controller = null) {
+    const { signal } = request;
+    if (!timeout && !signal) {
+      return task();
+    }
+
+    if (signal && signal.aborted) {
+      if (controller) {
+        controller.abort();
+      }
+
+      return Promise.reject(this._createAbortError(request));
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer;
+      let onAbort;
+      /**
+       * Removes the timer and the listener for the signal, so they won't be triggered
+       * once the task is done.
+       *
+       * @ignore
+       */
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      /**
+       * Rejects the task and aborts the controller.
+       *
+       * @param {Error} error  The error for the rejection.
+       * @ignore
+       */
+      const abort = (error) => {
+        cleanup();
+        reject(error);
+        if (controller) {
+          controller.abort();
+        }
+      };
+      /**
+       * The listener for the received signal.
+       *
+       * @ignore
+       */
+      onAbort = () => abort(this._createAbortError(request));
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      if (timeout) {
+        timer = setTimeout(
+          () => abort(this._createAbortError(request, timeout)),
+          timeout,
+        );
+      }
+
+      task().then(
+        (result) => {
+          cleanup();
+          resolve(result);
+        },
+        (error) => {
+          cleanup();
+          reject(error);
+        },
+      );
+    });
+  }
+  /**
+   * Processes a response from the fetch client: if the response is a `304` for a request
+   * that was revalidating a cache entry, it will use the cached body; otherwise, it will
+   * decode it (if needed), generate an error if the status is from an error, update the
+   * cache, and send the response to the interceptors.
+   *
+   * @param {Response}                 response    The response from the fetch client.
+   * @param {APIClientRequestOptions}  request     The request options.
+   * @param {APIClientRequestSettings} settings    The settings for the request.
+   * @param {?APIClientCacheEntry}     cacheEntry  The cache entry for the request, if
+   *                                               there's one.
+   * @returns {Promise<any>}
+   * @access protected
+   */
+  _handleResponse(response, request, settings, cacheEntry) {
+    const responseStatus = response.status;
+    const context = {
+      request,
+      status: responseStatus,
+      response,
+    };
+    if (cacheEntry && responseStatus === statuses('not modified')) {
+      // The entry is still valid, so update its expiration and use the cached body.
+      const cacheControl = this._getCacheControl(response);
+      const nextStep = cacheControl['no-store']
+        ? this._cacheStore.delete(settings.cacheKey)
+        : this._cacheStore.set(settings.cacheKey, {
+            ...cacheEntry,
+            expires: this._getCacheExpiration(cacheControl),
+          });
+      return Promise.resolve(nextStep).then(() =>
+        this._resolveResponse(
+          cacheEntry.body,
+          {
+            ...context,
+            status: cacheEntry.status,
+          },
+          settings,
+          cacheEntry,
+        ),
+      );
+    }
+
+    let nextStep;
+    if (settings.responseType) {
+      nextStep = this._decodeResponse(response, request, settings.responseType);
+      // If the request failed, the error is more important than the body.
+      if (responseStatus >= statuses('bad request')) {
+        nextStep = nextStep.catch(() => null);
+      }
+    } else if (settings.decodeResponse && typeof response.json === 'function') {
+      /**
+       * Since some clients fail to decode an empty response, empty bodies are resolved as
+       * empty objects. If the response has a `text()` method, it will be used to detect
+       * them, and the bodies that can't be decoded will be rejected with a `parse_error`;
+       * otherwise, if the decoding fails, it will return an empty object.
+       *
+       * @ignore
+       */
+      nextStep =
+        typeof response.text === 'function'
+          ? this._parseJSONResponse(response, request, {})
+          : response.json().catch(() => ({}));
+      // If the request failed, the error is more important than the body.
+      if (responseStatus >= statuses('bad request')) {
+        nextStep = nextStep.catch(() => ({}));
+      }
+    } else {
+      // If the response shouldn't be handled as JSON, set to return the raw object.
+      nextStep = Promise.resolve(response);
+    }
+
+    return nextStep.then((body) => {
+      // If the response status is from an Error, format and return the error.
+      if (responseStatus >= statuses('bad request')) {
+        return Promise.reject(
+          this.error(body, responseStatus, {
+            headers: this._getResponseHeaders(response),
+            url: request.url,
+            method: request.method,
+            idempotencyKey: this._getIdempotencyKey(request),
+          }),
+        );
+      }
+
+      let cacheStep;
+      if (settings.cacheKey && responseStatus === statuses('ok')) {
+        const entry = this._createCacheEntry(response, body);
+        cacheStep = entry
+          ? this._cacheStore.set(settings.cacheKey, entry)
+          : this._cacheStore.delete(settings.cacheKey);
+      }
+
+      return Promise.resolve(cacheStep).then(() =>
+        this._resolveResponse(body, context, settings),
+      );
+    });
+  }
+  /**
+   * Checks if the body of a GraphQL response says the server doesn't know a persisted
+   * query.
+   *
+   * @param {*} body  The body of the response.
+   * @returns {boolean}
+   * @access protected
+   */
+  _isPersistedQueryNotFound(body) {
+    return (
+      !!body &&
+      Array.isArray(body.errors) &&
+      body.errors.some(
+        (error) =>
+          !!error &&
+          (error.message === 'PersistedQueryNotFound' ||
+            (!!error.extensions &&
+              error.extensions.code === 'PERSISTED_QUERY_NOT_FOUND')),
+      )
+    );
+  }
+  /**
+   * Logs a message with the client logger, if logging is enabled.
+   *
+   * @param {'info' | 'warn' | 'error'} type     The type of message.
+   * @param {string}                    message  The message to log.
+   * @access protected
+   */
+  _log(type, message) {
+    if (this._logging) {
+      const { logger } = this._logging;
+      if (type === 'warn' && typeof logger.warn !== 'function') {
+        logger.warning(message);
+      } else {
+        logger[type](message);
+      }
+    }
+  }
+  /**
+   * Logs the result of a request: its method, URL, status and duration, and if the
+   * logging options allow it, its headers and its bodies, after redacting them.
+   *
+   * @param {APIClientRequestOptions} request          The request options.
+   * @param {Object}                  result           The information of the response.
+   * @param {?number}                 result.status    The status of the response, if
+   *                                                   there was one.
+   * @param {number}                  result.duration  How long the request took, in
+   *                                                   milliseconds.
+   * @param {Object.<string, string>} result.headers   The headers of the response.
+   * @param {*}                       result.body      The decoded body of the response.
+   * @param {boolean}                 result.decoded   Whether or not the response body
+   *                                                   was decoded, as it won't be logged
+   *                                                   otherwise.
+   * @param {Error}                   [result.error]   The error, if the request failed.
+   * @access protected
+   */
+  _logRequest(request, result) {
+    if (!this._logging) {
+      return;
+    }
+
+    const { headers, bodies } = this._logging;
+    const { status, duration, error } = result;
+    const url = this._redactURL(request.url);
+    let message = `${request.method} ${url} ${status || '-'} (${duration}ms)`;
+    if (error) {
+      message += `: ${error.message}`;
+    }
+
+    const lines = [message];
+    if (headers) {
+      lines.push(
+        `Request headers: ${JSON.stringify(this._redactHeaders(request.headers || {}))}`,
+        `Response headers: ${JSON.stringify(this._redactHeaders(result.headers))}`,
+      );
+    }
+
+    if (bodies) {
+      lines.push(`Request body: ${this._formatLogBody(request.body)}`);
+      if (result.decoded) {
+        lines.push(`Response body: ${this._formatLogBody(result.body)}`);
+      }
+    }
+
+    this._log(error ? 'error' : 'info', lines.join('\n'));
+  }
+  /**
+   * Parses a line of a Server-Sent Events stream. If the line completes an event, it will
+   * be returned as the `message`.
+   *
+   * @param {string} line
+   * The line to parse.
+   * @param {APIClientServerSentEventsState} state
+   * The information of the event being parsed.
+   * @returns {{
+   *   state: APIClientServerSentEventsState;
+   *   message: ?APIClientServerSentEvent;
+   * }}
+   * @access protected
+   */
+  _parseEventLine(line, state) {
+    let newState = state;
+    let message = null;
+    if (!line) {
+      if (state.data.length) {
+        message = {
+          event: state.event || 'message',
+          data: state.data.join('\n'),
+          id: state.id,
+        };
+      }
+
+      newState = { ...state, event: '', data: [] };
+    } else if (!line.startsWith(':')) {
+      const separator = line.indexOf(':');
+      const field = separator > -1 ? line.substr(0, separator) : line;
+      let value = separator > -1 ? line.substr(separator + 1) : '';
+      if (value.startsWith(' ')) {
+        value = value.substr(1);
+      }
+
+      if (field === 'event') {
+        newState = { ...state, event: value };
+      } else if (field === 'data') {
+        newState = { ...state, data: [...state.data, value] };
+      } else if (field === 'id' && !value.includes('\0')) {
+        newState = { ...state, id: value };
+      } else if (field === 'retry' && /^\d+$/.test(value)) {
+        newState = { ...state, retry: parseInt(value, 10) };
+      }
+    }
+
+    return { state: newState, message };
+  }
+  /**
+   * Decodes a response body as JSON. If the response has a `text()` method, it will be
+   * used, so empty bodies can be resolved with a default value.
+   *
+   * @param {Response} response
+   * The response from the fetch client.
+   * @param {APIClientRequestOptions} request
+   * The request options.
+   * @param {*} [emptyValue=null]
+   * The value for empty bodies.
+   * @returns {Promise<any>}
+   * @access protected
+   */
+  _parseJSONResponse(response, request, emptyValue = null) {
+    /**
+     * Generates the error for a body that couldn't be decoded.
+     *
+     * @param {Error} error  The original error.
+     * @returns {Promise} A rejected promise.
+     * @ignore
+     */
+    const reject = (error) =>
+      Promise.reject(
+        new APIClientError(
+          `Unable to decode the response: ${error.message}`,
+          'parse_error',
+          {
+            status: response.status,
+            headers: this._getResponseHeaders(response),
+            url: request.url,
+            method: request.method,
+            cause: error,
+          },
+        ),
+      );
+
+    if (typeof response.text !== 'function') {
+      return response.json().catch(reject);
+    }
+
+    return response.text().then((text) => {
+      let result;
+      try {
+        result = text ? JSON.parse(text) : emptyValue;
+      } catch (error) {
+        result = reject(error);
+      }
+
+      return result;
+    });
+  }
+  /**
+   * Sends a request through the circuit breaker, if the client has one, so it will be
+   * rejected with a `circuit_open` error, without being sent, if its host (or endpoint)
+   * keeps failing.
+   *
+   * @param {APIClientRequestOptions}  request   The request options.
+   * @param {APIClientRequestSettings} settings  The settings for the request.
+   * @param {() => Promise<Response>}  send      The function that sends the request.
+   * @returns {Promise<Response>}
+   * @access protected
+   */
+  _protectRequest(request, settings, send) {
+    if (!this._circuitBreaker) {
+      return send();
+    }
+
+    /**
+     * Generates the error for when the circuit of the request is open.
+     *
+     * @param {string} key  The host or the endpoint of the circuit.
+     * @returns {APIClientError}
+     * @ignore
+     */
+    const createError = (key) => this._createCircuitOpenError(request, key);
+    return this._circuitBreaker.execute(send, {
+      host: urijs(request.url).host(),
+      endpoint: settings.endpoint,
+      createError,
+    });
+  }
+  /**
+   * Reads the body of a response as a stream, in order to report the progress of the
+   * download. If the request doesn't have an `onDownloadProgress` callback, the response
+   * will be returned as it is; and if the body can't be read as a stream, the callback
+   * will be called once, as the download already ended.
+   *
+   * @param {Response}                 response  The response from the fetch client.
+   * @param {APIClientRequestSettings} settings  The settings for the request.
+   * @returns {Promise<Response>}
+   * @access protected
+   */
+  _readResponseBody(response, settings) {
+    const { onDownloadProgress } = settings;
+    if (!onDownloadProgress) {
+      return Promise.resolve(response);
+    }
+
+    const length = parseInt(this._getResponseHeader(response, 'content-length'), 10);
+    const total = Number.isNaN(length) ? null : length;
+    if (
+      !settings.decodeResponse ||
+      !response.body ||
+      typeof response.body.getReader !== 'function' ||
+      typeof TextDecoder === 'undefined'
+    ) {
+      onDownloadProgress(this._createProgress(total || 0, total, true));
+      return Promise.resolve(response);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    /**
+     * Reads the next chunk of the body, until the stream is done.
+     *
+     * @returns {Promise}
+     * @ignore
+     */
+    const read = () =>
+      reader.read().then(({ done, value }) => {
+        if (done) {
+          return undefined;
+        }
+
+        chunks.push(value);
+        loaded += value.byteLength;
+        onDownloadProgress(this._createProgress(loaded, total));
+        return read();
+      });
+
+    onDownloadProgress(this._createProgress(0, total));
+    return read().then(() => {
+      const bytes = new Uint8Array(loaded);
+      chunks.reduce((offset, chunk) => {
+        bytes.set(chunk, offset);
+        return offset + chunk.byteLength;
+      }, 0);
+      onDownloadProgress(this._createProgress(loaded, total, true));
+      return this._createReadResponse(response, bytes);
+    });
+  }
+  /**
+   * Reads the next line of a streamed response. If the request signal gets aborted while
+   * the client waits for the line, the stream will be cancelled and the promise will be
+   * rejected with an `aborted` error.
+   *
+   * @param {APIClientLineReader}     lines    The reader for the stream.
+   * @param {APIClientRequestOptions} request  The request the stream is for.
+   * @returns {Promise<?string>}
+   * @access protected
+   */
+  _readStreamLine(lines, request) {
+    return this._guardRequest(request, 0, () => lines.next()).catch((error) => {
+      if (request.signal && request.signal.aborted) {
+        lines.cancel();
+      }
+
+      return Promise.reject(error);
+    });
+  }
+  /**
+   * Replaces the values of the properties that should be redacted from a body.
+   *
+   * @param {*} body  The body to redact.
+   * @returns {*} A copy of the body, with the redacted values.
+   * @access protected
+   */
+  _redactBody(body) {
+    const { redactPaths, placeholder } = this._logging;
+    /**
+     * Replaces the value of a path on a target, by making copies of all the objects on
+     * the path.
+     *
+     * @param {*}        target  The object or array where the value should be replaced.
+     * @param {string[]} parts   The components of the path.
+     * @returns {*}
+     * @ignore
+     */
+    const redact = (target, parts) => {
+      if (!target || typeof target !== 'object') {
+        return target;
+      }
+
+      const [part, ...rest] = parts;
+      const keys =
+        part === '*'
+          ? Object.keys(target)
+          : [part].filter((key) => Object.prototype.hasOwnProperty.call(target, key));
+      if (!keys.length) {
+        return target;
+      }
+
+      const copy = Array.isArray(target) ? target.slice() : { ...target };
+      keys.forEach((key) => {
+        copy[key] = rest.length ? redact(copy[key], rest) : placeholder;
+      });
+      return copy;
+    };
+
+    return redactPaths.reduce((acc, path) => redact(acc, path.split('.')), body);
+  }
+  /**
+   * Replaces the values of the headers that should be redacted.
+   *
+   * @param {Object.<string, string>} headers  The headers to redact.
+   * @returns {Object.<string, string>} A copy of the headers, with the redacted values.
+   * @access protected
+   */
+  _redactHeaders(headers) {
+    const { redactHeaders, placeholder } = this._logging;
+    return Object.keys(headers).reduce(
+      (acc, name) => ({
+        ...acc,
+        [name]: redactHeaders.includes(name.toLowerCase()) ? placeholder : headers[name],
+      }),
+      {},
+    );
+  }
+  /**
+   * Replaces the values of the query string parameters that should be redacted from a
+   * URL.
+   *
+   * @param {string} url  The URL to redact.
+   * @returns {string}
+   * @access protected
+   */
+  _redactURL(url) {
+    if (!this._logging || !this._logging.redactQuery.length) {
+      return url;
+    }
+
+    const { redactQuery, placeholder } = this._logging;
+    return url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, name) =>
+      redactQuery.includes(urijs.decodeQuery(name).toLowerCase())
+        ? `${separator}${name}=${placeholder}`
+        : match,
+    );
+  }
+  /**
+   * Gets a new authorization token using the refresher. If a refresh is already in
+   * progress, it will return its promise, so only one refresh runs at a time.
+   *
+   * @param {APIClientError} error  The error of the request that failed.
+   * @param {string}         token  The authorization token the request was made with. If
+   *                                the token changed since then, there's no need to
+   *                                refresh it.
+   * @returns {Promise}
+   * @access protected
+   */
+  _refreshToken(error, token) {
+    if (this._tokenRefresh) {
+      return this._tokenRefresh;
+    }
+
+    if (token !== this._authorizationToken) {
+      return Promise.resolve();
+    }
+
+    this._tokenRefresh = Promise.resolve()
+      .then(() => this._tokenRefresher(error, this))
+      .then(
+        (newToken) => {
+          this._tokenRefresh = null;
+          if (typeof newToken === 'string') {
+            this.setAuthorizationToken(newToken);
+          }
+        },
+        (refreshError) => {
+          this._tokenRefresh = null;
+          return Promise.reject(refreshError);
+        },
+      );
+
+    return this._tokenRefresh;
+  }
+  /**
+   * Sends a response body through the response interceptors and, if the request needs it,
+   * generates the object with the response information.
+   *
+   * @param {*} body
+   * The response body.
+   * @param {APIClientResponseContext} context
+   * The information of the request and the response.
+   * @param {APIClientRequestSettings} settings
+   * The settings for the request.
+   * @param {?APIClientCacheEntry} [cacheEntry=null]
+   * The cache entry the body came from, if it was cached.
+   * @returns {Promise<any>}
+   * @access protected
+   */
+  _resolveResponse(body, context, settings, cacheEntry = null) {
+    return this._runInterceptors('response', body, context).then((data) => {
+      if (!settings.fullResponse) {
+        return data;
+      }
+
+      const { request, status, response } = context;
+      const result = {
+        data,
+        status,
+        headers: {
+          ...(cacheEntry ? cacheEntry.headers : {}),
+          ...(response ? this._getResponseHeaders(response) : {}),
+        },
+        url: (response && response.url) || request.url,
+        request,
+      };
+      const idempotencyKey = this._getIdempotencyKey(request);
+      if (idempotencyKey) {
+        result.idempotencyKey = idempotencyKey;
+      }
+
+      return result;
+    });
+  }
+  /**
+   * Sends an error through the error interceptors. Each interceptor is chained as a
+   * `catch`, so if one of them returns a value, the request will be resolved, and the
+   * following interceptors won't be called.
+   *
+   * @param {Error}                   error    The error that made the request fail.
+   * @param {APIClientRequestOptions} request  The options of the request that failed.
+   * @returns {Promise<any>}
+   * @access protected
+   */
+  _runErrorInterceptors(error, request) {
+    return this._interceptors.error
+      .slice()
+      .reduce(
+        (acc, interceptor) =>
+          acc.catch((currentError) => interceptor(currentError, request)),
+        Promise.reject(error),
+      );
+  }
+  /**
+   * Sends a target through a list of interceptors. Each interceptor receives the value
+   * returned by the previous one.
+   *
+   * @param {APIClientInterceptorType} type    The type of interceptors to use.
+   * @param {T}                        target  The value to send to the interceptors.
+   * @param {...*}                     args    Extra parameters for the interceptors.
+   * @returns {Promise<T>}
+   * @template T
+   * @access protected
+   */
+  _runInterceptors(type, target, ...args) {
+    return this._interceptors[type]
+      .slice()
+      .reduce(
+        (acc, interceptor) => acc.then((current) => interceptor(current, ...args)),
+        Promise.resolve(target),
+      );
+  }
+  /**
+   * Sends a request through the scheduler, if the client has one, so it will wait until
+   * the limits allow it. If the request signal gets aborted while it's on the queue, it
+   * will be removed and rejected with an `aborted` error.
+   *
+   * @param {APIClientRequestOptions}  request   The request options.
+   * @param {APIClientRequestSettings} settings  The settings for the request.
+   * @param {() => Promise<Response>}  send      The function that sends the request.
+   * @returns {Promise<Response>}
+   * @access protected
+   */
+  _scheduleRequest(request, settings, send) {
+    if (!this._scheduler) {
+      return send();
+    }
+
+    /**
+     * Generates the error for when the request is removed from the queue.
+     *
+     * @returns {APIClientError}
+     * @ignore
+     */
+    const createAbortError = () => this._createAbortError(request);
+    return this._scheduler.schedule(send, {
+      host: urijs(request.url).host(),
+      endpoint: settings.endpoint,
+      priority: settings.priority,
+      signal: request.signal,
+      createAbortError,
+    });
+  }
+  /**
+   * Sends a request using the fetch client and, if the request fails because of a network
+   * error, a timeout or a retryable status, it will retry it following the policy.
+   *
+   * @param {APIClientRequestOptions}  request      The request options.
+   * @param {APIClientRequestSettings} settings     The settings for the request.
+   * @param {number}                   [attempt=1]  The number of the current attempt.
+   * @returns {Promise<{ response: Response; controller: ?AbortController }>} The response
+   *                                                                          of the last
+   *                                                                          attempt, and
+   *                                                                          the
+   *                                                                          controller
+   *                                                                          for the
+   *                                                                          signal the
+   *                                                                          fetch client
+   *                                                                          received on
+   *                                                                          it, so it
+   *                                                                          can be
+   *                                                                          aborted
+   *                                                                          while the
+   *                                                                          response
+   *                                                                          body is
+   *                                                                          being
+   *                                                                          decoded.
+   * @access protected
+   */
+  _sendRequest(request, settings, attempt = 1) {
+    const { retryPolicy, timeout } = settings;
+    /**
+     * Waits for the delay the policy specifies and makes the request again.
+     *
+     * @param {Response} [response]  The response of the failed attempt, if it wasn't a
+     *                               network error.
+     * @param {Error}    [error]     The error of the failed attempt, if there was no
+     *                               response.
+     * @returns {Promise<Response>}
+     * @ignore
+     */
+    const retry = (response, error) => {
+      const delay = this._getRetryDelay(retryPolicy, attempt, response);
+      this._events.emit('request:retry', {
+        url: request.url,
+        method: request.method,
+        request,
+        status: response ? response.status : null,
+        error: error || null,
+        attempt: attempt + 1,
+        delay,
+      });
+      this._log(
+        'warn',
+        `${request.method} ${this._redactURL(request.url)} failed (${
+          response ? response.status : error.message
+        }), retrying in ${delay}ms (attempt ${attempt + 1})`,
+      );
+      return this._wait(delay, request).then(() =>
+        this._sendRequest(request, settings, attempt + 1),
+      );
+    };
+
+    const { AbortController } = globalThis;
+    // Each attempt gets its own controller, as an aborted signal can't be reused.
+    const controller =
+      (timeout || request.signal) && typeof AbortController !== 'undefined'
+        ? new AbortController()
+        : null;
+    return this._protectRequest(request, settings, () =>
+      this._scheduleRequest(request, settings, () =>
+        this._sendRequestBody(request, settings, timeout, controller),
+      ),
+    ).then(
+      (response) =>
+        retryPolicy.statuses.includes(response.status) &&
+        this._canRetry(request, retryPolicy, attempt)
+          ? retry(response)
+          : { response, controller },
+      (error) =>
+        !['aborted', 'circuit_open'].includes(error.code) &&
+        this._canRetry(request, retryPolicy, attempt)
+          ? retry(undefined, error)
+          : Promise.reject(error),
+    );
+  }
+  /**
+   * Makes a single call to the fetch client while reporting the progress of the request
+   * body upload. If the client supports streams and the body can be converted into bytes,
+   * it will be sent as a stream, reporting each chunk the fetch client reads; otherwise,
+   * the progress will be reported when the upload starts and when the response is
+   * received.
+   *
+   * @param {APIClientRequestOptions} request
+   * The request options.
+   * @param {APIClientRequestSettings} settings
+   * The settings for the request.
+   * @param {number} timeout
+   * The time, in milliseconds, to wait before aborting the request.
+   * @param {?AbortController} [controller=null]
+   * The controller for the signal the fetch client will receive.
+   * @returns {Promise<Response>}
+   * @access protected
+   */
+  _sendRequestBody(request, settings, timeout, controller = null) {
+    const { onUploadProgress } = settings;
+    if (!onUploadProgress || !request.body) {
+      return this._fetch(request, timeout, controller);
+    }
+
+    const bytes = this._getBodyBytes(request.body);
+    let total = null;
+    if (bytes) {
+      total = bytes.byteLength;
+    } else if (typeof request.body.size === 'number') {
+      total = request.body.size;
+    }
+
+    onUploadProgress(this._createProgress(0, total));
+    const { ReadableStream } = globalThis;
+    if (!this._streamUploads || !bytes || typeof ReadableStream === 'undefined') {
+      return this._fetch(request, timeout, controller).then((response) => {
+        onUploadProgress(this._createProgress(total || 0, total, true));
+        return response;
+      });
+    }
+
+    let loaded = 0;
+    /**
+     * Sends the next chunk of the body to the stream, or closes it if there's nothing
+     * else to send.
+     *
+     * @param {ReadableStreamDefaultController} controller
+     * The stream controller.
+     * @ignore
+     */
+    const pull = (controller) => {
+      if (loaded >= total) {
+        controller.close();
+        return;
+      }
+
+      const chunk = bytes.subarray(loaded, loaded + UPLOAD_CHUNK_SIZE);
+      loaded += chunk.byteLength;
+      controller.enqueue(chunk);
+      onUploadProgress(this._createProgress(loaded, total, loaded === total));
+    };
+    const body = new ReadableStream({ pull });
+
+    return this._fetch({ ...request, body, duplex: 'half' }, timeout, controller);
+  }
+  /**
+   * Serializes the body of a request and sets the `Content-Type` for it. If the request
+   * already has a `Content-Type`, it won't be overwritten, unless the body is
+   * `multipart`,
+   * as the fetch client needs to generate it with the boundary.
+   *
+   * @param {APIClientRequestOptions} request     The request options.
+   * @param {APIClientBodyType}       [bodyType]  The format of the body. If it's not
+   *                                              specified, it will be inferred from the
+   *                                              body.
+   * @returns {APIClientRequestOptions}
+   * @throws {Error} If the format is not supported.
+   * @access protected
+   */
+  _serializeBody(request, bodyType) {
+    const type = bodyType || this._getBodyType(request.body);
+    const { body } = request;
+    const headers = { ...request.headers };
+    const contentTypeHeader = Object.keys(headers).find(
+      (name) => name.toLowerCase() === 'content-type',
+    );
+    let newBody;
+    let contentType;
+    switch (type) {
+      case 'json':
+        newBody =
+          Array.isArray(body) ||
+          (body && Object.getPrototypeOf(body).constructor.name === 'Object')
+            ? JSON.stringify(body)
+            : body;
+        contentType = 'application/json';
+        break;
+      case 'form':
+        newBody =
+          typeof body === 'object' ? this._createFormURLEncodedBody(body) : `${body}`;
+        contentType = 'application/x-www-form-urlencoded;charset=UTF-8';
+        break;
+      case 'multipart':
+        newBody = this._createFormDataBody(body);
+        if (contentTypeHeader) {
+          delete headers[contentTypeHeader];
+        }
+        break;
+      case 'text':
+        newBody = `${body}`;
+        contentType = 'text/plain;charset=UTF-8';
+        break;
+      case 'binary':
+        newBody = body;
+        contentType = body.type || 'application/octet-stream';
+        break;
+      case 'raw':
+        newBody = body;
+        break;
+      default:
+        throw new Error(`Invalid body type: ${type}`);
+    }
+
+    if (contentType && !contentTypeHeader) {
+      headers['Content-Type'] = contentType;
+    }
+
+    return {
+      ...request,
+      headers,
+      body: newBody,
+    };
+  }
+  /**
+   * Converts a dictionary of query string parameters into a list of names and values,
+   * flattening the arrays and the objects: the objects use brackets for their properties
+   * (`filter[name]=x`), and the arrays use the specified format.
+   *
+   * @param {APIClientParametersDictionary} query
+   * The query string parameters.
+   * @param {APIClientArrayFormat} arrayFormat
+   * How the arrays should be serialized.
+   * @param {string} [prefix='']
+   * The name of the parent parameter,
+   * for nested objects.
+   * @returns {Array.<[string, any]>}
+   * @throws {Error}
+   * If the array format is not supported.
+   * @access protected
+   */
+  _serializeQuery(query, arrayFormat, prefix = '') {
+    if (!['repeat', 'brackets', 'comma'].includes(arrayFormat)) {
+      throw new Error(`Invalid array format: ${arrayFormat}`);
+    }
+
+    return Object.keys(query).reduce((acc, key) => {
+      const name = prefix ? `${prefix}[${key}]` : key;
+      const value = query[key];
+      if (Array.isArray(value)) {
+        if (arrayFormat === 'comma') {
+          return [...acc, [name, value.join(',')]];
+        }
+
+        const itemName = arrayFormat === 'brackets' ? `${name}[]` : name;
+        return value.reduce(
+          (items, item, index) =>
+            item && typeof item === 'object'
+              ? [
+                  ...items,
+                  ...this._serializeQuery(item, arrayFormat, `${name}[${index}]`),
+                ]
+              : [...items, [itemName, item]],
+          acc,
+        );
+      }
+
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return [...acc, ...this._serializeQuery(value, arrayFormat, name)];
+      }
+
+      return [...acc, [name, value]];
+    }, []);
+  }
+  /**
+   * Sends a request and handles its response, while emitting the events for its start,
+   * its success and its error.
+   *
+   * @param {APIClientRequestOptions}  request     The request options.
+   * @param {APIClientRequestSettings} settings    The settings for the request.
+   * @param {?APIClientCacheEntry}     cacheEntry  The cache entry for the request, if
+   *                                               there's one.
+   * @returns {Promise<any>}
+   * @access protected
+   */
+  _trackRequest(request, settings, cacheEntry) {
+    const info = {
+      url: request.url,
+      method: request.method,
+      request,
+    };
+    const start = Date.now();
+    let status = null;
+    let lastResponse = null;
+    this._events.emit('request:start', info);
+    return this._sendRequest(request, settings)
+      .then(({ response, controller }) => {
+        ({ status } = response);
+        // Use the controller of the attempt, so the download gets aborted too.
+        return this._guardRequest(
+          request,
+          settings.timeout,
+          () =>
+            this._readResponseBody(response, settings).then((readResponse) => {
+              lastResponse = readResponse;
+              return this._handleResponse(readResponse, request, settings, cacheEntry);
+            }),
+          controller,
+        );
+      })
+      .then(
+        (response) => {
+          const duration = Date.now() - start;
+          this._events.emit('request:success', {
+            ...info,
+            status,
+            duration,
+          });
+          this._logRequest(request, {
+            status,
+            duration,
+            headers: this._getResponseHeaders(lastResponse),
+            body: settings.fullResponse ? response.data : response,
+            decoded: settings.decodeResponse,
+          });
+          return response;
+        },
+        (error) => {
+          const errorInfo = {
+            ...info,
+            status: typeof error.status === 'number' ? error.status : status,
+            duration: Date.now() - start,
+            error,
+          };
+          this._events.emit('request:error', errorInfo);
+          this._logRequest(request, {
+            status: errorInfo.status,
+            duration: errorInfo.duration,
+            headers: error.headers || {},
+            body: error.body,
+            decoded: true,
+            error,
+          });
+          return Promise.reject(error);
+        },
+      );
+  }
+  /**
+   * Validates that a call to an endpoint has all the parameters and the body properties
+   * its definition requires.
+   *
+   * @param {string} name
+   * The name of the endpoint.
+   * @param {APIClientEndpoint} endpoint
+   * The endpoint definition.
+   * @param {APIClientParametersDictionary} parameters
+   * The parameters for the call.
+   * @param {*} body
+   * The body for the call.
+   * @returns {?Error} If the call is valid, it will return `null`.
+   * @access protected
+   */
+  _validateEndpointCall(name, endpoint, parameters, body) {
+    const placeholders = (endpoint.path.match(/:[\w-]+(\?(?=\/|$))?/g) || [])
+      .filter((placeholder) => !placeholder.endsWith('?'))
+      .map((placeholder) => placeholder.substr(1));
+    const missingParams = [...placeholders, ...(endpoint.params || [])].filter(
+      (param, index, list) =>
+        list.indexOf(param) === index &&
+        (typeof parameters[param] === 'undefined' || parameters[param] === null),
+    );
+    if (missingParams.length) {
+      return new Error(
+        `Missing required parameters for the endpoint ${name}: ${missingParams.join(
+          ', ',
+        )}`,
+      );
+    }
+
+    const hasBody = typeof body !== 'undefined' && body !== null;
+    if (endpoint.body === true && !hasBody) {
+      return new Error(`Missing required body for the endpoint ${name}`);
+    }
+
+    if (Array.isArray(endpoint.body)) {
+      const missingProperties = endpoint.body.filter(
+        (property) => !hasBody || typeof body[property] === 'undefined',
+      );
+      if (missingProperties.length) {
+        return new Error(
+          `Missing required body properties for the endpoint ${name}: ${missingProperties.join(
+            ', ',
+          )}`,
+        );
+      }
+    }
+
+    return null;
+  }
+  /**
+   * Creates a {@link Promise} that gets resolved after a specific amount of time.
+   *
+   * @param {number}                  delay      The time to wait, in milliseconds.
+   * @param {APIClientRequestOptions} [request]  The request the client is waiting for. If
+   *                                             the request has a signal and it gets
+   *                                             aborted, the promise will be rejected.
+   * @returns {Promise}
+   * @access protected
+   */
+  _wait(delay, request) {
+    const signal = request && request.signal;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this._createAbortError(request));
+        return;
+      }
+
+      let timer;
+      /**
+       * The listener for the received signal.
+       *
+       * @ignore
+       */
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this._createAbortError(request));
+      };
+      timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        resolve();
+      }, delay);
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+    });
+  }
 }
 
 module.exports = APIClient;
@@ -0,0 +1,135 @@
+const urijs = require('urijs');
+
+/**
+ * @module shared/apiClientAuth
+ */
+
+/**
+ * @typedef {import('./apiClient')} APIClient
+ * @typedef {import('./apiClient').APIClientRequestOptions} APIClientRequestOptions
+ */
+
+/**
+ * A function that authenticates a request before it gets sent. It receives the full
+ * request options, after the request interceptors, and it has to return them, modified or
+ * not, either directly or on a {@link Promise}.
+ *
+ * @callback APIClientAuthStrategy
+ * @param {APIClientRequestOptions} request  The request options.
+ * @param {APIClient}               client   A reference to the client.
+ * @returns {APIClientRequestOptions | Promise<APIClientRequestOptions>}
+ * @parent module:shared/apiClientAuth
+ */
+
+/**
+ * A value for a strategy, or a function that returns it, either directly or on a
+ * {@link Promise}, in case it can change between requests.
+ *
+ * @typedef {string | (() => string | Promise<string>)} APIClientAuthValue
+ * @parent module:shared/apiClientAuth
+ */
+
+/**
+ * @typedef {Object} APIClientAPIKeyAuthOptions
+ * @property {string}             [name='X-API-Key']   The name of the header or the query
+ *                                                     string parameter.
+ * @property {'header' | 'query'} [location='header']  Where the key should be sent.
+ * @parent module:shared/apiClientAuth
+ */
+
+/**
+ * Resolves the value for a strategy.
+ *
+ * @param {APIClientAuthValue} value  The value or the function that returns it.
+ * @returns {Promise<string>}
+ * @ignore
+ */
+const resolveValue = (value) =>
+  Promise.resolve(typeof value === 'function' ? value() : value);
+
+/**
+ * Adds a header to a request without modifying the original options.
+ *
+ * @param {APIClientRequestOptions} request  The request options.
+ * @param {string}                  name     The name of the header.
+ * @param {string}                  value    The value of the header.
+ * @returns {APIClientRequestOptions}
+ * @ignore
+ */
+const addHeader = (request, name, value) => ({
+  ...request,
+  headers: {
+    ...request.headers,
+    [name]: value,
+  },
+});
+
+/**
+ * Encodes a string using base64, on Node or on the browser.
+ *
+ * @param {string} value  The string to encode.
+ * @returns {string}
+ * @ignore
+ */
+const encodeBase64 = (value) => {
+  const { btoa } = globalThis;
+  return typeof Buffer === 'undefined'
+    ? btoa(String.fromCharCode(...new TextEncoder().encode(value)))
+    : Buffer.from(value).toString('base64');
+};
+
+/**
+ * Creates a strategy that sends a bearer token on the `Authorization` header.
+ *
+ * @param {APIClientAuthValue} token  The token, or a function that returns it.
+ * @returns {APIClientAuthStrategy}
+ * @parent module:shared/apiClientAuth
+ * @tutorial APIClient
+ */
+const bearerAuth = (token) => (request) =>
+  resolveValue(token).then((value) =>
+    value ? addHeader(request, 'Authorization', `Bearer ${value}`) : request,
+  );
+
+/**
+ * Creates a strategy that sends a username and a password, using the `Basic` scheme, on
+ * the `Authorization` header.
+ *
+ * @param {APIClientAuthValue} username  The username, or a function that returns it.
+ * @param {APIClientAuthValue} password  The password, or a function that returns it.
+ * @returns {APIClientAuthStrategy}
+ * @parent module:shared/apiClientAuth
+ * @tutorial APIClient
+ */
+const basicAuth = (username, password) => (request) =>
+  Promise.all([resolveValue(username), resolveValue(password)]).then(([user, pass]) =>
+    addHeader(request, 'Authorization', `Basic ${encodeBase64(`${user}:${pass}`)}`),
+  );
+
+/**
+ * Creates a strategy that sends an API key on a header or on the query string.
+ *
+ * @param {APIClientAuthValue} key
+ * The key, or a function that returns it.
+ * @param {Partial<APIClientAPIKeyAuthOptions>} [options={}]
+ * Customize where the key is sent.
+ * @returns {APIClientAuthStrategy}
+ * @parent module:shared/apiClientAuth
+ * @tutorial APIClient
+ */
+const apiKeyAuth = (key, options = {}) => {
+  const { name = 'X-API-Key', location = 'header' } = options;
+  return (request) =>
+    resolveValue(key).then((value) =>
+      location === 'query'
+        ? {
+            ...request,
+            url: urijs(request.url).setQuery(name, value).toString(),
+          }
+        : addHeader(request, name, value),
+    );
+};
+
+module.exports.apiKeyAuth = apiKeyAuth;
+module.exports.basicAuth = basicAuth;
+module.exports.bearerAuth = bearerAuth;
@@ -0,0 +1,289 @@
+const statuses = require('statuses');
+/**
+ * @module shared/apiClientCircuitBreaker
+ */
+
+/**
+ * The states of a circuit:
+ * - `closed`: The requests are sent normally, and the failures are counted.
+ * - `open`: The requests fail right away, without being sent.
+ * - `half-open`: The cool-down ended, and a few requests are sent to check the service.
+ *
+ * @typedef {'closed' | 'open' | 'half-open'} APIClientCircuitState
+ * @parent module:shared/apiClientCircuitBreaker
+ */
+
+/**
+ * @typedef {Object} APIClientCircuitBreakerOptions
+ * @property {number} [threshold=5]
+ * The number of consecutive failures that open a circuit.
+ * @property {number} [cooldown=30000]
+ * The time, in milliseconds, a circuit stays open before allowing requests to check if
+ * the service recovered.
+ * @property {number} [halfOpenRequests=1]
+ * The number of requests that can be sent at the same time while a circuit is half-open.
+ * @property {'host' | 'endpoint'} [scope='host']
+ * Whether the circuits are for the hosts or for the endpoints. When using `endpoint`, the
+ * requests that are not for an endpoint use the circuit of their host.
+ * @property {number[]} [statuses]
+ * The list of HTTP statuses that count as failures. By default, `500`, `502`, `503` and
+ * `504`. Network errors and timeouts always count as failures.
+ * @parent module:shared/apiClientCircuitBreaker
+ */
+
+/**
+ * @typedef {Object} APIClientCircuit
+ * @property {APIClientCircuitState} state     The state of the circuit.
+ * @property {number}                failures  The number of consecutive failures.
+ * @property {?number}               openedAt  The time when the circuit was opened.
+ * @property {?number}               retryAt   The time when an open circuit will allow
+ *                                             requests again.
+ * @parent module:shared/apiClientCircuitBreaker
+ */
+
+/**
+ * @typedef {Object} APIClientCircuitExecuteOptions
+ * @property {string} [host]
+ * The host the task will send a request to.
+ * @property {string} [endpoint]
+ * The name of the endpoint the task will send a request to.
+ * @property {(key: string, circuit: APIClientCircuit) => Error} [createError]
+ * A function to generate the error to reject the task with, when its circuit is open.
+ * @parent module:shared/apiClientCircuitBreaker
+ */
+
+/**
+ * @typedef {Object} APIClientCircuitInfo
+ * @property {APIClientCircuitState} state     The state of the circuit.
+ * @property {number}                failures  The number of consecutive failures.
+ * @property {?number}               openedAt  The time when the circuit was opened.
+ * @property {number}                trials    The number of requests running while the
+ *                                             circuit is half-open.
+ * @parent module:shared/apiClientCircuitBreaker
+ * @ignore
+ */
+
+/**
+ * A circuit breaker that keeps track of the failures of the requests for each host (or
+ * endpoint), and when they reach a threshold, it _"opens the circuit"_ and rejects the
+ * requests, without sending them, until a cool-down period ends.
+ *
+ * @parent module:shared/apiClientCircuitBreaker
+ * @tutorial APIClient
+ */
+class APIClientCircuitBreaker {
+  /**
+   * @param {Partial<APIClientCircuitBreakerOptions>} [options={}]
+   * The options to open and close the circuits.
+   */
+  constructor(options = {}) {
+    /**
+     * The options to open and close the circuits.
+     *
+     * @type {APIClientCircuitBreakerOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = {
+      threshold: 5,
+      cooldown: 30000,
+      halfOpenRequests: 1,
+      scope: 'host',
+      statuses: [
+        'internal server error',
+        'bad gateway',
+        'service unavailable',
+        'gateway timeout',
+      ].map((status) => statuses(status)),
+      ...options,
+    };
+    /**
+     * A dictionary with the information of the circuits, using the hosts or the endpoints
+     * as keys.
+     *
+     * @type {Object.<string, APIClientCircuitInfo>}
+     * @access protected
+     * @ignore
+     */
+    this._circuits = {};
+  }
+  /**
+   * Runs a task (a request) on its circuit. If the circuit is open, the task will be
+   * rejected without being called; otherwise, its result will be used to update the
+   * circuit: a response with one of the failure statuses, or an error, will count as a
+   * failure. Errors for aborted requests are ignored.
+   *
+   * @param {() => Promise<T>} fn
+   * The function that runs the task.
+   * @param {Partial<APIClientCircuitExecuteOptions>} [options={}]
+   * The information to select the circuit of the task.
+   * @returns {Promise<T>}
+   * @template T
+   */
+  execute(fn, options = {}) {
+    const { host = '', endpoint = '', createError } = options;
+    const key = this._getKey(host, endpoint);
+    const circuit = this._getCircuit(key, Date.now());
+    if (
+      circuit.state === 'open' ||
+      (circuit.state === 'half-open' && circuit.trials >= this._options.halfOpenRequests)
+    ) {
+      const info = this.getState(key);
+      return Promise.reject(
+        createError
+          ? createError(key, info)
+          : new Error(`The circuit for ${key} is open`),
+      );
+    }
+
+    this._circuits[key] = {
+      ...circuit,
+      trials: circuit.state === 'half-open' ? circuit.trials + 1 : circuit.trials,
+    };
+    return Promise.resolve()
+      .then(() => fn())
+      .then(
+        (result) => {
+          this._update(key, !!result && this._options.statuses.includes(result.status));
+          return result;
+        },
+        (error) => {
+          this._update(key, error && error.code === 'aborted' ? null : true);
+          return Promise.reject(error);
+        },
+      );
+  }
+  /**
+   * Gets the state of a circuit.
+   *
+   * @param {string} key  The host or the name of the endpoint, depending on the scope.
+   * @returns {APIClientCircuit}
+   */
+  getState(key) {
+    const { state, failures, openedAt } = this._getCircuit(key, Date.now());
+    return {
+      state,
+      failures,
+      openedAt,
+      retryAt: state === 'open' ? openedAt + this._options.cooldown : null,
+    };
+  }
+  /**
+   * Closes a circuit and removes its failures. If no key is specified, it will reset all
+   * the circuits.
+   *
+   * @param {string} [key]  The host or the name of the endpoint, depending on the scope.
+   */
+  reset(key) {
+    if (key) {
+      delete this._circuits[key];
+    } else {
+      this._circuits = {};
+    }
+  }
+  /**
+   * The options to open and close the circuits.
+   *
+   * @type {APIClientCircuitBreakerOptions}
+   */
+  get options() {
+    return {
+      ...this._options,
+      statuses: this._options.statuses.slice(),
+    };
+  }
+  /**
+   * A dictionary with the states of the circuits that had requests, using the hosts or
+   * the endpoints as keys. This is useful for health checks.
+   *
+   * @type {Object.<string, APIClientCircuit>}
+   */
+  get states() {
+    return Object.keys(this._circuits).reduce(
+      (acc, key) => ({
+        ...acc,
+        [key]: this.getState(key),
+      }),
+      {},
+    );
+  }
+  /**
+   * Gets the information of a circuit. If the circuit is open and the cool-down period
+   * already ended, it will be returned as half-open.
+   *
+   * @param {string} key  The key of the circuit.
+   * @param {number} now  The current timestamp.
+   * @returns {APIClientCircuitInfo}
+   * @access protected
+   */
+  _getCircuit(key, now) {
+    const circuit = this._circuits[key] || {
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      trials: 0,
+    };
+    if (circuit.state === 'open' && now >= circuit.openedAt + this._options.cooldown) {
+      return {
+        ...circuit,
+        state: 'half-open',
+        trials: 0,
+      };
+    }
+
+    return circuit;
+  }
+  /**
+   * Gets the key of the circuit for a task.
+   *
+   * @param {string} host      The host the task will send a request to.
+   * @param {string} endpoint  The name of the endpoint the task will send a request to.
+   * @returns {string}
+   * @access protected
+   */
+  _getKey(host, endpoint) {
+    return this._options.scope === 'endpoint' && endpoint ? endpoint : host;
+  }
+  /**
+   * Updates a circuit with the result of a task: a success closes the circuit, and a
+   * failure opens it if it was half-open, or if the failures reached the threshold.
+   *
+   * @param {string}   key     The key of the circuit.
+   * @param {?boolean} failed  Whether or not the task failed. If it's `null`, the result
+   *                           won't affect the circuit.
+   * @access protected
+   */
+  _update(key, failed) {
+    const now = Date.now();
+    const circuit = this._getCircuit(key, now);
+    if (failed === null) {
+      this._circuits[key] = {
+        ...circuit,
+        trials: Math.max(circuit.trials - 1, 0),
+      };
+    } else if (!failed) {
+      this._circuits[key] = {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        trials: 0,
+      };
+    } else {
+      const failures = circuit.failures + 1;
+      const open = circuit.state === 'half-open' || failures >= this._options.threshold;
+      this._circuits[key] = open
+        ? {
+            state: 'open',
+            failures,
+            openedAt: now,
+            trials: 0,
+          }
+        : {
+            ...circuit,
+            failures,
+          };
+    }
+  }
+}
+
+module.exports = APIClientCircuitBreaker;
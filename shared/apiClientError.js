@@ -0,0 +1,187 @@
+/**
+ * @module shared/apiClientError
+ */
+
+/**
+ * The codes used to identify the type of error:
+ * - `client_error`: The response had a `4xx` status.
+ * - `server_error`: The response had a `5xx` status.
+ * - `network_error`: The fetch client couldn't make the request.
+ * - `parse_error`: The response body couldn't be decoded.
+ * - `timeout`: The request took longer than the timeout.
+ * - `aborted`: The request was cancelled using a signal.
+ * - `graphql_error`: The response of a GraphQL operation had an `errors` list.
+ * - `circuit_open`: The request wasn't sent because the circuit breaker of its host (or
+ *   endpoint) is open.
+ *
+ * @typedef {'client_error' | 'server_error' | 'network_error' | 'parse_error' | 'timeout' | 'aborted' | 'graphql_error' | 'circuit_open'} APIClientErrorCode
+ * @parent module:shared/apiClientError
+ * @prettierignore
+ */
+
+/**
+ * @typedef {Object} APIClientErrorDetails
+ * @property {?number}                 status          The HTTP status of the response, if
+ *                                                     there was one.
+ * @property {*}                       body            The decoded body of the response,
+ *                                                     if there was one.
+ * @property {Object.<string, string>} headers         A dictionary with the headers of
+ *                                                     the response. The names are in
+ *                                                     lower case.
+ * @property {string}                  url             The URL of the request.
+ * @property {string}                  method          The method of the request.
+ * @property {?Error}                  cause           The original error, in case the
+ *                                                     error was generated from another
+ *                                                     one, like a network error from the
+ *                                                     fetch client.
+ * @property {Object[]}                errors          The list of errors of a GraphQL
+ *                                                     response.
+ * @property {?string}                 idempotencyKey  The idempotency key the request was
+ *                                                     sent with, if it had one.
+ * @parent module:shared/apiClientError
+ */
+
+/**
+ * The error the {@link APIClient} uses to reject failed requests. Besides the message, it
+ * includes a code to identify the type of error, and all the information of the request
+ * and the response.
+ *
+ * @augments Error
+ * @parent module:shared/apiClientError
+ * @tutorial APIClient
+ */
+class APIClientError extends Error {
+  /**
+   * @param {string} message
+   * The error message.
+   * @param {APIClientErrorCode} code
+   * The code to identify the type of error.
+   * @param {Partial<APIClientErrorDetails>} [details={}]
+   * The information of the request and the response.
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    /**
+     * The name of the error.
+     *
+     * @type {string}
+     */
+    this.name = 'APIClientError';
+    /**
+     * The code to identify the type of error.
+     *
+     * @type {APIClientErrorCode}
+     * @access protected
+     * @ignore
+     */
+    this._code = code;
+    /**
+     * The information of the request and the response.
+     *
+     * @type {APIClientErrorDetails}
+     * @access protected
+     * @ignore
+     */
+    this._details = {
+      status: null,
+      body: null,
+      headers: {},
+      url: '',
+      method: '',
+      cause: null,
+      errors: [],
+      idempotencyKey: null,
+      ...details,
+    };
+  }
+  /**
+   * The decoded body of the response, if there was one.
+   *
+   * @type {*}
+   */
+  get body() {
+    return this._details.body;
+  }
+  /**
+   * The original error, in case the error was generated from another one.
+   *
+   * @type {?Error}
+   */
+  get cause() {
+    return this._details.cause;
+  }
+  /**
+   * The code to identify the type of error.
+   *
+   * @type {APIClientErrorCode}
+   */
+  get code() {
+    return this._code;
+  }
+  /**
+   * The list of errors of a GraphQL response.
+   *
+   * @type {Object[]}
+   */
+  get errors() {
+    return this._details.errors.slice();
+  }
+  /**
+   * A dictionary with the headers of the response.
+   *
+   * @type {Object.<string, string>}
+   */
+  get headers() {
+    return { ...this._details.headers };
+  }
+  /**
+   * The idempotency key the request was sent with, if it had one.
+   *
+   * @type {?string}
+   */
+  get idempotencyKey() {
+    return this._details.idempotencyKey;
+  }
+  /**
+   * Whether or not the response had a `4xx` status.
+   *
+   * @type {boolean}
+   */
+  get isClientError() {
+    return this._code === 'client_error';
+  }
+  /**
+   * Whether or not the response had a `5xx` status.
+   *
+   * @type {boolean}
+   */
+  get isServerError() {
+    return this._code === 'server_error';
+  }
+  /**
+   * The method of the request.
+   *
+   * @type {string}
+   */
+  get method() {
+    return this._details.method;
+  }
+  /**
+   * The HTTP status of the response, if there was one.
+   *
+   * @type {?number}
+   */
+  get status() {
+    return this._details.status;
+  }
+  /**
+   * The URL of the request.
+   *
+   * @type {string}
+   */
+  get url() {
+    return this._details.url;
+  }
+}
+
+module.exports = APIClientError;
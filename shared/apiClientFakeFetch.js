@@ -0,0 +1,640 @@
+const statuses = require('statuses');
+const urijs = require('urijs');
+
+/**
+ * @module shared/apiClientFakeFetch
+ */
+
+/**
+ * @typedef {import('./apiClient').APIClientFetchClient} APIClientFetchClient
+ * @typedef {import('./apiClient').APIClientFetchOptions} APIClientFetchOptions
+ */
+
+/**
+ * The definition of a response the fake client should resolve with.
+ *
+ * @typedef {Object} APIClientFakeResponse
+ * @property {number}                  [status=200]  The HTTP status.
+ * @property {Object.<string, string>} [headers={}]  The headers of the response.
+ * @property {*}                       [body=null]   The body of the response. If it's an
+ *                                                   `ArrayBuffer` or one of its views,
+ *                                                   it will be sent as binary, with the
+ *                                                   `application/octet-stream` type; and
+ *                                                   if it's not a string, it will be
+ *                                                   encoded as JSON, with the
+ *                                                   `application/json` type. In both
+ *                                                   cases, the `Content-Type` is only set
+ *                                                   if the headers don't have one.
+ * @parent module:shared/apiClientFakeFetch
+ */
+
+/**
+ * @typedef {Object} APIClientFakeRequest
+ * @property {string}                  url      The request URL.
+ * @property {string}                  method   The request method, in upper case.
+ * @property {Object.<string, string>} headers  The request headers.
+ * @property {*}                       body     The request body, as it was sent to the
+ *                                              fetch client.
+ * @parent module:shared/apiClientFakeFetch
+ */
+
+/**
+ * A function to generate the response for a route. It can return the definition of the
+ * response, either directly or on a {@link Promise}, or throw an error to simulate a
+ * network error.
+ *
+ * @callback APIClientFakeHandler
+ * @param {APIClientFakeRequest} request  The information of the request.
+ * @param {?Array}               match    If the route used a regular expression, the
+ *                                        result of matching it against the URL.
+ * @returns {APIClientFakeResponse | Promise<APIClientFakeResponse>}
+ * @parent module:shared/apiClientFakeFetch
+ */
+
+/**
+ * @typedef {APIClientFakeResponse | Error | APIClientFakeHandler} APIClientFakeRouteResponse
+ * @parent module:shared/apiClientFakeFetch
+ * @prettierignore
+ */
+
+/**
+ * @typedef {Object} APIClientFakeRouteOptions
+ * @property {number} [delay]    The time, in milliseconds, to wait before responding. If
+ *                               not specified, the route will use the delay of the
+ *                               client.
+ * @property {number} [times=0]  How many requests the route can respond to. If it's `0`,
+ *                               there's no limit.
+ * @parent module:shared/apiClientFakeFetch
+ */
+
+/**
+ * @typedef {Object} APIClientFakeRecording
+ * @property {Object}                request         The request information.
+ * @property {string}                request.method  The request method.
+ * @property {string}                request.url     The request URL.
+ * @property {?string}               request.body    The request body, if it was a string.
+ * @property {APIClientFakeResponse} response        The response the request received.
+ * @parent module:shared/apiClientFakeFetch
+ */
+
+/**
+ * @typedef {Object} APIClientFakeFetchOptions
+ * @property {?APIClientFetchClient} [fetchClient=null]
+ * A real fetch client. If specified, the fake client will send the requests with it and
+ * record the interactions.
+ * @property {?APIClientFakeRecording[]} [recordings=null]
+ * A list of recorded interactions. If specified, the fake client will replay them instead
+ * of using routes.
+ * @property {number} [delay=0]
+ * The default time, in milliseconds, to wait before responding.
+ * @parent module:shared/apiClientFakeFetch
+ */
+
+/**
+ * @typedef {Object} APIClientFakeRoute
+ * @property {string}                     method    The request method, or `*` for any
+ *                                                  method.
+ * @property {RegExp}                     pattern   The expression to match the URLs.
+ * @property {boolean}                    relative  Whether or not the pattern should be
+ *                                                  matched against the path instead of
+ *                                                  the full URL.
+ * @property {APIClientFakeRouteResponse} response  The response of the route.
+ * @property {?number}                    delay     The time to wait before responding.
+ * @property {number}                     times     How many requests the route can
+ *                                                  respond to.
+ * @property {number}                     calls     How many requests the route already
+ *                                                  responded to.
+ * @parent module:shared/apiClientFakeFetch
+ * @ignore
+ */
+
+/**
+ * A fake fetch client to test code that uses the {@link APIClient} without network: it
+ * can respond using routes, record the interactions of a real fetch client, or replay
+ * recorded interactions.
+ *
+ * @parent module:shared/apiClientFakeFetch
+ * @tutorial APIClient
+ */
+class APIClientFakeFetch {
+  /**
+   * @param {Partial<APIClientFakeFetchOptions>} [options={}]
+   * The options to decide how the client should respond.
+   */
+  constructor(options = {}) {
+    const { fetchClient = null, recordings = null, delay = 0 } = options;
+    /**
+     * The real fetch client, for when the fake client is recording.
+     *
+     * @type {?APIClientFetchClient}
+     * @access protected
+     * @ignore
+     */
+    this._fetchClient = fetchClient;
+    /**
+     * The recorded interactions.
+     *
+     * @type {APIClientFakeRecording[]}
+     * @access protected
+     * @ignore
+     */
+    this._recordings = recordings ? recordings.slice() : [];
+    /**
+     * The indexes of the recordings that were already replayed.
+     *
+     * @type {number[]}
+     * @access protected
+     * @ignore
+     */
+    this._replayed = [];
+    /**
+     * How the client responds: using routes, recording or replaying.
+     *
+     * @type {'routes' | 'record' | 'replay'}
+     * @access protected
+     * @ignore
+     */
+    this._mode = 'routes';
+    if (fetchClient) {
+      this._mode = 'record';
+    } else if (recordings) {
+      this._mode = 'replay';
+    }
+    /**
+     * The default time to wait before responding.
+     *
+     * @type {number}
+     * @access protected
+     * @ignore
+     */
+    this._delay = delay;
+    /**
+     * The routes the client uses to respond.
+     *
+     * @type {APIClientFakeRoute[]}
+     * @access protected
+     * @ignore
+     */
+    this._routes = [];
+    /**
+     * The requests the client received.
+     *
+     * @type {APIClientFakeRequest[]}
+     * @access protected
+     * @ignore
+     */
+    this._calls = [];
+    /**
+     * @ignore
+     */
+    this.fetch = this.fetch.bind(this);
+  }
+  /**
+   * Makes a request. This is the method that should be sent to the {@link APIClient} as
+   * the fetch client, and it's already bound to the instance.
+   *
+   * @param {string}                url           The request URL.
+   * @param {APIClientFetchOptions} [options={}]  The request options.
+   * @returns {Promise<Response>}
+   */
+  fetch(url, options = {}) {
+    const request = {
+      url,
+      method: (options.method || 'GET').toUpperCase(),
+      headers: { ...options.headers },
+      body: typeof options.body === 'undefined' ? null : options.body,
+    };
+    this._calls.push(request);
+    if (this._mode === 'record') {
+      return this._record(request, options);
+    }
+
+    const nextStep =
+      this._mode === 'replay' ? this._replay(request) : this._respond(request);
+    return nextStep.then(({ response, delay }) =>
+      this._wait(delay, options.signal).then(() => {
+        if (response instanceof Error) {
+          return Promise.reject(response);
+        }
+
+        return this._createResponse(response, url);
+      }),
+    );
+  }
+  /**
+   * Adds a route to respond to requests.
+   *
+   * @param {string} method
+   * The request method, or `*` for any method.
+   * @param {string | RegExp} pattern
+   * The pattern for the URLs. It can be a regular expression, or a string where `*`
+   * matches anything. If the string starts with `/`, it will be matched against the path
+   * and the query string instead of the full URL.
+   * @param {APIClientFakeRouteResponse} response
+   * The definition of the response, an error to reject the request with, or a function
+   * that generates the response.
+   * @param {Partial<APIClientFakeRouteOptions>} [options={}]
+   * Customize the delay and how many times the route can be used.
+   * @returns {APIClientFakeFetch} The same instance, so the calls can be chained.
+   */
+  on(method, pattern, response, options = {}) {
+    this._routes.push({
+      method: method.toUpperCase(),
+      pattern: this._createPattern(pattern),
+      relative: typeof pattern === 'string' && pattern.startsWith('/'),
+      response,
+      delay: typeof options.delay === 'number' ? options.delay : null,
+      times: options.times || 0,
+      calls: 0,
+    });
+
+    return this;
+  }
+  /**
+   * Removes all the routes, the received requests and, if the client is replaying, the
+   * information of which recordings were used.
+   */
+  reset() {
+    this._routes = [];
+    this._calls = [];
+    this._replayed = [];
+  }
+  /**
+   * The requests the client received.
+   *
+   * @type {APIClientFakeRequest[]}
+   */
+  get calls() {
+    return this._calls.slice();
+  }
+  /**
+   * How the client responds: `routes`, `record` or `replay`.
+   *
+   * @type {string}
+   */
+  get mode() {
+    return this._mode;
+  }
+  /**
+   * The recorded interactions. This list can be saved as a JSON fixture and used later
+   * with the `recordings` option.
+   *
+   * @type {APIClientFakeRecording[]}
+   */
+  get recordings() {
+    return this._recordings.slice();
+  }
+  /**
+   * Creates an error like the one the native `fetch` uses when a request is aborted.
+   *
+   * @returns {Error}
+   * @access protected
+   */
+  _createAbortError() {
+    const error = new Error('The request was aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+  /**
+   * Creates a function to read the body of a fake response.
+   *
+   * @param {string | Uint8Array} content
+   * The body of the response.
+   * @param {'text' | 'json' | 'arrayBuffer' | 'blob'} [type='text']
+   * How the function should decode the body.
+   * @param {string} [contentType='']
+   * The type of the response, for when the body is decoded as a `Blob`.
+   * @returns {function(): Promise<any>}
+   * @access protected
+   */
+  _createBodyReader(content, type = 'text', contentType = '') {
+    return () =>
+      Promise.resolve().then(() => {
+        let result;
+        if (type === 'json') {
+          result = JSON.parse(this._getBodyText(content));
+        } else if (type === 'arrayBuffer') {
+          const bytes = this._getBodyBytes(content);
+          result = bytes.buffer.slice(
+            bytes.byteOffset,
+            bytes.byteOffset + bytes.byteLength,
+          );
+        } else if (type === 'blob') {
+          const { Blob } = globalThis;
+          if (typeof Blob === 'undefined') {
+            throw new Error("The environment doesn't support Blob");
+          }
+
+          result = new Blob([this._getBodyBytes(content)], { type: contentType });
+        } else {
+          result = this._getBodyText(content);
+        }
+
+        return result;
+      });
+  }
+  /**
+   * Creates an object that implements the parts of the `ReadableStream` interface the
+   * {@link APIClient} uses to read the body of a response as a stream. The readers return
+   * the whole body on the first read.
+   *
+   * @param {string | Uint8Array} content  The body of the response.
+   * @returns {Object}
+   * @access protected
+   */
+  _createBodyStream(content) {
+    /**
+     * Creates a reader for the body.
+     *
+     * @returns {Object}
+     * @ignore
+     */
+    const getReader = () => {
+      let done = false;
+      /**
+       * Reads the next chunk of the body.
+       *
+       * @returns {Promise<{ done: boolean; value?: Uint8Array }>}
+       * @ignore
+       */
+      const read = () => {
+        if (done) {
+          return Promise.resolve({ done, value: undefined });
+        }
+
+        done = true;
+        return Promise.resolve().then(() => ({
+          done: false,
+          value: this._getBodyBytes(content),
+        }));
+      };
+      /**
+       * Stops the reader, so it won't return more chunks.
+       *
+       * @returns {Promise}
+       * @ignore
+       */
+      const cancel = () => {
+        done = true;
+        return Promise.resolve();
+      };
+
+      return { read, cancel };
+    };
+
+    return { getReader };
+  }
+  /**
+   * Converts the pattern of a route into a regular expression.
+   *
+   * @param {string | RegExp} pattern  The pattern of the route.
+   * @returns {RegExp}
+   * @access protected
+   */
+  _createPattern(pattern) {
+    if (pattern instanceof RegExp) {
+      return pattern;
+    }
+
+    const expression = pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${expression}$`);
+  }
+  /**
+   * Creates an object that implements the parts of the `Response` interface the
+   * {@link APIClient} uses.
+   *
+   * @param {APIClientFakeResponse} definition  The definition of the response.
+   * @param {string}                url         The URL of the response.
+   * @returns {Object}
+   * @access protected
+   */
+  _createResponse(definition, url) {
+    const { status = statuses('ok'), headers = {}, body = null } = definition;
+    const responseHeaders = { ...headers };
+    const contentTypeHeader = Object.keys(responseHeaders).find(
+      (name) => name.toLowerCase() === 'content-type',
+    );
+    let content = '';
+    let defaultContentType = null;
+    if (typeof body === 'string') {
+      content = body;
+    } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+      content = ArrayBuffer.isView(body)
+        ? new Uint8Array(body.buffer, body.byteOffset, body.byteLength)
+        : new Uint8Array(body);
+      defaultContentType = 'application/octet-stream';
+    } else if (body !== null && typeof body !== 'undefined') {
+      content = JSON.stringify(body);
+      defaultContentType = 'application/json';
+    }
+
+    if (defaultContentType && !contentTypeHeader) {
+      responseHeaders['Content-Type'] = defaultContentType;
+    }
+
+    const contentType = contentTypeHeader
+      ? responseHeaders[contentTypeHeader]
+      : defaultContentType || '';
+    return {
+      url,
+      status,
+      statusText: statuses.message[status] || '',
+      ok: status >= statuses('ok') && status < statuses('multiple choices'),
+      headers: responseHeaders,
+      body:
+        body === null || typeof body === 'undefined'
+          ? null
+          : this._createBodyStream(content),
+      text: this._createBodyReader(content),
+      json: this._createBodyReader(content, 'json'),
+      arrayBuffer: this._createBodyReader(content, 'arrayBuffer'),
+      blob: this._createBodyReader(content, 'blob', contentType),
+    };
+  }
+  /**
+   * Gets the body of a fake response as bytes.
+   *
+   * @param {string | Uint8Array} content  The body of the response.
+   * @returns {Uint8Array}
+   * @access protected
+   */
+  _getBodyBytes(content) {
+    return typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  }
+  /**
+   * Gets the body of a fake response as text.
+   *
+   * @param {string | Uint8Array} content  The body of the response.
+   * @returns {string}
+   * @access protected
+   */
+  _getBodyText(content) {
+    return typeof content === 'string' ? content : new TextDecoder().decode(content);
+  }
+  /**
+   * Sends a request with the real fetch client and records the interaction. The body of
+   * the response is read to save it, so the request is resolved with a new response.
+   *
+   * @param {APIClientFakeRequest}  request  The information of the request.
+   * @param {APIClientFetchOptions} options  The request options.
+   * @returns {Promise<Response>}
+   * @access protected
+   */
+  _record(request, options) {
+    return this._fetchClient(request.url, options).then((response) =>
+      response.text().then((text) => {
+        const headers = {};
+        if (typeof response.headers.forEach === 'function') {
+          response.headers.forEach((value, name) => {
+            headers[name.toLowerCase()] = value;
+          });
+        } else {
+          Object.keys(response.headers).forEach((name) => {
+            headers[name.toLowerCase()] = response.headers[name];
+          });
+        }
+
+        let body = text || null;
+        if (text && /json/i.test(headers['content-type'] || '')) {
+          try {
+            body = JSON.parse(text);
+          } catch (ignore) {
+            // If the body can't be parsed, it will be saved as a string.
+          }
+        }
+
+        const definition = {
+          status: response.status,
+          headers,
+          body,
+        };
+        this._recordings.push({
+          request: {
+            method: request.method,
+            url: request.url,
+            body: typeof request.body === 'string' ? request.body : null,
+          },
+          response: definition,
+        });
+
+        return this._createResponse(definition, response.url || request.url);
+      }),
+    );
+  }
+  /**
+   * Finds a recorded interaction for a request. The recordings are replayed in order, and
+   * when all the recordings for a request were used, the last one will be used again.
+   *
+   * @param {APIClientFakeRequest} request  The information of the request.
+   * @returns {Promise<{ response: APIClientFakeResponse; delay: number }>}
+   * @access protected
+   */
+  _replay(request) {
+    const indexes = this._recordings.reduce((acc, recording, index) => {
+      const { method, url, body } = recording.request;
+      return method === request.method &&
+        url === request.url &&
+        (body === null || typeof body === 'undefined' || body === request.body)
+        ? [...acc, index]
+        : acc;
+    }, []);
+    if (!indexes.length) {
+      return Promise.reject(
+        new Error(`No recording for ${request.method} ${request.url}`),
+      );
+    }
+
+    const unused = indexes.filter((item) => !this._replayed.includes(item));
+    const index = unused.length ? unused[0] : indexes[indexes.length - 1];
+    this._replayed.push(index);
+    return Promise.resolve({
+      response: this._recordings[index].response,
+      delay: this._delay,
+    });
+  }
+  /**
+   * Finds a route for a request and generates its response.
+   *
+   * @param {APIClientFakeRequest} request  The information of the request.
+   * @returns {Promise<{ response: APIClientFakeResponse | Error; delay: number }>}
+   * @access protected
+   */
+  _respond(request) {
+    let match = null;
+    const route = this._routes.find((item) => {
+      if (
+        (item.method !== '*' && item.method !== request.method) ||
+        (item.times && item.calls >= item.times)
+      ) {
+        return false;
+      }
+
+      match = item.pattern.exec(
+        item.relative ? urijs(request.url).resource() : request.url,
+      );
+      return !!match;
+    });
+    if (!route) {
+      return Promise.reject(new Error(`No route for ${request.method} ${request.url}`));
+    }
+
+    route.calls++;
+    const delay = route.delay === null ? this._delay : route.delay;
+    const { response } = route;
+    if (typeof response !== 'function') {
+      return Promise.resolve({ response, delay });
+    }
+
+    return Promise.resolve()
+      .then(() => response(request, match))
+      .then(
+        (result) => ({ response: result, delay }),
+        (error) => ({ response: error, delay }),
+      );
+  }
+  /**
+   * Waits before responding a request, unless the request signal gets aborted.
+   *
+   * @param {number}      delay     The time to wait, in milliseconds.
+   * @param {AbortSignal} [signal]  The signal of the request.
+   * @returns {Promise}
+   * @access protected
+   */
+  _wait(delay, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(this._createAbortError());
+    }
+
+    if (!delay) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      let onAbort;
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        resolve();
+      }, delay);
+      if (signal) {
+        /**
+         * Stops the timer and rejects the request.
+         *
+         * @ignore
+         */
+        onAbort = () => {
+          clearTimeout(timer);
+          reject(this._createAbortError());
+        };
+        signal.addEventListener('abort', onAbort);
+      }
+    });
+  }
+}
+
+module.exports = APIClientFakeFetch;
@@ -0,0 +1,97 @@
+/**
+ * @module shared/apiClientMemoryCache
+ */
+
+/**
+ * @typedef {import('./apiClient').APIClientCacheEntry} APIClientCacheEntry
+ */
+
+/**
+ * A basic in-memory store for the responses {@link APIClient} caches. This is the store
+ * the client uses by default, but it can be replaced with any object that implements the
+ * same methods, sync or async.
+ *
+ * @parent module:shared/apiClientMemoryCache
+ * @tutorial APIClient
+ */
+class APIClientMemoryCache {
+  /**
+   * @param {number} [maxEntries=0]  The maximum number of entries the store can have.
+   *                                 When the limit is reached, the oldest entry gets
+   *                                 removed. If it's `0`, there's no limit.
+   */
+  constructor(maxEntries = 0) {
+    /**
+     * The maximum number of entries the store can have.
+     *
+     * @type {number}
+     * @access protected
+     * @ignore
+     */
+    this._maxEntries = maxEntries;
+    /**
+     * The entries of the store.
+     *
+     * @type {Map<string, APIClientCacheEntry>}
+     * @access protected
+     * @ignore
+     */
+    this._entries = new Map();
+  }
+  /**
+   * Removes all the entries from the store.
+   */
+  clear() {
+    this._entries.clear();
+  }
+  /**
+   * Removes an entry from the store.
+   *
+   * @param {string} key  The key of the entry.
+   * @returns {boolean} Whether or not the entry existed.
+   */
+  delete(key) {
+    return this._entries.delete(key);
+  }
+  /**
+   * Gets an entry from the store.
+   *
+   * @param {string} key  The key of the entry.
+   * @returns {?APIClientCacheEntry}
+   */
+  get(key) {
+    return this._entries.get(key) || null;
+  }
+  /**
+   * Saves an entry on the store.
+   *
+   * @param {string}              key    The key of the entry.
+   * @param {APIClientCacheEntry} entry  The entry information.
+   */
+  set(key, entry) {
+    // Delete it first so it will be moved to the end of the list.
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    if (this._maxEntries && this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+  /**
+   * The maximum number of entries the store can have.
+   *
+   * @type {number}
+   */
+  get maxEntries() {
+    return this._maxEntries;
+  }
+  /**
+   * The number of entries on the store.
+   *
+   * @type {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+}
+
+module.exports = APIClientMemoryCache;
@@ -0,0 +1,419 @@
+const urijs = require('urijs');
+const ObjectUtils = require('./objectUtils');
+
+/**
+ * @module shared/apiClientPaginator
+ */
+
+/**
+ * @typedef {import('./apiClient')} APIClient
+ * @typedef {import('./apiClient').APIClientFetchOptions} APIClientFetchOptions
+ * @typedef {import('./apiClient').APIClientFullResponse} APIClientFullResponse
+ */
+
+/**
+ * @typedef {import('./apiClient').APIClientParametersDictionary} APIClientParametersDictionary
+ * @prettierignore
+ */
+
+/**
+ * The strategies the paginator can use to request the pages:
+ * - `page`: Increments a page number parameter.
+ * - `offset`: Increments an offset parameter with the number of items received.
+ * - `cursor`: Sends a cursor taken from the body of the previous page.
+ * - `link`: Follows the `next` URL of the `Link` header (RFC 5988).
+ *
+ * @typedef {'page' | 'offset' | 'cursor' | 'link'} APIClientPaginationStrategy
+ * @parent module:shared/apiClientPaginator
+ */
+
+/**
+ * @typedef {Object} APIClientPaginatorOptions
+ * @property {APIClientPaginationStrategy} strategy
+ * How the pages should be requested. By default, it's `page`.
+ * @property {'items' | 'pages'} mode
+ * Whether the iterator should return the items, one by one, or the pages. By default,
+ * it's `items`.
+ * @property {string} itemsPath
+ * The path, in dot notation, to the list of items on the body of the responses. By
+ * default, it's empty, which means the body is the list.
+ * @property {number} limit
+ * The number of items per page. If specified, it will be sent on the `limitParam`
+ * parameter, and when a page has less items, the paginator will assume it's the last one.
+ * By default, it's `0`, which means it won't be sent.
+ * @property {string} limitParam
+ * The name of the parameter for the number of items per page. By default, it's `limit`.
+ * @property {string} pageParam
+ * The name of the parameter for the page number, for the `page` strategy. By default,
+ * it's `page`.
+ * @property {number} startPage
+ * The number of the first page, for the `page` strategy, in case the parameters don't
+ * include it. By default, it's `1`.
+ * @property {string} offsetParam
+ * The name of the parameter for the offset, for the `offset` strategy. By default, it's
+ * `offset`.
+ * @property {string} cursorParam
+ * The name of the parameter for the cursor, for the `cursor` strategy. By default, it's
+ * `cursor`.
+ * @property {string} cursorPath
+ * The path, in dot notation, to the cursor for the next page on the body of the
+ * responses, for the `cursor` strategy. By default, it's `cursor`.
+ * @property {number} maxPages
+ * The maximum number of pages to request. By default, it's `0`, which means there's no
+ * limit.
+ * @property {APIClientFetchOptions} request
+ * Extra options for the requests.
+ * @parent module:shared/apiClientPaginator
+ */
+
+/**
+ * @typedef {Object} APIClientPage
+ * @property {number}                number    The number of the page, starting from `1`,
+ *                                             relative to the first request.
+ * @property {Array}                 items     The items of the page.
+ * @property {APIClientFullResponse} response  The information of the response.
+ * @parent module:shared/apiClientPaginator
+ */
+
+/**
+ * An async iterator that requests the pages of an endpoint, one after the other, and
+ * returns their items (or the pages). The pages are only requested when the iterator
+ * needs them, and never in parallel.
+ *
+ * @parent module:shared/apiClientPaginator
+ * @tutorial APIClient
+ */
+class APIClientPaginator {
+  /**
+   * @param {APIClient} client
+   * The client that will make the requests.
+   * @param {string} name
+   * The name of the endpoint on the client `endpoints` property.
+   * @param {APIClientParametersDictionary} [parameters={}]
+   * The parameters for the first request.
+   * @param {Partial<APIClientPaginatorOptions>} [options={}]
+   * Customize how the pages are requested.
+   * @throws {Error}
+   * If the strategy is not supported.
+   */
+  constructor(client, name, parameters = {}, options = {}) {
+    /**
+     * The client that makes the requests.
+     *
+     * @type {APIClient}
+     * @access protected
+     * @ignore
+     */
+    this._client = client;
+    /**
+     * The name of the endpoint.
+     *
+     * @type {string}
+     * @access protected
+     * @ignore
+     */
+    this._name = name;
+    /**
+     * The options to customize how the pages are requested.
+     *
+     * @type {APIClientPaginatorOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = {
+      strategy: 'page',
+      mode: 'items',
+      itemsPath: '',
+      limit: 0,
+      limitParam: 'limit',
+      pageParam: 'page',
+      startPage: 1,
+      offsetParam: 'offset',
+      cursorParam: 'cursor',
+      cursorPath: 'cursor',
+      maxPages: 0,
+      request: {},
+      ...options,
+    };
+    if (!['page', 'offset', 'cursor', 'link'].includes(this._options.strategy)) {
+      throw new Error(`Invalid pagination strategy: ${this._options.strategy}`);
+    }
+    /**
+     * The parameters for the next request.
+     *
+     * @type {APIClientParametersDictionary}
+     * @access protected
+     * @ignore
+     */
+    this._parameters = this._createInitialParameters(parameters);
+    /**
+     * The URL for the next request, when using the `link` strategy.
+     *
+     * @type {?string}
+     * @access protected
+     * @ignore
+     */
+    this._nextURL = null;
+    /**
+     * The number of pages that were requested.
+     *
+     * @type {number}
+     * @access protected
+     * @ignore
+     */
+    this._pages = 0;
+    /**
+     * Whether or not there are no more pages to request.
+     *
+     * @type {boolean}
+     * @access protected
+     * @ignore
+     */
+    this._done = false;
+    /**
+     * The items of the last page that weren't returned yet.
+     *
+     * @type {Array}
+     * @access protected
+     * @ignore
+     */
+    this._buffer = [];
+    /**
+     * The promise of the last call to `next`, so the calls can be queued.
+     *
+     * @type {Promise}
+     * @access protected
+     * @ignore
+     */
+    this._queue = Promise.resolve();
+  }
+  /**
+   * Returns the iterator itself, so it can be used on a `for await` loop.
+   *
+   * @returns {APIClientPaginator}
+   */
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+  /**
+   * Iterates all the remaining items (or pages) and returns them on a list.
+   *
+   * @returns {Promise<Array>}
+   */
+  all() {
+    const result = [];
+    /**
+     * Calls `next` until the iterator is done.
+     *
+     * @returns {Promise<Array>}
+     * @ignore
+     */
+    const collect = () =>
+      this.next().then(({ value, done }) => {
+        if (done) {
+          return result;
+        }
+
+        result.push(value);
+        return collect();
+      });
+
+    return collect();
+  }
+  /**
+   * Gets the next item (or page). If a call is still in progress, the new one will wait
+   * for it.
+   *
+   * @returns {Promise<IteratorResult<any>>}
+   */
+  next() {
+    const result = this._queue.then(() => this._next());
+    this._queue = result.catch(() => {});
+    return result;
+  }
+  /**
+   * Stops the iterator, so no more pages will be requested. This gets called when a loop
+   * is interrupted.
+   *
+   * @returns {Promise<IteratorResult<any>>}
+   */
+  return() {
+    this._done = true;
+    this._buffer = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+  /**
+   * Whether or not there are no more pages to request.
+   *
+   * @type {boolean}
+   */
+  get done() {
+    return this._done;
+  }
+  /**
+   * The number of pages that were requested.
+   *
+   * @type {number}
+   */
+  get pages() {
+    return this._pages;
+  }
+  /**
+   * Generates the parameters for the first request.
+   *
+   * @param {APIClientParametersDictionary} parameters
+   * The parameters sent to the constructor.
+   * @returns {APIClientParametersDictionary}
+   * @access protected
+   */
+  _createInitialParameters(parameters) {
+    const { strategy, limit, limitParam, pageParam, startPage, offsetParam } =
+      this._options;
+    const result = { ...parameters };
+    if (limit) {
+      result[limitParam] = limit;
+    }
+
+    if (strategy === 'page' && typeof result[pageParam] === 'undefined') {
+      result[pageParam] = startPage;
+    } else if (strategy === 'offset' && typeof result[offsetParam] === 'undefined') {
+      result[offsetParam] = 0;
+    }
+
+    return result;
+  }
+  /**
+   * Requests the next page and prepares the paginator for the one after it.
+   *
+   * @returns {Promise<?APIClientPage>} If there are no more pages, it will resolve with
+   *                                    `null`.
+   * @access protected
+   */
+  _fetchPage() {
+    const { maxPages, request } = this._options;
+    if (this._done || (maxPages && this._pages >= maxPages)) {
+      this._done = true;
+      return Promise.resolve(null);
+    }
+
+    const options = { ...request, fullResponse: true };
+    const nextStep = this._nextURL
+      ? this._client.get(this._nextURL, options)
+      : this._client.call(this._name, this._parameters, null, options);
+    return nextStep.then(
+      (response) => {
+        this._pages++;
+        const items = this._getItems(response.data);
+        this._prepareNextPage(response, items);
+        return {
+          number: this._pages,
+          items,
+          response,
+        };
+      },
+      (error) => {
+        this._done = true;
+        return Promise.reject(error);
+      },
+    );
+  }
+  /**
+   * Gets the list of items from the body of a response.
+   *
+   * @param {*} data  The body of the response.
+   * @returns {Array}
+   * @access protected
+   */
+  _getItems(data) {
+    const { itemsPath } = this._options;
+    const items = itemsPath ? ObjectUtils.get(data, itemsPath) : data;
+    return Array.isArray(items) ? items : [];
+  }
+  /**
+   * Gets the URL of the next page from the `Link` header of a response.
+   *
+   * @param {APIClientFullResponse} response  The information of the response.
+   * @returns {?string}
+   * @access protected
+   */
+  _getNextLink(response) {
+    const header = response.headers.link || '';
+    const expression = /<([^>]*)>\s*;([^,]*)/g;
+    let result = null;
+    let match = expression.exec(header);
+    while (match && !result) {
+      const [, url, params] = match;
+      const rel = /rel\s*=\s*"?([^";]+)"?/i.exec(params);
+      if (rel && rel[1].trim().split(/\s+/).includes('next')) {
+        result = urijs(url).absoluteTo(response.url).toString();
+      }
+
+      match = expression.exec(header);
+    }
+
+    return result;
+  }
+  /**
+   * Gets the next item (or page), requesting a new page if needed.
+   *
+   * @returns {Promise<IteratorResult<any>>}
+   * @access protected
+   */
+  _next() {
+    if (this._buffer.length) {
+      return Promise.resolve({ value: this._buffer.shift(), done: false });
+    }
+
+    return this._fetchPage().then((page) => {
+      if (!page || (this._done && !page.items.length)) {
+        this._done = true;
+        return { value: undefined, done: true };
+      }
+
+      if (this._options.mode === 'pages') {
+        return { value: page, done: false };
+      }
+
+      this._buffer = page.items.slice();
+      return this._next();
+    });
+  }
+  /**
+   * Updates the parameters (or the URL) for the next page, or marks the paginator as done
+   * if there are no more pages.
+   *
+   * @param {APIClientFullResponse} response  The information of the response.
+   * @param {Array}                 items     The items of the page.
+   * @access protected
+   */
+  _prepareNextPage(response, items) {
+    const { strategy, limit, pageParam, offsetParam, cursorParam, cursorPath } =
+      this._options;
+    const isLastPage = !items.length || (!!limit && items.length < limit);
+    if (strategy === 'page') {
+      this._done = isLastPage;
+      this._parameters = {
+        ...this._parameters,
+        [pageParam]: this._parameters[pageParam] + 1,
+      };
+    } else if (strategy === 'offset') {
+      this._done = isLastPage;
+      this._parameters = {
+        ...this._parameters,
+        [offsetParam]: this._parameters[offsetParam] + items.length,
+      };
+    } else if (strategy === 'cursor') {
+      const cursor = ObjectUtils.get(response.data, cursorPath);
+      this._done = typeof cursor === 'undefined' || cursor === null || cursor === '';
+      this._parameters = {
+        ...this._parameters,
+        [cursorParam]: cursor,
+      };
+    } else {
+      this._nextURL = this._getNextLink(response);
+      this._done = !this._nextURL;
+    }
+  }
+}
+
+module.exports = APIClientPaginator;
@@ -0,0 +1,384 @@
+/**
+ * @module shared/apiClientScheduler
+ */
+
+/**
+ * A token bucket limit: the bucket has `limit` tokens, each task consumes one, and the
+ * bucket gets refilled, gradually, with `limit` tokens every `interval`.
+ *
+ * @typedef {Object} APIClientRateLimit
+ * @property {number} limit            The maximum number of tasks that can start on each
+ *                                     interval.
+ * @property {number} [interval=1000]  The duration of the interval, in milliseconds.
+ * @parent module:shared/apiClientScheduler
+ */
+
+/**
+ * @typedef {Object} APIClientSchedulerLimits
+ * @property {number}              [concurrency=0]  The maximum number of tasks that can
+ *                                                  run at the same time. If it's `0`,
+ *                                                  there's no limit.
+ * @property {?APIClientRateLimit} [rate=null]      The rate limit for the tasks.
+ * @parent module:shared/apiClientScheduler
+ */
+
+/**
+ * @typedef {Object} APIClientSchedulerGroups
+ * @property {Object.<string, APIClientSchedulerLimits>} [hosts={}]
+ * A dictionary of limits for specific hosts. The tasks for a host are limited by both its
+ * limits and the global limits.
+ * @property {Object.<string, APIClientSchedulerLimits>} [endpoints={}]
+ * A dictionary of limits for specific endpoints, using their names. The tasks for an
+ * endpoint are limited by both its limits and the global limits.
+ * @parent module:shared/apiClientScheduler
+ */
+
+/**
+ * @typedef {APIClientSchedulerLimits & APIClientSchedulerGroups} APIClientSchedulerOptions
+ * @parent module:shared/apiClientScheduler
+ * @prettierignore
+ */
+
+/**
+ * @typedef {Object} APIClientScheduleOptions
+ * @property {string}      [host]              The host the task will send a request to,
+ *                                             to use its limits.
+ * @property {string}      [endpoint]          The name of the endpoint the task will send
+ *                                             a request to, to use its limits.
+ * @property {number}      [priority=0]        The priority of the task: the tasks with
+ *                                             higher priority start first, and the tasks
+ *                                             with the same priority start in the order
+ *                                             they were scheduled.
+ * @property {AbortSignal} [signal]            A signal to remove the task from the queue,
+ *                                             in case it didn't start yet.
+ * @property {() => Error} [createAbortError]  A function to generate the error to reject
+ *                                             the task with, when it gets removed from
+ *                                             the queue.
+ * @parent module:shared/apiClientScheduler
+ */
+
+/**
+ * @typedef {Object} APIClientSchedulerLimiter
+ * @property {number}              concurrency  The maximum number of tasks that can run
+ *                                              at the same time.
+ * @property {?APIClientRateLimit} rate         The rate limit for the tasks.
+ * @property {number}              running      The number of tasks that are running.
+ * @property {number}              tokens       The tokens available on the bucket.
+ * @property {number}              updatedAt    The last time the bucket was refilled.
+ * @parent module:shared/apiClientScheduler
+ * @ignore
+ */
+
+/**
+ * @typedef {Object} APIClientSchedulerTask
+ * @property {() => Promise} fn           The function that runs the task.
+ * @property {string[]}      limiters     The keys of the limiters the task uses.
+ * @property {number}        priority     The priority of the task.
+ * @property {number}        order        The order in which the task was scheduled.
+ * @property {Function}      resolve      The function to resolve the task promise.
+ * @property {Function}      reject       The function to reject the task promise.
+ * @property {?Function}     unsubscribe  The function to stop listening for the signal.
+ * @parent module:shared/apiClientScheduler
+ * @ignore
+ */
+
+/**
+ * A queue that limits how many tasks (requests) can run at the same time, and how many
+ * can start on a period of time, globally and for specific hosts or endpoints. The tasks
+ * wait on the queue until all their limits allow them to start.
+ *
+ * @parent module:shared/apiClientScheduler
+ * @tutorial APIClient
+ */
+class APIClientScheduler {
+  /**
+   * @param {Partial<APIClientSchedulerOptions>} [options={}]
+   * The limits for the tasks.
+   */
+  constructor(options = {}) {
+    const { hosts = {}, endpoints = {}, ...limits } = options;
+    /**
+     * A dictionary with the limiters for the global limits, the hosts and the endpoints.
+     *
+     * @type {Object.<string, APIClientSchedulerLimiter>}
+     * @access protected
+     * @ignore
+     */
+    this._limiters = {
+      global: this._createLimiter(limits),
+    };
+    Object.keys(hosts).forEach((host) => {
+      this._limiters[`host:${host}`] = this._createLimiter(hosts[host]);
+    });
+    Object.keys(endpoints).forEach((endpoint) => {
+      this._limiters[`endpoint:${endpoint}`] = this._createLimiter(endpoints[endpoint]);
+    });
+    /**
+     * The tasks waiting to start.
+     *
+     * @type {APIClientSchedulerTask[]}
+     * @access protected
+     * @ignore
+     */
+    this._queue = [];
+    /**
+     * A counter to keep the order of the tasks with the same priority.
+     *
+     * @type {number}
+     * @access protected
+     * @ignore
+     */
+    this._counter = 0;
+    /**
+     * The timer to process the queue when the rate limits allow new tasks.
+     *
+     * @type {?number}
+     * @access protected
+     * @ignore
+     */
+    this._timer = null;
+  }
+  /**
+   * Removes all the tasks from the queue and rejects them.
+   *
+   * @param {Error} [error]  The error to reject the tasks with.
+   */
+  clear(error = new Error('The task was removed from the queue')) {
+    const tasks = this._queue;
+    this._queue = [];
+    this._clearTimer();
+    tasks.forEach((task) => {
+      if (task.unsubscribe) {
+        task.unsubscribe();
+      }
+
+      task.reject(error);
+    });
+  }
+  /**
+   * Adds a task to the queue.
+   *
+   * @param {() => Promise<T>} fn
+   * The function that runs the task.
+   * @param {Partial<APIClientScheduleOptions>} [options={}]
+   * The information to select the limits and the priority of the task.
+   * @returns {Promise<T>}
+   * @template T
+   */
+  schedule(fn, options = {}) {
+    const { host, endpoint, priority = 0, signal, createAbortError } = options;
+    /**
+     * Generates the error for when the task is removed from the queue.
+     *
+     * @returns {Error}
+     * @ignore
+     */
+    const abortError = () =>
+      createAbortError ? createAbortError() : new Error('The task was aborted');
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        fn,
+        limiters: ['global', `host:${host}`, `endpoint:${endpoint}`].filter(
+          (key) => !!this._limiters[key],
+        ),
+        priority,
+        order: this._counter++,
+        resolve,
+        reject,
+        unsubscribe: null,
+      };
+      if (signal) {
+        /**
+         * Removes the task from the queue when the signal gets aborted.
+         *
+         * @ignore
+         */
+        const onAbort = () => {
+          const index = this._queue.indexOf(task);
+          if (index > -1) {
+            this._queue.splice(index, 1);
+            reject(abortError());
+          }
+        };
+        signal.addEventListener('abort', onAbort);
+        /**
+         * Stops listening for the signal once the task leaves the queue.
+         *
+         * @ignore
+         */
+        task.unsubscribe = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      this._queue.push(task);
+      this._queue.sort((a, b) => b.priority - a.priority || a.order - b.order);
+      this._process();
+    });
+  }
+  /**
+   * The number of tasks waiting to start.
+   *
+   * @type {number}
+   */
+  get pending() {
+    return this._queue.length;
+  }
+  /**
+   * The number of tasks that are running.
+   *
+   * @type {number}
+   */
+  get running() {
+    return this._limiters.global.running;
+  }
+  /**
+   * Clears the timer to process the queue.
+   *
+   * @access protected
+   */
+  _clearTimer() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+  /**
+   * Creates the information to track the limits of a group of tasks.
+   *
+   * @param {Partial<APIClientSchedulerLimits>} limits
+   * The limits for the group.
+   * @returns {APIClientSchedulerLimiter}
+   * @access protected
+   */
+  _createLimiter(limits) {
+    const { concurrency = 0, rate = null } = limits;
+    const limiterRate = rate
+      ? {
+          interval: 1000,
+          ...rate,
+        }
+      : null;
+    return {
+      concurrency,
+      rate: limiterRate,
+      running: 0,
+      tokens: limiterRate ? limiterRate.limit : 0,
+      updatedAt: Date.now(),
+    };
+  }
+  /**
+   * Gets the time, in milliseconds, a limiter needs for a task to start. If the limiter
+   * allows a new task, it will return `0`, and if it has to wait for a running task to
+   * finish, it will return `-1`.
+   *
+   * @param {string} key  The key of the limiter to validate.
+   * @param {number} now  The current timestamp.
+   * @returns {number}
+   * @access protected
+   */
+  _getWaitTime(key, now) {
+    const limiter = this._limiters[key];
+    const { concurrency, rate } = limiter;
+    if (concurrency && limiter.running >= concurrency) {
+      return -1;
+    }
+
+    if (!rate) {
+      return 0;
+    }
+
+    const tokens = Math.min(
+      rate.limit,
+      limiter.tokens + ((now - limiter.updatedAt) * rate.limit) / rate.interval,
+    );
+    this._limiters[key] = {
+      ...limiter,
+      tokens,
+      updatedAt: now,
+    };
+    return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) * rate.interval) / rate.limit);
+  }
+  /**
+   * Starts all the tasks that the limits allow, and if a task needs to wait for a rate
+   * limit, it schedules a new check.
+   *
+   * @access protected
+   */
+  _process() {
+    this._clearTimer();
+    const now = Date.now();
+    let nextCheck = 0;
+    this._queue.slice().forEach((task) => {
+      const waitTime = task.limiters.reduce((acc, key) => {
+        const limiterTime = this._getWaitTime(key, now);
+        return acc === -1 || limiterTime === -1 ? -1 : Math.max(acc, limiterTime);
+      }, 0);
+      if (waitTime === 0) {
+        this._run(task);
+      } else if (waitTime > 0) {
+        nextCheck = nextCheck ? Math.min(nextCheck, waitTime) : waitTime;
+      }
+    });
+
+    if (nextCheck) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._process();
+      }, nextCheck);
+    }
+  }
+  /**
+   * Removes a task from the queue, consumes its limits and runs it. Once the task
+   * finishes, the queue gets processed again.
+   *
+   * @param {APIClientSchedulerTask} task  The task to run.
+   * @access protected
+   */
+  _run(task) {
+    this._queue.splice(this._queue.indexOf(task), 1);
+    if (task.unsubscribe) {
+      task.unsubscribe();
+    }
+
+    task.limiters.forEach((key) => {
+      const limiter = this._limiters[key];
+      this._limiters[key] = {
+        ...limiter,
+        running: limiter.running + 1,
+        tokens: limiter.rate ? limiter.tokens - 1 : limiter.tokens,
+      };
+    });
+    /**
+     * Releases the limits of the task and processes the queue.
+     *
+     * @ignore
+     */
+    const release = () => {
+      task.limiters.forEach((key) => {
+        this._limiters[key] = {
+          ...this._limiters[key],
+          running: this._limiters[key].running - 1,
+        };
+      });
+      this._process();
+    };
+
+    Promise.resolve()
+      .then(() => task.fn())
+      .then(
+        (result) => {
+          release();
+          task.resolve(result);
+        },
+        (error) => {
+          release();
+          task.reject(error);
+        },
+      );
+  }
+}
+
+module.exports = APIClientScheduler;
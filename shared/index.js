@@ -6,6 +6,13 @@
  */
 
 const APIClient = require('./apiClient');
+const { apiKeyAuth, basicAuth, bearerAuth } = require('./apiClientAuth');
+const APIClientCircuitBreaker = require('./apiClientCircuitBreaker');
+const APIClientError = require('./apiClientError');
+const APIClientFakeFetch = require('./apiClientFakeFetch');
+const APIClientMemoryCache = require('./apiClientMemoryCache');
+const APIClientPaginator = require('./apiClientPaginator');
+const APIClientScheduler = require('./apiClientScheduler');
 const {
   DeepAssign,
   deepAssign,
@@ -28,6 +35,15 @@ const {
 const ObjectUtils = require('./objectUtils');
 
 module.exports.APIClient = APIClient;
+module.exports.apiKeyAuth = apiKeyAuth;
+module.exports.basicAuth = basicAuth;
+module.exports.bearerAuth = bearerAuth;
+module.exports.APIClientCircuitBreaker = APIClientCircuitBreaker;
+module.exports.APIClientError = APIClientError;
+module.exports.APIClientFakeFetch = APIClientFakeFetch;
+module.exports.APIClientMemoryCache = APIClientMemoryCache;
+module.exports.APIClientPaginator = APIClientPaginator;
+module.exports.APIClientScheduler = APIClientScheduler;
 module.exports.DeepAssign = DeepAssign;
 module.exports.deepAssign = deepAssign;
 module.exports.deepAssignWithConcat = deepAssignWithConcat;
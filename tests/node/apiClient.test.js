@@ -0,0 +1,352 @@
+jest.unmock('../../node/apiClient');
+jest.unmock('../../shared/deepAssign');
+jest.unmock('../../shared/jimpleFns');
+
+const crypto = require('crypto');
+const APIClient = require('../../shared/apiClient');
+const { apiClient } = require('../../node/apiClient');
+
+describe('apiClient', () => {
+  beforeEach(() => {
+    APIClient.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    const fetchClient = jest.fn();
+    const container = {
+      set: jest.fn(),
+      get: jest.fn(() => fetchClient),
+    };
+    let sut = null;
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    apiClient.register(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('apiClient');
+    expect(sut).toBeInstanceOf(APIClient);
+    expect(APIClient).toHaveBeenCalledTimes(1);
+    expect(APIClient).toHaveBeenCalledWith(
+      '',
+      {},
+      fetchClient,
+      {},
+      {
+        idempotency: {
+          enabled: false,
+          generator: expect.any(Function),
+        },
+      },
+    );
+    expect(container.get).toHaveBeenCalledTimes(1);
+    expect(container.get).toHaveBeenCalledWith('fetchClient');
+  });
+
+  it('should allow custom options on its service provider', () => {
+    // Given
+    const fetchClient = jest.fn();
+    const container = {
+      set: jest.fn(),
+      get: jest.fn(),
+    };
+    const options = {
+      serviceName: 'myAPIClient',
+      url: 'https://api.example.com',
+      endpoints: {
+        users: 'users',
+      },
+      defaultHeaders: {
+        'X-Client': 'wootils',
+      },
+      options: {
+        retries: 2,
+      },
+      services: {
+        fetchClient,
+      },
+    };
+    let sut = null;
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    apiClient(options).register(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe(options.serviceName);
+    expect(sut).toBeInstanceOf(APIClient);
+    expect(APIClient).toHaveBeenCalledWith(
+      options.url,
+      options.endpoints,
+      fetchClient,
+      options.defaultHeaders,
+      {
+        ...options.options,
+        idempotency: {
+          enabled: false,
+          generator: expect.any(Function),
+        },
+      },
+    );
+    expect(container.get).toHaveBeenCalledTimes(0);
+  });
+
+  it('should read the client settings from the app configuration', () => {
+    // Given
+    const fetchClient = jest.fn();
+    const settings = {
+      url: 'https://api.example.com',
+      endpoints: {
+        user: 'users/:id',
+      },
+      defaultHeaders: {
+        'X-Env': 'production',
+      },
+    };
+    const appConfiguration = {
+      get: jest.fn(() => settings),
+    };
+    const services = {
+      appConfiguration,
+      fetch: fetchClient,
+    };
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((name) => services[name]),
+    };
+    const options = {
+      settingPath: 'apis.users',
+      endpoints: {
+        users: 'users',
+      },
+      defaultHeaders: {
+        'X-Client': 'wootils',
+      },
+      services: {
+        fetchClient: 'fetch',
+      },
+    };
+    let sut = null;
+    let serviceFn = null;
+    // When
+    apiClient(options).register(container);
+    [[, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(sut).toBeInstanceOf(APIClient);
+    expect(appConfiguration.get).toHaveBeenCalledTimes(1);
+    expect(appConfiguration.get).toHaveBeenCalledWith(options.settingPath);
+    expect(container.get).toHaveBeenCalledTimes(2);
+    expect(container.get).toHaveBeenNthCalledWith(1, 'appConfiguration');
+    expect(container.get).toHaveBeenNthCalledWith(2, 'fetch');
+    expect(APIClient).toHaveBeenCalledWith(
+      settings.url,
+      {
+        ...options.endpoints,
+        ...settings.endpoints,
+      },
+      fetchClient,
+      {
+        ...options.defaultHeaders,
+        ...settings.defaultHeaders,
+      },
+      {
+        idempotency: {
+          enabled: false,
+          generator: expect.any(Function),
+        },
+      },
+    );
+  });
+
+  it('should register multiple named clients', () => {
+    // Given
+    const fetchClient = jest.fn();
+    const appConfiguration = {
+      get: jest.fn((setting) => ({ url: `https://${setting}.example.com` })),
+    };
+    const container = {
+      set: jest.fn(),
+      get: jest.fn(),
+    };
+    const options = {
+      serviceName: 'ignored',
+      options: {
+        retries: 2,
+      },
+      services: {
+        appConfiguration,
+        fetchClient,
+      },
+      clients: {
+        usersAPI: {
+          settingPath: 'users',
+        },
+        postsAPI: {
+          url: 'https://posts.example.com',
+          options: {
+            timeout: 1000,
+          },
+        },
+      },
+    };
+    let sutUsers = null;
+    let sutPosts = null;
+    let serviceNames = null;
+    // When
+    apiClient(options).register(container);
+    serviceNames = container.set.mock.calls.map(([name]) => name);
+    sutUsers = container.set.mock.calls[0][1]();
+    sutPosts = container.set.mock.calls[1][1]();
+    // Then
+    expect(serviceNames).toEqual(['usersAPI', 'postsAPI']);
+    expect(sutUsers).toBeInstanceOf(APIClient);
+    expect(sutPosts).toBeInstanceOf(APIClient);
+    expect(APIClient).toHaveBeenCalledTimes(2);
+    expect(APIClient).toHaveBeenNthCalledWith(
+      1,
+      'https://users.example.com',
+      {},
+      fetchClient,
+      {},
+      {
+        retries: 2,
+        idempotency: {
+          enabled: false,
+          generator: expect.any(Function),
+        },
+      },
+    );
+    expect(APIClient).toHaveBeenNthCalledWith(
+      2,
+      'https://posts.example.com',
+      {},
+      fetchClient,
+      {},
+      {
+        retries: 2,
+        timeout: 1000,
+        idempotency: {
+          enabled: false,
+          generator: expect.any(Function),
+        },
+      },
+    );
+    expect(appConfiguration.get).toHaveBeenCalledTimes(1);
+    expect(container.get).toHaveBeenCalledTimes(0);
+  });
+
+  it("should generate the idempotency keys with Node's crypto module", () => {
+    // Given
+    const key = 'some-uuid';
+    const { randomUUID } = crypto;
+    const randomUUIDMock = jest.fn(() => key);
+    crypto.randomUUID = randomUUIDMock;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn(),
+    };
+    const options = {
+      options: {
+        idempotency: true,
+      },
+      services: {
+        fetchClient: jest.fn(),
+      },
+    };
+    let serviceFn = null;
+    let idempotency = null;
+    let result = null;
+    // When
+    apiClient(options).register(container);
+    [[, serviceFn]] = container.set.mock.calls;
+    serviceFn();
+    [[, , , , { idempotency }]] = APIClient.mock.calls;
+    result = idempotency.generator({});
+    crypto.randomUUID = randomUUID;
+    // Then
+    expect(idempotency).toEqual({
+      enabled: true,
+      generator: expect.any(Function),
+    });
+    expect(result).toBe(key);
+    expect(randomUUIDMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("should generate the idempotency keys with random bytes if there's no randomUUID", () => {
+    // Given
+    const { randomUUID } = crypto;
+    crypto.randomUUID = undefined;
+    jest
+      .spyOn(crypto, 'randomBytes')
+      .mockImplementation((size) => Buffer.alloc(size, 255));
+    const container = {
+      set: jest.fn(),
+      get: jest.fn(),
+    };
+    const options = {
+      services: {
+        fetchClient: jest.fn(),
+      },
+    };
+    let serviceFn = null;
+    let idempotency = null;
+    let result = null;
+    // When
+    apiClient(options).register(container);
+    [[, serviceFn]] = container.set.mock.calls;
+    serviceFn();
+    [[, , , , { idempotency }]] = APIClient.mock.calls;
+    result = idempotency.generator({});
+    crypto.randomUUID = randomUUID;
+    // Then
+    expect(result).toBe('ffffffff-ffff-4fff-bfff-ffffffffffff');
+    expect(crypto.randomBytes).toHaveBeenCalledTimes(1);
+    expect(crypto.randomBytes).toHaveBeenCalledWith(16);
+  });
+
+  it("shouldn't replace a custom idempotency key generator", () => {
+    // Given
+    const generator = jest.fn();
+    const container = {
+      set: jest.fn(),
+      get: jest.fn(),
+    };
+    const options = {
+      options: {
+        idempotency: {
+          header: 'X-Request-Key',
+          generator,
+        },
+      },
+      services: {
+        fetchClient: jest.fn(),
+      },
+    };
+    let serviceFn = null;
+    // When
+    apiClient(options).register(container);
+    [[, serviceFn]] = container.set.mock.calls;
+    serviceFn();
+    // Then
+    expect(APIClient).toHaveBeenCalledWith(
+      '',
+      {},
+      options.services.fetchClient,
+      {},
+      {
+        idempotency: {
+          header: 'X-Request-Key',
+          generator,
+        },
+      },
+    );
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('fs-extra');
+jest.unmock('../../node/apiClientFixtures');
+
+const fs = require('fs-extra');
+const APIClientFakeFetch = require('../../shared/apiClientFakeFetch');
+const {
+  loadAPIClientFixture,
+  saveAPIClientFixture,
+} = require('../../node/apiClientFixtures');
+
+describe('apiClientFixtures', () => {
+  const fixturePath = 'tests/fixtures/users.json';
+
+  beforeEach(() => {
+    fs.pathExists.mockReset();
+    fs.readJson.mockReset();
+    fs.outputJson.mockReset();
+    APIClientFakeFetch.mockClear();
+  });
+
+  it('should create a client to replay an existing fixture', async () => {
+    // Given
+    const recordings = [
+      {
+        request: { method: 'GET', url: 'http://example.com', body: null },
+        response: { status: 200, body: {} },
+      },
+    ];
+    fs.pathExists.mockImplementationOnce(() => Promise.resolve(true));
+    fs.readJson.mockImplementationOnce(() => Promise.resolve(recordings));
+    let result = null;
+    // When
+    result = await loadAPIClientFixture(fixturePath, jest.fn());
+    // Then
+    expect(result).toBeInstanceOf(APIClientFakeFetch);
+    expect(APIClientFakeFetch).toHaveBeenCalledTimes(1);
+    expect(APIClientFakeFetch).toHaveBeenCalledWith({ recordings });
+    expect(fs.pathExists).toHaveBeenCalledTimes(1);
+    expect(fs.pathExists).toHaveBeenCalledWith(fixturePath);
+    expect(fs.readJson).toHaveBeenCalledTimes(1);
+    expect(fs.readJson).toHaveBeenCalledWith(fixturePath);
+  });
+
+  it("should create a client to record if the fixture doesn't exist", async () => {
+    // Given
+    const fetchClient = jest.fn();
+    fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+    let result = null;
+    // When
+    result = await loadAPIClientFixture(fixturePath, fetchClient);
+    // Then
+    expect(result).toBeInstanceOf(APIClientFakeFetch);
+    expect(APIClientFakeFetch).toHaveBeenCalledTimes(1);
+    expect(APIClientFakeFetch).toHaveBeenCalledWith({ fetchClient });
+    expect(fs.readJson).toHaveBeenCalledTimes(0);
+  });
+
+  it("should fail if the fixture doesn't exist and there's no client", async () => {
+    // Given
+    fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+    // When/Then
+    await expect(loadAPIClientFixture(fixturePath)).rejects.toThrow(
+      `The fixture doesn't exist and there's no client to record: ${fixturePath}`,
+    );
+  });
+
+  it('should save the recorded interactions', async () => {
+    // Given
+    const recordings = [
+      {
+        request: { method: 'GET', url: 'http://example.com', body: null },
+        response: { status: 200, body: {} },
+      },
+    ];
+    const fakeFetch = {
+      mode: 'record',
+      recordings,
+    };
+    fs.outputJson.mockImplementationOnce(() => Promise.resolve());
+    let result = null;
+    // When
+    result = await saveAPIClientFixture(fixturePath, fakeFetch);
+    // Then
+    expect(result).toBe(true);
+    expect(fs.outputJson).toHaveBeenCalledTimes(1);
+    expect(fs.outputJson).toHaveBeenCalledWith(fixturePath, recordings, { spaces: 2 });
+  });
+
+  it("shouldn't save the fixture if the client wasn't recording", async () => {
+    // Given
+    const fakeFetch = {
+      mode: 'replay',
+      recordings: [],
+    };
+    let result = null;
+    // When
+    result = await saveAPIClientFixture(fixturePath, fakeFetch);
+    // Then
+    expect(result).toBe(false);
+    expect(fs.outputJson).toHaveBeenCalledTimes(0);
+  });
+});
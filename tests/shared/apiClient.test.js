@@ -1,7 +1,21 @@
 jest.unmock('../../shared/objectUtils');
 jest.unmock('../../shared/apiClient');
+jest.unmock('../../shared/apiClientAuth');
+jest.unmock('../../shared/apiClientError');
+jest.unmock('../../shared/apiClientFakeFetch');
+jest.unmock('../../shared/apiClientMemoryCache');
+jest.unmock('../../shared/eventsHub');
 
+const util = require('util');
 const APIClient = require('../../shared/apiClient');
+const { apiKeyAuth } = require('../../shared/apiClientAuth');
+const APIClientCircuitBreaker = require('../../shared/apiClientCircuitBreaker');
+const APIClientError = require('../../shared/apiClientError');
+const APIClientFakeFetch = require('../../shared/apiClientFakeFetch');
+const APIClientMemoryCache = require('../../shared/apiClientMemoryCache');
+const APIClientPaginator = require('../../shared/apiClientPaginator');
+const APIClientScheduler = require('../../shared/apiClientScheduler');
+const EventsHub = require('../../shared/eventsHub');
 
 describe('APIClient', () => {
   it('should be instantiated with a base URL, endpoints and a fetch client', () => {
@@ -197,6 +211,302 @@ describe('APIClient', () => {
     expect(result).toBe(`${url}/${expectedPathWithQuery}`);
   });
 
+  it('should encode the values of the placeholders', () => {
+    // Given
+    const url = 'http://example.com';
+    const endpoints = {
+      one: 'files/:name',
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClient(url, endpoints, () => {});
+    result = sut.endpoint('one', { name: 'some dir/file?.txt' });
+    // Then
+    expect(result).toBe(`${url}/files/some%20dir%2Ffile%3F.txt`);
+  });
+
+  it('should allow disabling the encoding of the placeholders', () => {
+    // Given
+    const url = 'http://example.com';
+    const endpoints = {
+      one: 'files/:name',
+      two: {
+        path: 'files/:name',
+        encodePath: true,
+      },
+    };
+    const name = 'some-dir/file.txt';
+    let sut = null;
+    let resultOne = null;
+    let resultTwo = null;
+    // When
+    sut = new APIClient(url, endpoints, () => {}, {}, { encodePath: false });
+    resultOne = sut.endpoint('one', { name });
+    resultTwo = sut.endpoint('two', { name });
+    // Then
+    expect(resultOne).toBe(`${url}/files/some-dir/file.txt`);
+    expect(resultTwo).toBe(`${url}/files/some-dir%2Ffile.txt`);
+  });
+
+  it('should replace all the occurrences of a placeholder', () => {
+    // Given
+    const url = 'http://example.com';
+    const endpoints = {
+      one: 'users/:id/friends/:id-friend/:id',
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClient(url, endpoints, () => {});
+    result = sut.endpoint('one', { id: 1, 'id-friend': 2 });
+    // Then
+    expect(result).toBe(`${url}/users/1/friends/2/1`);
+  });
+
+  it('should remove the optional placeholders without values', () => {
+    // Given
+    const url = 'http://example.com';
+    const endpoints = {
+      one: 'users/:id?/posts/:postId?',
+    };
+    let sut = null;
+    let resultWithValues = null;
+    let resultWithoutValues = null;
+    // When
+    sut = new APIClient(url, endpoints, () => {});
+    resultWithValues = sut.endpoint('one', { id: 1, postId: 2 });
+    resultWithoutValues = sut.endpoint('one', { id: 1, postId: null });
+    // Then
+    expect(resultWithValues).toBe(`${url}/users/1/posts/2`);
+    expect(resultWithoutValues).toBe(`${url}/users/1/posts`);
+  });
+
+  it("shouldn't confuse the start of the query string with an optional placeholder", () => {
+    // Given
+    const url = 'http://example.com';
+    const endpoints = {
+      one: 'users/:id?fields=name',
+      two: 'users/:id?/posts?fields=title',
+    };
+    let sut = null;
+    let resultOne = null;
+    let resultTwo = null;
+    // When
+    sut = new APIClient(url, endpoints, () => {});
+    resultOne = sut.endpoint('one', { id: 5 });
+    resultTwo = sut.endpoint('two');
+    // Then
+    expect(resultOne).toBe(`${url}/users/5?fields=name`);
+    expect(resultTwo).toBe(`${url}/users/posts?fields=title`);
+    return expect(sut.call('one')).rejects.toThrow(
+      'Missing required parameters for the endpoint one: id',
+    );
+  });
+
+  it('should serialize arrays on the query string', () => {
+    // Given
+    const url = 'http://example.com';
+    const endpoints = {
+      one: 'one',
+      two: {
+        path: 'two',
+        arrayFormat: 'comma',
+      },
+    };
+    const parameters = {
+      ids: [1, 2],
+    };
+    let sutRepeat = null;
+    let sutBrackets = null;
+    let resultRepeat = null;
+    let resultBrackets = null;
+    let resultComma = null;
+    // When
+    sutRepeat = new APIClient(url, endpoints, () => {});
+    sutBrackets = new APIClient(
+      url,
+      endpoints,
+      () => {},
+      {},
+      { arrayFormat: 'brackets' },
+    );
+    resultRepeat = sutRepeat.endpoint('one', parameters);
+    resultBrackets = sutBrackets.endpoint('one', parameters);
+    resultComma = sutBrackets.endpoint('two', parameters);
+    // Then
+    expect(resultRepeat).toBe(`${url}/one?ids=1&ids=2`);
+    expect(resultBrackets).toBe(`${url}/one?ids%5B%5D=1&ids%5B%5D=2`);
+    expect(resultComma).toBe(`${url}/two?ids=1%2C2`);
+  });
+
+  it('should serialize nested objects on the query string', () => {
+    // Given
+    const url = 'http://example.com';
+    const endpoints = {
+      one: 'one',
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClient(url, endpoints, () => {}, {}, { arrayFormat: 'brackets' });
+    result = sut.endpoint('one', {
+      filter: {
+        name: 'x',
+        tags: ['a', 'b'],
+        owner: {
+          id: 1,
+        },
+      },
+    });
+    // Then
+    expect(decodeURIComponent(result)).toBe(
+      `${url}/one?filter[name]=x&filter[tags][]=a&filter[tags][]=b&filter[owner][id]=1`,
+    );
+  });
+
+  it('should throw an error if the array format is not supported', () => {
+    // Given
+    const arrayFormat = 'semicolon';
+    let sut = null;
+    // When
+    sut = new APIClient('', { one: 'one' }, () => {}, {}, { arrayFormat });
+    // Then
+    expect(() => sut.endpoint('one', { ids: [1, 2] })).toThrow(
+      `Invalid array format: ${arrayFormat}`,
+    );
+  });
+
+  it('should allow a custom serializer for the query string', () => {
+    // Given
+    const url = 'http://example.com';
+    const endpoints = {
+      one: 'one?fixed=true',
+    };
+    const querySerializer = jest.fn(() => 'ids=1|2');
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClient(url, endpoints, () => {}, {}, { querySerializer });
+    result = sut.endpoint('one', { ids: [1, 2] });
+    // Then
+    expect(result).toBe(`${url}/one?fixed=true&ids=1|2`);
+    expect(querySerializer).toHaveBeenCalledTimes(1);
+    expect(querySerializer).toHaveBeenCalledWith({ ids: [1, 2] });
+  });
+
+  it('should format endpoints with their own base URLs', () => {
+    // Given
+    const url = 'http://example.com';
+    const baseURLs = {
+      auth: 'https://auth.example.com',
+    };
+    const endpoints = {
+      login: {
+        path: 'login',
+        baseURL: 'auth',
+      },
+      upload: {
+        path: 'files/:id',
+        baseURL: 'https://uploads.example.com/v2',
+      },
+      users: 'users',
+    };
+    let sut = null;
+    let resultLogin = null;
+    let resultUpload = null;
+    let resultUsers = null;
+    // When
+    sut = new APIClient(url, endpoints, () => {}, {}, { baseURLs });
+    resultLogin = sut.endpoint('login');
+    resultUpload = sut.endpoint('upload', { id: 5 });
+    resultUsers = sut.endpoint('users');
+    // Then
+    expect(resultLogin).toBe(`${baseURLs.auth}/login`);
+    expect(resultUpload).toBe('https://uploads.example.com/v2/files/5');
+    expect(resultUsers).toBe(`${url}/users`);
+    expect(sut.baseURLs).toEqual(baseURLs);
+  });
+
+  it('should allow switching the base URLs', () => {
+    // Given
+    const endpoints = {
+      login: {
+        path: 'login',
+        baseURL: 'auth',
+      },
+      users: 'users',
+    };
+    const stagingURL = 'https://staging.example.com';
+    const stagingBaseURLs = {
+      auth: 'https://auth.staging.example.com',
+    };
+    let sut = null;
+    let resultLogin = null;
+    let resultUsers = null;
+    // When
+    sut = new APIClient(
+      'https://example.com',
+      endpoints,
+      () => {},
+      {},
+      {
+        baseURLs: {
+          auth: 'https://auth.example.com',
+          uploads: 'https://uploads.example.com',
+        },
+      },
+    );
+    sut.setURL(stagingURL);
+    sut.setBaseURLs(stagingBaseURLs);
+    resultLogin = sut.endpoint('login');
+    resultUsers = sut.endpoint('users');
+    // Then
+    expect(resultLogin).toBe(`${stagingBaseURLs.auth}/login`);
+    expect(resultUsers).toBe(`${stagingURL}/users`);
+    expect(sut.url).toBe(stagingURL);
+    expect(sut.baseURLs).toEqual(stagingBaseURLs);
+  });
+
+  it('should allow merging new base URLs with the current ones', () => {
+    // Given
+    const baseURLs = {
+      auth: 'https://auth.example.com',
+    };
+    const newBaseURLs = {
+      uploads: 'https://uploads.example.com',
+    };
+    let sut = null;
+    // When
+    sut = new APIClient('', {}, () => {}, {}, { baseURLs });
+    sut.setBaseURLs(newBaseURLs, false);
+    // Then
+    expect(sut.baseURLs).toEqual({
+      ...baseURLs,
+      ...newBaseURLs,
+    });
+  });
+
+  it("should throw an error if an endpoint uses a base URL that doesn't exist", () => {
+    // Given
+    const endpoints = {
+      login: {
+        path: 'login',
+        baseURL: 'auth',
+      },
+    };
+    let sut = null;
+    // When
+    sut = new APIClient('', endpoints, () => {});
+    // Then
+    expect(() => sut.endpoint('login')).toThrow(
+      'Unknown base URL for the endpoint login: auth',
+    );
+    return expect(sut.call('login')).rejects.toThrow(
+      'Unknown base URL for the endpoint login: auth',
+    );
+  });
+
   it('should be ble to configure the headers for a request', () => {
     // Given
     const token = '25x10x2015';
@@ -350,6 +660,68 @@ describe('APIClient', () => {
     });
   });
 
+  it('should make a GET request and return an empty object if the body is empty', async () => {
+    // Given
+    const requestURL = 'http://example.com';
+    const requestResponse = {
+      status: 200,
+      text: jest.fn(() => Promise.resolve('')),
+      json: jest.fn(),
+    };
+    const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+    let sut = null;
+    let response = null;
+    // When
+    sut = new APIClient('', '', fetchClient);
+    response = await sut.fetch({ url: requestURL });
+    // Then
+    expect(response).toEqual({});
+    expect(requestResponse.text).toHaveBeenCalledTimes(1);
+    expect(requestResponse.json).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reject a GET request with a parse error if the body is invalid', async () => {
+    // Given
+    const requestURL = 'http://example.com';
+    const requestResponse = {
+      status: 200,
+      text: jest.fn(() => Promise.resolve('<html>')),
+      json: jest.fn(),
+    };
+    const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClient('', '', fetchClient);
+    result = await sut.fetch({ url: requestURL }).catch((error) => error);
+    // Then
+    expect(result).toBeInstanceOf(APIClientError);
+    expect(result.code).toBe('parse_error');
+    expect(result.status).toBe(requestResponse.status);
+    expect(result.url).toBe(requestURL);
+    expect(result.cause).toBeInstanceOf(SyntaxError);
+  });
+
+  it('should keep the HTTP error if the body of a failed request is invalid', async () => {
+    // Given
+    const requestURL = 'http://example.com';
+    const requestResponse = {
+      status: 502,
+      text: jest.fn(() => Promise.resolve('<html>')),
+      json: jest.fn(),
+    };
+    const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClient('', '', fetchClient);
+    result = await sut.fetch({ url: requestURL }).catch((error) => error);
+    // Then
+    expect(result).toBeInstanceOf(APIClientError);
+    expect(result.code).toBe('server_error');
+    expect(result.message).toBe(`[${requestResponse.status}]: Bad Gateway`);
+  });
+
   it('should make a successful POST request', async () => {
     // Given
     const requestURL = 'http://example.com';
@@ -724,4 +1096,4465 @@ describe('APIClient', () => {
       method: requestMethod.toUpperCase(),
     });
   });
+
+  describe('interceptors', () => {
+    it('should modify a request using request interceptors', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const correlationInterceptor = jest.fn((request) => ({
+        ...request,
+        headers: {
+          ...request.headers,
+          'x-correlation-id': 'Rosario',
+        },
+      }));
+      const signatureInterceptor = jest.fn((request) =>
+        Promise.resolve({
+          ...request,
+          headers: {
+            ...request.headers,
+            'x-signature': `${request.method}-${request.headers['x-correlation-id']}`,
+          },
+        }),
+      );
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      sut.addInterceptor('request', correlationInterceptor);
+      sut.addInterceptor('request', signatureInterceptor);
+      await sut.get(requestURL);
+      // Then
+      expect(correlationInterceptor).toHaveBeenCalledTimes(1);
+      expect(correlationInterceptor).toHaveBeenCalledWith({
+        url: requestURL,
+        method: 'GET',
+      });
+      expect(signatureInterceptor).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'GET',
+        headers: {
+          'x-correlation-id': 'Rosario',
+          'x-signature': 'GET-Rosario',
+        },
+      });
+    });
+
+    it('should modify a response using response interceptors', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        data: {
+          message: 'hello-world',
+        },
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const unwrapInterceptor = jest.fn((response) => response.data);
+      const asyncInterceptor = jest.fn((response) =>
+        Promise.resolve({ ...response, intercepted: true }),
+      );
+      let sut = null;
+      let response = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      sut.addInterceptor('response', unwrapInterceptor);
+      sut.addInterceptor('response', asyncInterceptor);
+      response = await sut.get(requestURL);
+      // Then
+      expect(response).toEqual({
+        ...requestResponseData.data,
+        intercepted: true,
+      });
+      expect(unwrapInterceptor).toHaveBeenCalledTimes(1);
+      expect(unwrapInterceptor).toHaveBeenCalledWith(requestResponseData, {
+        request: {
+          url: requestURL,
+          method: 'GET',
+        },
+        status: requestResponse.status,
+        response: requestResponse,
+      });
+      expect(asyncInterceptor).toHaveBeenCalledTimes(1);
+      expect(asyncInterceptor).toHaveBeenCalledWith(
+        requestResponseData.data,
+        expect.any(Object),
+      );
+    });
+
+    it('should send failed requests to the error interceptors', () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        error: 'Something went terribly wrong!',
+      };
+      const requestResponse = {
+        status: 500,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const replacementError = new Error('Replacement');
+      const errorInterceptorOne = jest.fn(() => Promise.reject(replacementError));
+      const errorInterceptorTwo = jest.fn((error) => {
+        throw error;
+      });
+      let sut = null;
+      expect.assertions(6);
+      // When
+      sut = new APIClient('', '', fetchClient);
+      sut.addInterceptor('error', errorInterceptorOne);
+      sut.addInterceptor('error', errorInterceptorTwo);
+      return sut.get(requestURL).catch((error) => {
+        // Then
+        expect(error).toBe(replacementError);
+        expect(errorInterceptorOne).toHaveBeenCalledTimes(1);
+        expect(errorInterceptorOne).toHaveBeenCalledWith(expect.any(Error), {
+          url: requestURL,
+          method: 'GET',
+        });
+        expect(errorInterceptorOne.mock.calls[0][0].message).toBe(
+          `[${requestResponse.status}]: ${requestResponseData.error}`,
+        );
+        expect(errorInterceptorTwo).toHaveBeenCalledTimes(1);
+        expect(errorInterceptorTwo).toHaveBeenCalledWith(replacementError, {
+          url: requestURL,
+          method: 'GET',
+        });
+      });
+    });
+
+    it('should recover a failed request with an error interceptor', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const fetchClient = jest.fn(() => Promise.reject(new Error('Network error')));
+      const fallbackResponse = { fallback: true };
+      const errorInterceptorOne = jest.fn(() => fallbackResponse);
+      const errorInterceptorTwo = jest.fn();
+      let sut = null;
+      let response = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      sut.addInterceptor('error', errorInterceptorOne);
+      sut.addInterceptor('error', errorInterceptorTwo);
+      response = await sut.get(requestURL);
+      // Then
+      expect(response).toBe(fallbackResponse);
+      expect(errorInterceptorOne).toHaveBeenCalledTimes(1);
+      expect(errorInterceptorTwo).toHaveBeenCalledTimes(0);
+    });
+
+    it('should be able to remove interceptors', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const requestInterceptor = jest.fn((request) => request);
+      const responseInterceptor = jest.fn((response) => response);
+      let sut = null;
+      let removeRequestInterceptor = null;
+      let removedResponseInterceptor = null;
+      let removedResponseInterceptorAgain = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      removeRequestInterceptor = sut.addInterceptor('request', requestInterceptor);
+      sut.addInterceptor('response', responseInterceptor);
+      sut.addInterceptor('response', responseInterceptor);
+      await sut.get(requestURL);
+      removeRequestInterceptor();
+      removedResponseInterceptor = sut.removeInterceptor('response', responseInterceptor);
+      removedResponseInterceptorAgain = sut.removeInterceptor(
+        'response',
+        responseInterceptor,
+      );
+      await sut.get(requestURL);
+      // Then
+      expect(requestInterceptor).toHaveBeenCalledTimes(1);
+      expect(responseInterceptor).toHaveBeenCalledTimes(1);
+      expect(removedResponseInterceptor).toBe(true);
+      expect(removedResponseInterceptorAgain).toBe(false);
+    });
+
+    it('should throw an error when trying to add an invalid interceptor type', () => {
+      // Given
+      const type = 'something';
+      let sut = null;
+      // When
+      sut = new APIClient('', {}, () => {});
+      // Then
+      expect(() => sut.addInterceptor(type, () => {})).toThrow(
+        `Invalid interceptor type: ${type}`,
+      );
+    });
+  });
+
+  describe('retries', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("shouldn't retry failed requests by default", () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 500,
+        json: jest.fn(() => Promise.resolve({ error: 'Server error' })),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      expect.assertions(3);
+      // When
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL).catch((error) => {
+        // Then
+        expect(error).toBeInstanceOf(Error);
+        expect(fetchClient).toHaveBeenCalledTimes(1);
+        expect(sut.retryPolicy.maxAttempts).toBe(1);
+      });
+    });
+
+    it('should retry requests with network errors using exponential backoff', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() =>
+        Promise.reject(new Error('Network error')),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.reject(new Error('Network error')),
+      );
+      fetchClient.mockImplementationOnce(() => Promise.resolve(requestResponse));
+      const retry = {
+        maxAttempts: 3,
+        delay: 100,
+        factor: 3,
+        jitter: false,
+      };
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      let sut = null;
+      let response = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { retry });
+      response = await sut.get(requestURL);
+      // Then
+      expect(response).toEqual(requestResponseData);
+      expect(fetchClient).toHaveBeenCalledTimes(retry.maxAttempts);
+      expect(setTimeout).toHaveBeenCalledTimes(2);
+      expect(setTimeout).toHaveBeenNthCalledWith(1, expect.any(Function), retry.delay);
+      expect(setTimeout).toHaveBeenNthCalledWith(
+        2,
+        expect.any(Function),
+        retry.delay * retry.factor,
+      );
+    });
+
+    it('should retry requests with retryable statuses until the limit', () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        error: 'Something went terribly wrong!',
+      };
+      const requestResponse = {
+        status: 502,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const retry = {
+        maxAttempts: 3,
+        delay: 100,
+        maxDelay: 150,
+        jitter: false,
+      };
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      let sut = null;
+      expect.assertions(6);
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { retry });
+      return sut.get(requestURL).catch((error) => {
+        // Then
+        expect(error.message).toBe(
+          `[${requestResponse.status}]: ${requestResponseData.error}`,
+        );
+        expect(fetchClient).toHaveBeenCalledTimes(retry.maxAttempts);
+        expect(requestResponse.json).toHaveBeenCalledTimes(1);
+        expect(setTimeout).toHaveBeenCalledTimes(2);
+        expect(setTimeout).toHaveBeenNthCalledWith(1, expect.any(Function), retry.delay);
+        expect(setTimeout).toHaveBeenNthCalledWith(
+          2,
+          expect.any(Function),
+          retry.maxDelay,
+        );
+      });
+    });
+
+    it("shouldn't retry requests with non retryable statuses or methods", async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const notFoundResponse = {
+        status: 404,
+        json: jest.fn(() => Promise.resolve({ error: 'Not found' })),
+      };
+      const serverErrorResponse = {
+        status: 500,
+        json: jest.fn(() => Promise.resolve({ error: 'Server error' })),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(notFoundResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(serverErrorResponse));
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      let sut = null;
+      let getError = null;
+      let postError = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { retry: 3 });
+      try {
+        await sut.get(requestURL);
+      } catch (error) {
+        getError = error;
+      }
+      try {
+        await sut.post(requestURL, { prop: 'value' });
+      } catch (error) {
+        postError = error;
+      }
+      // Then
+      expect(getError.message).toBe('[404]: Not found');
+      expect(postError.message).toBe('[500]: Server error');
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(setTimeout).toHaveBeenCalledTimes(0);
+    });
+
+    it('should use the Retry-After header as the delay', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const now = 1000000;
+      const secondsResponse = {
+        status: 429,
+        headers: {
+          get: jest.fn(() => '3'),
+        },
+      };
+      const dateResponse = {
+        status: 503,
+        headers: {
+          'Retry-After': new Date(now + 5000).toUTCString(),
+        },
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(secondsResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(dateResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(requestResponse));
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { retry: 3 });
+      await sut.get(requestURL);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(3);
+      expect(secondsResponse.headers.get).toHaveBeenCalledTimes(1);
+      expect(secondsResponse.headers.get).toHaveBeenCalledWith('retry-after');
+      expect(setTimeout).toHaveBeenCalledTimes(2);
+      expect(setTimeout).toHaveBeenNthCalledWith(1, expect.any(Function), 3000);
+      expect(setTimeout).toHaveBeenNthCalledWith(2, expect.any(Function), 5000);
+    });
+
+    it('should limit the Retry-After delay to the max delay', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const failedResponse = {
+        status: 503,
+        headers: {
+          'Retry-After': '86400',
+        },
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(failedResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(requestResponse));
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      let sut = null;
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        { retry: { maxAttempts: 2, maxDelay: 1000 } },
+      );
+      await sut.get(requestURL);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(setTimeout).toHaveBeenCalledTimes(1);
+      expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 1000);
+    });
+
+    it('should randomize the delay when using jitter', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() =>
+        Promise.reject(new Error('Network error')),
+      );
+      fetchClient.mockImplementationOnce(() => Promise.resolve(requestResponse));
+      jest.spyOn(Math, 'random').mockImplementation(() => 0.5);
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      let sut = null;
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        { retry: { maxAttempts: 2, delay: 100 } },
+      );
+      await sut.get(requestURL);
+      // Then
+      expect(setTimeout).toHaveBeenCalledTimes(1);
+      expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 50);
+    });
+
+    it('should allow overwriting the retry policy for a single request', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() =>
+        Promise.reject(new Error('Network error')),
+      );
+      fetchClient.mockImplementationOnce(() => Promise.resolve(requestResponse));
+      fetchClient.mockImplementationOnce(() =>
+        Promise.reject(new Error('Network error')),
+      );
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      let sut = null;
+      let error = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, {}, { retry: { maxAttempts: 2, methods: ['post'] } });
+      sut.setRetryPolicy(5);
+      try {
+        await sut.get(requestURL, { retry: false });
+      } catch (e) {
+        error = e;
+      }
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(3);
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'POST',
+        body: '{}',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+      expect(error.message).toBe('Network error');
+      expect(setTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    it('should be able to update the retry policy', () => {
+      // Given
+      let sut = null;
+      let policyAfterNumber = null;
+      let policyAfterObject = null;
+      let policyAfterDisable = null;
+      // When
+      sut = new APIClient('', {}, () => {});
+      sut.setRetryPolicy(4);
+      policyAfterNumber = sut.retryPolicy;
+      sut.setRetryPolicy({ delay: 10, methods: ['get'] });
+      policyAfterObject = sut.retryPolicy;
+      sut.setRetryPolicy(false);
+      policyAfterDisable = sut.retryPolicy;
+      // Then
+      expect(policyAfterNumber).toEqual({
+        maxAttempts: 4,
+        delay: 300,
+        factor: 2,
+        maxDelay: 30000,
+        jitter: true,
+        statuses: [408, 429, 500, 502, 503, 504],
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+        retryAfter: true,
+      });
+      expect(policyAfterObject).toEqual({
+        ...policyAfterNumber,
+        delay: 10,
+        methods: ['GET'],
+      });
+      expect(policyAfterDisable).toEqual({
+        ...policyAfterObject,
+        maxAttempts: 1,
+      });
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    const { AbortController, AbortSignal } = global;
+
+    it('should reject a request that takes longer than the timeout', () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const timeout = 10;
+      const fetchClient = jest.fn(() => new Promise(() => {}));
+      let sut = null;
+      expect.assertions(6);
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { timeout });
+      return sut.get(requestURL).catch((error) => {
+        // Then
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('TimeoutError');
+        expect(error.message).toBe(`The request timed out after ${timeout}ms`);
+        expect(fetchClient).toHaveBeenCalledTimes(1);
+        expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+          method: 'GET',
+          signal: expect.any(AbortSignal),
+        });
+        expect(fetchClient.mock.calls[0][1].signal.aborted).toBe(true);
+      });
+    });
+
+    it('should reject a request when its body takes longer than the timeout', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const timeout = 10;
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => new Promise(() => {})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { timeout });
+      result = await sut.get(requestURL).catch((error) => error);
+      // Then
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.name).toBe('TimeoutError');
+      expect(result.message).toBe(`The request timed out after ${timeout}ms`);
+      expect(requestResponse.json).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'GET',
+        signal: expect.any(AbortSignal),
+      });
+      expect(fetchClient.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    it('should reject a request when its signal gets aborted while decoding', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => new Promise(() => {})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const controller = new AbortController();
+      let sut = null;
+      let promise = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      promise = sut.get(requestURL, { signal: controller.signal });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      controller.abort();
+      result = await promise.catch((error) => error);
+      // Then
+      expect(requestResponse.json).toHaveBeenCalledTimes(1);
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.name).toBe('AbortError');
+      expect(fetchClient.mock.calls[0][1].signal).not.toBe(controller.signal);
+      expect(fetchClient.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    it('should allow overwriting the timeout for a single request', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(
+        () =>
+          new Promise((resolve) => {
+            setTimeout(() => resolve(requestResponse), 20);
+          }),
+      );
+      let sut = null;
+      let clientTimeout = null;
+      let timeoutError = null;
+      let response = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { timeout: 1 });
+      clientTimeout = sut.timeout;
+      try {
+        await sut.get(requestURL);
+      } catch (error) {
+        timeoutError = error;
+      }
+      response = await sut.get(requestURL, { timeout: 0 });
+      // Then
+      expect(clientTimeout).toBe(1);
+      expect(timeoutError.name).toBe('TimeoutError');
+      expect(response).toEqual(requestResponseData);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+      });
+    });
+
+    it('should resolve a request that finishes before the timeout', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let response = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      response = await sut.get(requestURL, { timeout: 1000 });
+      // Then
+      expect(response).toEqual(requestResponseData);
+      expect(fetchClient.mock.calls[0][1].signal.aborted).toBe(false);
+    });
+
+    it('should abort a request using a signal', () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const controller = new AbortController();
+      const fetchClient = jest.fn(() => {
+        controller.abort();
+        return new Promise(() => {});
+      });
+      let sut = null;
+      expect.assertions(6);
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { retry: 3 });
+      return sut.get(requestURL, { signal: controller.signal }).catch((error) => {
+        // Then
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('AbortError');
+        expect(error.message).toBe('The request was aborted');
+        expect(fetchClient).toHaveBeenCalledTimes(1);
+        expect(fetchClient.mock.calls[0][1].signal).not.toBe(controller.signal);
+        expect(fetchClient.mock.calls[0][1].signal.aborted).toBe(true);
+      });
+    });
+
+    it("shouldn't call the fetch client if the signal was already aborted", () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const controller = new AbortController();
+      controller.abort();
+      const fetchClient = jest.fn();
+      let sut = null;
+      expect.assertions(2);
+      // When
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL, { signal: controller.signal }).catch((error) => {
+        // Then
+        expect(error.name).toBe('AbortError');
+        expect(fetchClient).toHaveBeenCalledTimes(0);
+      });
+    });
+
+    it('should retry requests that timed out', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => new Promise(() => {}));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let response = null;
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        {
+          timeout: 5,
+          retry: {
+            maxAttempts: 2,
+            delay: 0,
+          },
+        },
+      );
+      response = await sut.get(requestURL);
+      // Then
+      expect(response).toEqual(requestResponseData);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient.mock.calls[0][1].signal.aborted).toBe(true);
+      expect(fetchClient.mock.calls[1][1].signal.aborted).toBe(false);
+    });
+
+    it('should abort a request while waiting for a retry', () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const controller = new AbortController();
+      const fetchClient = jest.fn(() => {
+        setTimeout(() => controller.abort(), 5);
+        return Promise.reject(new Error('Network error'));
+      });
+      let sut = null;
+      expect.assertions(2);
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        {
+          retry: {
+            maxAttempts: 2,
+            delay: 10000,
+            jitter: false,
+          },
+        },
+      );
+      return sut.get(requestURL, { signal: controller.signal }).catch((error) => {
+        // Then
+        expect(error.name).toBe('AbortError');
+        expect(fetchClient).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('errors', () => {
+    const { AbortController } = global;
+
+    it('should reject failed requests with the information of the response', () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        error: 'Invalid data',
+        fields: {
+          name: 'Required',
+        },
+      };
+      const requestResponse = {
+        status: 422,
+        headers: new Map([
+          ['X-Request-Id', 'Rosario'],
+          ['Content-Type', 'application/json'],
+        ]),
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      expect.assertions(9);
+      // When
+      sut = new APIClient('', '', fetchClient);
+      return sut.post(requestURL, { name: '' }).catch((error) => {
+        // Then
+        expect(error).toBeInstanceOf(APIClientError);
+        expect(error.message).toBe(
+          `[${requestResponse.status}]: ${requestResponseData.error}`,
+        );
+        expect(error.code).toBe('client_error');
+        expect(error.isClientError).toBe(true);
+        expect(error.status).toBe(requestResponse.status);
+        expect(error.body).toEqual(requestResponseData);
+        expect(error.headers).toEqual({
+          'x-request-id': 'Rosario',
+          'content-type': 'application/json',
+        });
+        expect(error.url).toBe(requestURL);
+        expect(error.method).toBe('POST');
+      });
+    });
+
+    it('should reject server errors without a message', () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 503,
+        headers: {
+          'Retry-After': '120',
+        },
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      expect.assertions(5);
+      // When
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL).catch((error) => {
+        // Then
+        expect(error).toBeInstanceOf(APIClientError);
+        expect(error.message).toBe(`[${requestResponse.status}]: Service Unavailable`);
+        expect(error.code).toBe('server_error');
+        expect(error.isServerError).toBe(true);
+        expect(error.headers).toEqual({
+          'retry-after': '120',
+        });
+      });
+    });
+
+    it('should reject network errors with the original error', () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const networkError = new Error('Connection refused');
+      const fetchClient = jest.fn(() => Promise.reject(networkError));
+      let sut = null;
+      expect.assertions(6);
+      // When
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL).catch((error) => {
+        // Then
+        expect(error).toBeInstanceOf(APIClientError);
+        expect(error.message).toBe(networkError.message);
+        expect(error.code).toBe('network_error');
+        expect(error.status).toBeNull();
+        expect(error.cause).toBe(networkError);
+        expect(error.url).toBe(requestURL);
+      });
+    });
+
+    it('should reject timed out and aborted requests with specific codes', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const controller = new AbortController();
+      const fetchClient = jest.fn(() => new Promise(() => {}));
+      let sut = null;
+      let timeoutError = null;
+      let abortError = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      try {
+        await sut.get(requestURL, { timeout: 1 });
+      } catch (error) {
+        timeoutError = error;
+      }
+      setTimeout(() => controller.abort(), 1);
+      try {
+        await sut.get(requestURL, { signal: controller.signal });
+      } catch (error) {
+        abortError = error;
+      }
+      // Then
+      expect(timeoutError).toBeInstanceOf(APIClientError);
+      expect(timeoutError.code).toBe('timeout');
+      expect(timeoutError.name).toBe('TimeoutError');
+      expect(timeoutError.url).toBe(requestURL);
+      expect(timeoutError.method).toBe('GET');
+      expect(abortError).toBeInstanceOf(APIClientError);
+      expect(abortError.code).toBe('aborted');
+      expect(abortError.name).toBe('AbortError');
+    });
+  });
+
+  describe('cache', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("shouldn't cache responses by default", async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Cache-Control': 'max-age=60',
+        },
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.get(requestURL);
+      await sut.get(requestURL);
+      // Then
+      expect(sut.cacheEnabled).toBe(false);
+      expect(sut.cacheStore.size).toBe(0);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+    });
+
+    it('should use a cached response while it is fresh', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Cache-Control': 'public, max-age=60',
+        },
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const responseInterceptor = jest.fn((response) => response);
+      const now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      let sut = null;
+      let firstResponse = null;
+      let secondResponse = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { cache: true });
+      sut.addInterceptor('response', responseInterceptor);
+      firstResponse = await sut.get(requestURL);
+      secondResponse = await sut.get(requestURL);
+      // Then
+      expect(sut.cacheEnabled).toBe(true);
+      expect(sut.cacheStore).toBeInstanceOf(APIClientMemoryCache);
+      expect(firstResponse).toEqual(requestResponseData);
+      expect(secondResponse).toEqual(requestResponseData);
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(responseInterceptor).toHaveBeenCalledTimes(2);
+      expect(responseInterceptor).toHaveBeenNthCalledWith(2, requestResponseData, {
+        request: {
+          url: requestURL,
+          method: 'GET',
+        },
+        status: 200,
+        response: null,
+      });
+      expect(sut.cacheStore.get(`GET ${requestURL}`)).toEqual({
+        body: requestResponseData,
+        status: 200,
+        headers: {
+          'cache-control': 'public, max-age=60',
+        },
+        etag: null,
+        lastModified: null,
+        expires: now + 60000,
+      });
+    });
+
+    it('should revalidate a cached response using its ETag', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const etag = 'W/"25-10-2015"';
+      const requestResponse = {
+        status: 200,
+        headers: {
+          ETag: etag,
+        },
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const notModifiedResponse = {
+        status: 304,
+        headers: {},
+        json: jest.fn(() => Promise.reject(new Error('Empty body'))),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(requestResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(notModifiedResponse));
+      let sut = null;
+      let firstResponse = null;
+      let secondResponse = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { cache: true });
+      firstResponse = await sut.get(requestURL);
+      secondResponse = await sut.get(requestURL);
+      // Then
+      expect(firstResponse).toEqual(requestResponseData);
+      expect(secondResponse).toEqual(requestResponseData);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'GET',
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+        headers: {
+          'If-None-Match': etag,
+        },
+      });
+      expect(notModifiedResponse.json).toHaveBeenCalledTimes(0);
+    });
+
+    it('should revalidate a cached response using its Last-Modified date', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const lastModified = 'Sun, 25 Oct 2015 10:00:00 GMT';
+      const firstResponseData = {
+        message: 'hello-world',
+      };
+      const secondResponseData = {
+        message: 'hello-charito',
+      };
+      const firstRequestResponse = {
+        status: 200,
+        headers: {
+          'Last-Modified': lastModified,
+          'Cache-Control': 'no-cache',
+        },
+        json: jest.fn(() => Promise.resolve(firstResponseData)),
+      };
+      const secondRequestResponse = {
+        status: 200,
+        headers: {
+          'Cache-Control': 'no-store',
+        },
+        json: jest.fn(() => Promise.resolve(secondResponseData)),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(firstRequestResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(secondRequestResponse));
+      let sut = null;
+      let firstResponse = null;
+      let secondResponse = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { cache: true });
+      firstResponse = await sut.get(requestURL);
+      secondResponse = await sut.get(requestURL);
+      // Then
+      expect(firstResponse).toEqual(firstResponseData);
+      expect(secondResponse).toEqual(secondResponseData);
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+        headers: {
+          'If-Modified-Since': lastModified,
+        },
+      });
+      expect(sut.cacheStore.size).toBe(0);
+    });
+
+    it("shouldn't cache responses that can't be revalidated or that use no-store", async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const noStoreResponse = {
+        status: 200,
+        headers: {
+          ETag: '"25-10-2015"',
+          'Cache-Control': 'no-store',
+        },
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const noValidatorsResponse = {
+        status: 200,
+        headers: {},
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(noStoreResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(noValidatorsResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { cache: true });
+      await sut.get(requestURL);
+      await sut.get(requestURL);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+      });
+      expect(sut.cacheStore.size).toBe(0);
+    });
+
+    it('should use different entries for requests with different headers', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Cache-Control': 'max-age=60',
+        },
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { cache: true });
+      await sut.get(requestURL);
+      sut.setAuthorizationToken('Rosario');
+      await sut.get(requestURL);
+      await sut.get(requestURL);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(sut.cacheStore.size).toBe(2);
+    });
+
+    it('should allow enabling or disabling the cache for a single request', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Cache-Control': 'max-age=60',
+        },
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.get(requestURL, { cache: true });
+      await sut.get(requestURL, { cache: true });
+      await sut.get(requestURL, { cache: false });
+      await sut.get(requestURL, { cache: 'no-cache' });
+      await sut.post(requestURL, {}, { cache: true });
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(4);
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'GET',
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(3, requestURL, {
+        method: 'GET',
+        cache: 'no-cache',
+      });
+      expect(sut.cacheStore.size).toBe(1);
+    });
+
+    it('should allow a custom (async) cache store', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const cachedEntry = {
+        body: {
+          message: 'hello-world',
+        },
+        status: 200,
+        headers: {},
+        etag: null,
+        lastModified: null,
+        expires: Date.now() + 60000,
+      };
+      const store = {
+        get: jest.fn(() => Promise.resolve(cachedEntry)),
+        set: jest.fn(() => Promise.resolve()),
+        delete: jest.fn(() => Promise.resolve()),
+        clear: jest.fn(() => Promise.resolve()),
+      };
+      const fetchClient = jest.fn();
+      let sut = null;
+      let response = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { cache: store });
+      response = await sut.get(requestURL);
+      // Then
+      expect(sut.cacheStore).toBe(store);
+      expect(response).toEqual(cachedEntry.body);
+      expect(store.get).toHaveBeenCalledTimes(1);
+      expect(store.get).toHaveBeenCalledWith(`GET ${requestURL}`);
+      expect(fetchClient).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('deduplication', () => {
+    it("shouldn't share requests by default", async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await Promise.all([sut.get(requestURL), sut.get(requestURL)]);
+      // Then
+      expect(sut.dedupeEnabled).toBe(false);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share the response of identical in-flight requests', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let responses = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { dedupe: true });
+      responses = await Promise.all([
+        sut.get(requestURL),
+        sut.get(requestURL),
+        sut.head(requestURL),
+      ]);
+      // Then
+      expect(sut.dedupeEnabled).toBe(true);
+      expect(responses).toEqual([
+        requestResponseData,
+        requestResponseData,
+        requestResponseData,
+      ]);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'GET',
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'HEAD',
+      });
+    });
+
+    it('should make a new request once the shared one is completed', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { dedupe: true });
+      await sut.get(requestURL);
+      await sut.get(requestURL);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share the error of identical in-flight requests', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 404,
+        json: jest.fn(() => Promise.resolve({ error: 'Not found' })),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let results = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { dedupe: true });
+      results = await Promise.all(
+        [sut.get(requestURL), sut.get(requestURL)].map((promise) =>
+          promise.catch((error) => error),
+        ),
+      );
+      await sut.get(requestURL).catch(() => {});
+      // Then
+      expect(results[0]).toBeInstanceOf(APIClientError);
+      expect(results[0].status).toBe(404);
+      expect(results[1]).toBe(results[0]);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+    });
+
+    it("shouldn't share requests with different headers", async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { dedupe: true });
+      await Promise.all([
+        sut.get(requestURL),
+        sut.get(requestURL, { headers: { Authorization: 'Bearer abc' } }),
+      ]);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+    });
+
+    it("shouldn't share non idempotent, raw or cancellable requests", async () => {
+      // Given
+      const { AbortController } = global;
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const controller = new AbortController();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { dedupe: true });
+      await Promise.all([
+        sut.post(requestURL, { message: 'hello' }),
+        sut.post(requestURL, { message: 'hello' }),
+        sut.get(requestURL, { json: false }),
+        sut.get(requestURL, { json: false }),
+        sut.get(requestURL, { signal: controller.signal }),
+        sut.get(requestURL, { signal: controller.signal }),
+      ]);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(6);
+    });
+
+    it('should allow requests to opt out of the deduplication', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { dedupe: true });
+      await Promise.all([sut.get(requestURL), sut.get(requestURL, { dedupe: false })]);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+      });
+    });
+
+    it('should allow requests to opt in to the deduplication', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await Promise.all([
+        sut.get(requestURL, { dedupe: true }),
+        sut.get(requestURL, { dedupe: true }),
+      ]);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('token refresh', () => {
+    it('should refresh the token and replay a request that failed with a 401', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const unauthorizedResponse = {
+        status: 401,
+        json: jest.fn(() => Promise.resolve({ error: 'Unauthorized' })),
+      };
+      const successResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(unauthorizedResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(successResponse));
+      const newToken = 'new-token';
+      const tokenRefresher = jest.fn(() => Promise.resolve(newToken));
+      const errorInterceptor = jest.fn((error) => Promise.reject(error));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { tokenRefresher });
+      sut.setAuthorizationToken('old-token');
+      sut.addInterceptor('error', errorInterceptor);
+      result = await sut.get(requestURL);
+      // Then
+      expect(result).toEqual(requestResponseData);
+      expect(sut.authorizationToken).toBe(newToken);
+      expect(tokenRefresher).toHaveBeenCalledTimes(1);
+      expect(tokenRefresher).toHaveBeenCalledWith(expect.any(APIClientError), sut);
+      expect(errorInterceptor).toHaveBeenCalledTimes(0);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'GET',
+        headers: {
+          Authorization: 'Bearer old-token',
+        },
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+        headers: {
+          Authorization: `Bearer ${newToken}`,
+        },
+      });
+    });
+
+    it('should replay a deduplicated request without waiting for itself', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const unauthorizedResponse = {
+        status: 401,
+        json: jest.fn(() => Promise.resolve({ error: 'Unauthorized' })),
+      };
+      const successResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(unauthorizedResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(successResponse));
+      // The refresher sets a cookie, so the token (and the request key) doesn't change.
+      const tokenRefresher = jest.fn(() => Promise.resolve());
+      let sut = null;
+      let results = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { tokenRefresher, dedupe: true });
+      results = await Promise.all([sut.get(requestURL), sut.get(requestURL)]);
+      // Then
+      expect(results).toEqual([requestResponseData, requestResponseData]);
+      expect(tokenRefresher).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+      });
+    });
+
+    it('should refresh the token only once for concurrent requests', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const newToken = 'new-token';
+      const fetchClient = jest.fn((url, options) =>
+        Promise.resolve({
+          status: options.headers.Authorization === `Bearer ${newToken}` ? 200 : 401,
+          json: jest.fn(() => Promise.resolve({ url })),
+        }),
+      );
+      let resolveRefresh = null;
+      const tokenRefresher = jest.fn(
+        () =>
+          new Promise((resolve) => {
+            resolveRefresh = resolve;
+          }),
+      );
+      let sut = null;
+      let pending = null;
+      let results = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { tokenRefresher });
+      sut.setAuthorizationToken('old-token');
+      pending = Promise.all([
+        sut.get(`${requestURL}/a`),
+        sut.get(`${requestURL}/b`),
+        sut.post(`${requestURL}/c`, { message: 'hello' }),
+      ]);
+      await new Promise((resolve) => {
+        setTimeout(resolve, 0);
+      });
+      resolveRefresh(newToken);
+      results = await pending;
+      // Then
+      expect(results).toEqual([
+        { url: `${requestURL}/a` },
+        { url: `${requestURL}/b` },
+        { url: `${requestURL}/c` },
+      ]);
+      expect(tokenRefresher).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledTimes(6);
+      expect(fetchClient).toHaveBeenLastCalledWith(`${requestURL}/c`, {
+        method: 'POST',
+        body: JSON.stringify({ message: 'hello' }),
+        headers: {
+          Authorization: `Bearer ${newToken}`,
+          'Content-Type': 'application/json',
+        },
+      });
+    });
+
+    it('should replay a request without refreshing if the token already changed', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const newToken = 'new-token';
+      let resolveRequest = null;
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            resolveRequest = resolve;
+          }),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve({
+          status: 200,
+          json: jest.fn(() => Promise.resolve({})),
+        }),
+      );
+      const tokenRefresher = jest.fn(() => Promise.resolve('other-token'));
+      let sut = null;
+      let pending = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { tokenRefresher });
+      sut.setAuthorizationToken('old-token');
+      pending = sut.get(requestURL);
+      await new Promise((resolve) => {
+        setTimeout(resolve, 0);
+      });
+      sut.setAuthorizationToken(newToken);
+      resolveRequest({
+        status: 401,
+        json: jest.fn(() => Promise.resolve({})),
+      });
+      await pending;
+      // Then
+      expect(tokenRefresher).toHaveBeenCalledTimes(0);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenLastCalledWith(requestURL, {
+        method: 'GET',
+        headers: {
+          Authorization: `Bearer ${newToken}`,
+        },
+      });
+    });
+
+    it('should reject all the requests if the refresh fails', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const fetchClient = jest.fn(() =>
+        Promise.resolve({
+          status: 401,
+          json: jest.fn(() => Promise.resolve({})),
+        }),
+      );
+      const refreshError = new Error('Invalid refresh token');
+      const tokenRefresher = jest.fn(() => Promise.reject(refreshError));
+      const errorInterceptor = jest.fn((error) => Promise.reject(error));
+      let sut = null;
+      let results = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { tokenRefresher });
+      sut.setAuthorizationToken('old-token');
+      sut.addInterceptor('error', errorInterceptor);
+      results = await Promise.all(
+        [sut.get(`${requestURL}/a`), sut.get(`${requestURL}/b`)].map((promise) =>
+          promise.catch((error) => error),
+        ),
+      );
+      // Then
+      expect(results).toEqual([refreshError, refreshError]);
+      expect(tokenRefresher).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(errorInterceptor).toHaveBeenCalledTimes(2);
+      expect(errorInterceptor).toHaveBeenCalledWith(refreshError, {
+        url: `${requestURL}/a`,
+        method: 'GET',
+        headers: {
+          Authorization: 'Bearer old-token',
+        },
+      });
+      expect(sut.authorizationToken).toBe('old-token');
+    });
+
+    it('should reject a replayed request that fails with a 401 again', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const fetchClient = jest.fn(() =>
+        Promise.resolve({
+          status: 401,
+          json: jest.fn(() => Promise.resolve({ error: 'Unauthorized' })),
+        }),
+      );
+      const tokenRefresher = jest.fn(() => Promise.resolve('new-token'));
+      let sut = null;
+      // When/Then
+      expect.assertions(4);
+      sut = new APIClient('', '', fetchClient, {}, { tokenRefresher });
+      return sut.get(requestURL).catch((error) => {
+        expect(error).toBeInstanceOf(APIClientError);
+        expect(error.status).toBe(401);
+        expect(tokenRefresher).toHaveBeenCalledTimes(1);
+        expect(fetchClient).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it('should allow requests to opt out of the token refresh', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const fetchClient = jest.fn(() =>
+        Promise.resolve({
+          status: 401,
+          json: jest.fn(() => Promise.resolve({})),
+        }),
+      );
+      const tokenRefresher = jest.fn(() => Promise.resolve('new-token'));
+      let sut = null;
+      // When/Then
+      expect.assertions(3);
+      sut = new APIClient('', '', fetchClient);
+      sut.setTokenRefresher(tokenRefresher);
+      return sut.get(requestURL, { refreshToken: false }).catch((error) => {
+        expect(error.status).toBe(401);
+        expect(tokenRefresher).toHaveBeenCalledTimes(0);
+        expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+          method: 'GET',
+        });
+      });
+    });
+
+    it("shouldn't refresh the token without a refresher", async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const fetchClient = jest.fn(() =>
+        Promise.resolve({
+          status: 401,
+          json: jest.fn(() => Promise.resolve({})),
+        }),
+      );
+      let sut = null;
+      // When/Then
+      expect.assertions(2);
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL).catch((error) => {
+        expect(error.status).toBe(401);
+        expect(fetchClient).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('authentication strategies', () => {
+    it('should authenticate the requests after the request interceptors', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestBody = {
+        message: 'hello',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const requestInterceptor = jest.fn((request) => ({
+        ...request,
+        url: `${request.url}/intercepted`,
+      }));
+      const strategy = jest.fn((request) =>
+        Promise.resolve({
+          ...request,
+          headers: {
+            ...request.headers,
+            'X-Signature': `${request.method} ${request.url} ${request.body}`,
+          },
+        }),
+      );
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { auth: strategy });
+      sut.addInterceptor('request', requestInterceptor);
+      await sut.post(requestURL, requestBody);
+      // Then
+      expect(sut.authStrategy).toBe(strategy);
+      expect(strategy).toHaveBeenCalledTimes(1);
+      expect(strategy).toHaveBeenCalledWith(
+        {
+          url: `${requestURL}/intercepted`,
+          method: 'POST',
+          body: JSON.stringify(requestBody),
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        },
+        sut,
+      );
+      expect(fetchClient).toHaveBeenCalledWith(`${requestURL}/intercepted`, {
+        method: 'POST',
+        body: JSON.stringify(requestBody),
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Signature': `POST ${requestURL}/intercepted ${JSON.stringify(requestBody)}`,
+        },
+      });
+    });
+
+    it('should allow changing the strategy', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const strategy = jest.fn((request) => ({
+        ...request,
+        headers: {
+          'X-API-Key': 'some-key',
+        },
+      }));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      sut.setAuthStrategy(strategy);
+      await sut.get(requestURL);
+      sut.setAuthStrategy(null);
+      await sut.get(requestURL);
+      // Then
+      expect(sut.authStrategy).toBeNull();
+      expect(strategy).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'GET',
+        headers: {
+          'X-API-Key': 'some-key',
+        },
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+      });
+    });
+
+    it('should allow requests to skip the strategy', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const strategy = jest.fn((request) => request);
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { auth: strategy });
+      await sut.get(requestURL, { auth: false });
+      // Then
+      expect(strategy).toHaveBeenCalledTimes(0);
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'GET',
+      });
+    });
+
+    it('should reject the request if the strategy fails', async () => {
+      // Given
+      const requestURL = 'http://example.com';
+      const fetchClient = jest.fn();
+      const error = new Error('Unable to sign the request');
+      const strategy = jest.fn(() => Promise.reject(error));
+      let sut = null;
+      // When/Then
+      expect.assertions(2);
+      sut = new APIClient('', '', fetchClient, {}, { auth: strategy });
+      return sut.get(requestURL).catch((result) => {
+        expect(result).toBe(error);
+        expect(fetchClient).toHaveBeenCalledTimes(0);
+      });
+    });
+
+    it("shouldn't use the cached response of a different token", async () => {
+      // Given
+      const requestURL = 'http://example.com/profile';
+      const fetchClient = jest.fn((url, options) =>
+        Promise.resolve({
+          status: 200,
+          headers: {
+            'Cache-Control': 'public, max-age=60',
+          },
+          json: jest.fn(() =>
+            Promise.resolve({ profileFor: options.headers.Authorization }),
+          ),
+        }),
+      );
+      let token = 'user-a';
+      const strategy = jest.fn((request) => ({
+        ...request,
+        headers: {
+          ...request.headers,
+          Authorization: `Bearer ${token}`,
+        },
+      }));
+      let sut = null;
+      let firstResponse = null;
+      let secondResponse = null;
+      let thirdResponse = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { auth: strategy, cache: true });
+      firstResponse = await sut.get(requestURL);
+      token = 'user-b';
+      secondResponse = await sut.get(requestURL);
+      thirdResponse = await sut.get(requestURL);
+      // Then
+      expect(firstResponse).toEqual({ profileFor: 'Bearer user-a' });
+      expect(secondResponse).toEqual({ profileFor: 'Bearer user-b' });
+      expect(thirdResponse).toEqual({ profileFor: 'Bearer user-b' });
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+    });
+
+    it("shouldn't share in-flight requests made with different tokens", async () => {
+      // Given
+      const requestURL = 'http://example.com/profile';
+      const fetchClient = jest.fn((url, options) =>
+        Promise.resolve({
+          status: 200,
+          json: jest.fn(() =>
+            Promise.resolve({ profileFor: options.headers.Authorization }),
+          ),
+        }),
+      );
+      const tokens = ['user-a', 'user-b', 'user-b'];
+      const strategy = jest.fn((request) => ({
+        ...request,
+        headers: {
+          ...request.headers,
+          Authorization: `Bearer ${tokens.shift()}`,
+        },
+      }));
+      let sut = null;
+      let responses = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { auth: strategy, dedupe: true });
+      responses = await Promise.all([
+        sut.get(requestURL),
+        sut.get(requestURL),
+        sut.get(requestURL),
+      ]);
+      // Then
+      expect(responses).toEqual([
+        { profileFor: 'Bearer user-a' },
+        { profileFor: 'Bearer user-b' },
+        { profileFor: 'Bearer user-b' },
+      ]);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('endpoint definitions', () => {
+    it('should make a request to an endpoint using its definition', async () => {
+      // Given
+      const url = 'http://example.com';
+      const endpoints = {
+        users: {
+          update: {
+            path: 'users/:id',
+            method: 'PATCH',
+            params: ['fields'],
+            body: ['name'],
+            options: {
+              headers: {
+                'X-Version': '2',
+              },
+              retry: 2,
+            },
+          },
+        },
+      };
+      const requestResponseData = {
+        id: 5,
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const requestBody = {
+        name: 'Rosario',
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient);
+      result = await sut.call('users.update', { id: 5, fields: 'name' }, requestBody, {
+        headers: { 'X-Custom': 'value' },
+      });
+      // Then
+      expect(result).toEqual(requestResponseData);
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledWith(`${url}/users/5?fields=name`, {
+        method: 'PATCH',
+        body: JSON.stringify(requestBody),
+        headers: {
+          'X-Version': '2',
+          'X-Custom': 'value',
+          'Content-Type': 'application/json',
+        },
+      });
+    });
+
+    it('should use GET for endpoints without a method', async () => {
+      // Given
+      const url = 'http://example.com';
+      const endpoints = {
+        users: 'users',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve([])),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient);
+      await sut.call('users', { page: 2 });
+      // Then
+      expect(fetchClient).toHaveBeenCalledWith(`${url}/users?page=2`, {
+        method: 'GET',
+      });
+    });
+
+    it('should generate functions to call the endpoints', async () => {
+      // Given
+      const url = 'http://example.com';
+      const endpoints = {
+        users: {
+          list: 'users',
+          update: {
+            path: 'users/:id',
+            method: 'PUT',
+          },
+        },
+        status: 'status',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const requestBody = {
+        name: 'Rosario',
+      };
+      let sut = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient);
+      await sut.api.users.list();
+      await sut.api.users.update({ id: 5 }, requestBody);
+      await sut.api.status(undefined, undefined, { headers: { 'X-Custom': 'value' } });
+      // Then
+      expect(sut.api).toBe(sut.api);
+      expect(sut.api).toEqual({
+        users: {
+          list: expect.any(Function),
+          update: expect.any(Function),
+        },
+        status: expect.any(Function),
+      });
+      expect(fetchClient).toHaveBeenCalledTimes(3);
+      expect(fetchClient).toHaveBeenNthCalledWith(1, `${url}/users`, {
+        method: 'GET',
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, `${url}/users/5`, {
+        method: 'PUT',
+        body: JSON.stringify(requestBody),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(3, `${url}/status`, {
+        method: 'GET',
+        headers: {
+          'X-Custom': 'value',
+        },
+      });
+    });
+
+    it('should reject calls with missing placeholders or parameters', async () => {
+      // Given
+      const url = 'http://example.com';
+      const endpoints = {
+        userPosts: {
+          path: 'users/:user-id/posts/:id',
+          params: ['fields', 'id'],
+        },
+      };
+      const fetchClient = jest.fn();
+      let sut = null;
+      // When/Then
+      expect.assertions(2);
+      sut = new APIClient(url, endpoints, fetchClient);
+      return sut.call('userPosts', { id: 5, fields: null }).catch((error) => {
+        expect(error.message).toBe(
+          'Missing required parameters for the endpoint userPosts: user-id, fields',
+        );
+        expect(fetchClient).toHaveBeenCalledTimes(0);
+      });
+    });
+
+    it("shouldn't require the optional placeholders", async () => {
+      // Given
+      const url = 'http://example.com';
+      const endpoints = {
+        posts: 'posts/:id?',
+      };
+      const fetchClient = jest.fn(() =>
+        Promise.resolve({ status: 200, json: jest.fn(() => Promise.resolve({})) }),
+      );
+      let sut = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient);
+      await sut.call('posts');
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledWith(`${url}/posts`, {
+        method: 'GET',
+      });
+    });
+
+    it('should reject calls with a missing body', async () => {
+      // Given
+      const url = 'http://example.com';
+      const endpoints = {
+        users: {
+          path: 'users',
+          method: 'POST',
+          body: true,
+        },
+      };
+      const fetchClient = jest.fn();
+      let sut = null;
+      // When/Then
+      expect.assertions(2);
+      sut = new APIClient(url, endpoints, fetchClient);
+      return sut.api.users().catch((error) => {
+        expect(error.message).toBe('Missing required body for the endpoint users');
+        expect(fetchClient).toHaveBeenCalledTimes(0);
+      });
+    });
+
+    it('should reject calls with missing body properties', async () => {
+      // Given
+      const url = 'http://example.com';
+      const endpoints = {
+        users: {
+          path: 'users',
+          method: 'POST',
+          body: ['name', 'email'],
+        },
+      };
+      const fetchClient = jest.fn();
+      let sut = null;
+      // When/Then
+      expect.assertions(2);
+      sut = new APIClient(url, endpoints, fetchClient);
+      return sut.call('users', {}, { name: 'Rosario' }).catch((error) => {
+        expect(error.message).toBe(
+          'Missing required body properties for the endpoint users: email',
+        );
+        expect(fetchClient).toHaveBeenCalledTimes(0);
+      });
+    });
+
+    it('should reject calls to unknown endpoints', async () => {
+      // Given
+      const fetchClient = jest.fn();
+      let sut = null;
+      // When/Then
+      expect.assertions(2);
+      sut = new APIClient('', {}, fetchClient);
+      return sut.call('users').catch((error) => {
+        expect(error.message).toBe('Trying to request unknown endpoint: users');
+        expect(fetchClient).toHaveBeenCalledTimes(0);
+      });
+    });
+  });
+
+  describe('body serialization', () => {
+    const { FormData, URLSearchParams, Blob } = global;
+    const requestURL = 'http://example.com';
+    /**
+     * Creates a fetch client that resolves with an empty object.
+     *
+     * @returns {Function}
+     */
+    const createFetchClient = () =>
+      jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: jest.fn(() => Promise.resolve({})),
+        }),
+      );
+
+    it('should encode arrays as JSON', async () => {
+      // Given
+      const requestBody = [{ id: 1 }, { id: 2 }];
+      const fetchClient = createFetchClient();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, requestBody);
+      // Then
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'POST',
+        body: JSON.stringify(requestBody),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+    });
+
+    it('should send FormData bodies without a Content-Type', async () => {
+      // Given
+      const requestBody = new FormData();
+      requestBody.append('name', 'Rosario');
+      const fetchClient = createFetchClient();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, requestBody, {
+        headers: {
+          'content-type': 'multipart/form-data',
+        },
+      });
+      // Then
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'POST',
+        body: requestBody,
+        headers: {},
+      });
+    });
+
+    it('should convert an object into FormData', async () => {
+      // Given
+      const file = new Blob(['hello'], { type: 'text/plain' });
+      const requestBody = {
+        name: 'Rosario',
+        tags: ['one', 'two'],
+        meta: { age: 3 },
+        file,
+        empty: null,
+      };
+      const fetchClient = createFetchClient();
+      let sut = null;
+      let body = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, requestBody, { bodyType: 'multipart' });
+      [[, { body }]] = fetchClient.mock.calls;
+      // Then
+      expect(body).toBeInstanceOf(FormData);
+      expect(body.get('name')).toBe('Rosario');
+      expect(body.getAll('tags')).toEqual(['one', 'two']);
+      expect(body.get('meta')).toBe(JSON.stringify({ age: 3 }));
+      expect(body.get('file')).toBeInstanceOf(Blob);
+      expect(body.has('empty')).toBe(false);
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'POST',
+        body,
+        headers: {},
+      });
+    });
+
+    it('should encode URLSearchParams and objects as forms', async () => {
+      // Given
+      const params = new URLSearchParams({ name: 'Rosario', age: '3' });
+      const requestBody = {
+        name: 'Charito Rosario',
+        tags: ['one', 'two'],
+        empty: undefined,
+      };
+      const fetchClient = createFetchClient();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, params);
+      await sut.put(requestURL, requestBody, { bodyType: 'form' });
+      // Then
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'POST',
+        body: 'name=Rosario&age=3',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+        },
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'PUT',
+        body: 'name=Charito+Rosario&tags=one&tags=two',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+        },
+      });
+    });
+
+    it('should send text bodies', async () => {
+      // Given
+      const fetchClient = createFetchClient();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, 'Hello Charito!', { bodyType: 'text' });
+      // Then
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'POST',
+        body: 'Hello Charito!',
+        headers: {
+          'Content-Type': 'text/plain;charset=UTF-8',
+        },
+      });
+    });
+
+    it('should send binary bodies as they are', async () => {
+      // Given
+      const blob = new Blob(['hello'], { type: 'image/png' });
+      const buffer = Buffer.from('hello');
+      const arrayBuffer = new ArrayBuffer(1);
+      const stream = {
+        pipe: jest.fn(),
+      };
+      const fetchClient = createFetchClient();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, blob);
+      await sut.post(requestURL, buffer);
+      await sut.post(requestURL, arrayBuffer);
+      await sut.post(requestURL, stream, {
+        headers: {
+          'Content-Type': 'video/mp4',
+        },
+      });
+      // Then
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'POST',
+        body: blob,
+        headers: {
+          'Content-Type': 'image/png',
+        },
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'POST',
+        body: buffer,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(3, requestURL, {
+        method: 'POST',
+        body: arrayBuffer,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(4, requestURL, {
+        method: 'POST',
+        body: stream,
+        headers: {
+          'Content-Type': 'video/mp4',
+        },
+      });
+    });
+
+    it('should send JSON strings when the type is specified', async () => {
+      // Given
+      const requestBody = JSON.stringify({ name: 'Rosario' });
+      const fetchClient = createFetchClient();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, requestBody, { bodyType: 'json' });
+      // Then
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'POST',
+        body: requestBody,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+    });
+
+    it('should fail with an invalid body type', () => {
+      // Given
+      const fetchClient = createFetchClient();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      // Then
+      return expect(sut.post(requestURL, {}, { bodyType: 'xml' })).rejects.toThrow(
+        /invalid body type/i,
+      );
+    });
+
+    it("should fail with a multipart body if there's no FormData", async () => {
+      // Given
+      const fetchClient = createFetchClient();
+      let sut = null;
+      let result = null;
+      // When
+      delete global.FormData;
+      sut = new APIClient('', '', fetchClient);
+      result = sut.post(requestURL, { name: 'Rosario' }, { bodyType: 'multipart' });
+      global.FormData = FormData;
+      // Then
+      await expect(result).rejects.toThrow("The environment doesn't support FormData");
+      expect(fetchClient).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('response decoding', () => {
+    const requestURL = 'http://example.com';
+
+    it('should decode a response as JSON', async () => {
+      // Given
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        text: jest.fn(() => Promise.resolve(JSON.stringify(requestResponseData))),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      result = await sut.get(requestURL, { responseType: 'json' });
+      // Then
+      expect(result).toEqual(requestResponseData);
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'GET',
+      });
+    });
+
+    it('should resolve empty JSON responses as null', async () => {
+      // Given
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve({
+          status: 204,
+          text: jest.fn(),
+        }),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve({
+          status: 200,
+          text: jest.fn(() => Promise.resolve('')),
+        }),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve({
+          status: 200,
+          headers: {
+            'Content-Length': '0',
+          },
+          json: jest.fn(),
+        }),
+      );
+      let sut = null;
+      let results = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { responseType: 'json' });
+      results = [
+        await sut.delete(requestURL),
+        await sut.get(requestURL),
+        await sut.get(requestURL),
+      ];
+      // Then
+      expect(results).toEqual([null, null, null]);
+    });
+
+    it('should reject with a parse error when the JSON is invalid', async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        text: jest.fn(() => Promise.resolve('<html>')),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When/Then
+      expect.assertions(7);
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL, { responseType: 'json' }).catch((error) => {
+        expect(error).toBeInstanceOf(APIClientError);
+        expect(error.code).toBe('parse_error');
+        expect(error.message).toMatch(/unable to decode the response/i);
+        expect(error.status).toBe(200);
+        expect(error.url).toBe(requestURL);
+        expect(error.headers).toEqual({ 'content-type': 'application/json' });
+        expect(error.cause).toBeInstanceOf(SyntaxError);
+      });
+    });
+
+    it("should reject with a parse error when json() fails and there's no text()", async () => {
+      // Given
+      const parseError = new Error('Unexpected token');
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.reject(parseError)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When/Then
+      expect.assertions(2);
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL, { responseType: 'json' }).catch((error) => {
+        expect(error.code).toBe('parse_error');
+        expect(error.cause).toBe(parseError);
+      });
+    });
+
+    it('should keep the HTTP error when the body of a failed request is invalid', async () => {
+      // Given
+      const requestResponse = {
+        status: 500,
+        text: jest.fn(() => Promise.resolve('<html>')),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When/Then
+      expect.assertions(3);
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL, { responseType: 'json' }).catch((error) => {
+        expect(error.code).toBe('server_error');
+        expect(error.status).toBe(500);
+        expect(error.body).toBeNull();
+      });
+    });
+
+    it('should decode a response as text, blob, array buffer or stream', async () => {
+      // Given
+      const blob = { size: 1 };
+      const arrayBuffer = new ArrayBuffer(1);
+      const stream = { getReader: jest.fn() };
+      const requestResponse = {
+        status: 200,
+        body: stream,
+        text: jest.fn(() => Promise.resolve('hello')),
+        blob: jest.fn(() => Promise.resolve(blob)),
+        arrayBuffer: jest.fn(() => Promise.resolve(arrayBuffer)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let results = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      results = await Promise.all([
+        sut.get(requestURL, { responseType: 'text' }),
+        sut.get(requestURL, { responseType: 'blob' }),
+        sut.get(requestURL, { responseType: 'arrayBuffer' }),
+        sut.get(requestURL, { responseType: 'stream', cache: true }),
+      ]);
+      // Then
+      expect(results).toEqual(['hello', blob, arrayBuffer, stream]);
+      expect(sut.cacheStore.size).toBe(0);
+    });
+
+    it('should decode a response using its Content-Type', async () => {
+      // Given
+      const blob = { size: 1 };
+      /**
+       * Creates a response with a specific Content-Type.
+       *
+       * @param {?string} contentType  The value of the header.
+       * @param {string}  [text='']    The body of the response.
+       * @returns {Object}
+       */
+      const createResponse = (contentType, text = '') => ({
+        status: 200,
+        headers: contentType ? { 'Content-Type': contentType } : {},
+        text: jest.fn(() => Promise.resolve(text)),
+        blob: jest.fn(() => Promise.resolve(blob)),
+      });
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve(
+          createResponse('application/problem+json; charset=utf-8', '{"id":1}'),
+        ),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve(createResponse('text/html', '<html>')),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve(createResponse('application/xml', '<xml />')),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve(createResponse(null, 'hello')),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve(createResponse('image/png')),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve({
+          ...createResponse('text/plain'),
+          status: 204,
+        }),
+      );
+      let sut = null;
+      let results = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { responseType: 'auto' });
+      results = [
+        await sut.get(requestURL),
+        await sut.get(requestURL),
+        await sut.get(requestURL),
+        await sut.get(requestURL),
+        await sut.get(requestURL),
+        await sut.get(requestURL),
+      ];
+      // Then
+      expect(results).toEqual([{ id: 1 }, '<html>', '<xml />', 'hello', blob, null]);
+    });
+
+    it('should fail with an invalid response type', async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        text: jest.fn(() => Promise.resolve('')),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When/Then
+      expect.assertions(1);
+      sut = new APIClient('', '', fetchClient);
+      return sut.get(requestURL, { responseType: 'xml' }).catch((error) => {
+        expect(error.message).toMatch(/invalid response type/i);
+      });
+    });
+  });
+
+  describe('full responses', () => {
+    const requestURL = 'http://example.com';
+
+    it('should resolve the body by default', async () => {
+      // Given
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      result = await sut.get(requestURL);
+      // Then
+      expect(result).toEqual(requestResponseData);
+    });
+
+    it('should resolve the information of the response', async () => {
+      // Given
+      const requestBody = {
+        name: 'Rosario',
+      };
+      const requestResponseData = {
+        id: 5,
+      };
+      const requestResponse = {
+        status: 201,
+        url: `${requestURL}/users/5`,
+        headers: {
+          'X-RateLimit-Remaining': '59',
+        },
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const responseInterceptor = jest.fn((response) => ({
+        ...response,
+        intercepted: true,
+      }));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      sut.addInterceptor('response', responseInterceptor);
+      result = await sut.post(`${requestURL}/users`, requestBody, { fullResponse: true });
+      // Then
+      expect(result).toEqual({
+        data: {
+          ...requestResponseData,
+          intercepted: true,
+        },
+        status: 201,
+        headers: {
+          'x-ratelimit-remaining': '59',
+        },
+        url: `${requestURL}/users/5`,
+        request: {
+          url: `${requestURL}/users`,
+          method: 'POST',
+          body: JSON.stringify(requestBody),
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        },
+      });
+      expect(fetchClient).toHaveBeenCalledWith(`${requestURL}/users`, {
+        method: 'POST',
+        body: JSON.stringify(requestBody),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+    });
+
+    it('should allow enabling full responses for all the requests', async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let fullResult = null;
+      let bodyResult = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { fullResponse: true });
+      fullResult = await sut.get(requestURL);
+      bodyResult = await sut.get(requestURL, { fullResponse: false });
+      // Then
+      expect(fullResult).toEqual({
+        data: {},
+        status: 200,
+        headers: {},
+        url: requestURL,
+        request: {
+          url: requestURL,
+          method: 'GET',
+        },
+      });
+      expect(bodyResult).toEqual({});
+    });
+
+    it('should resolve the information of a cached response', async () => {
+      // Given
+      const requestResponseData = {
+        message: 'hello-world',
+      };
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Cache-Control': 'max-age=60',
+          'X-Total': '10',
+        },
+        json: jest.fn(() => Promise.resolve(requestResponseData)),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { cache: true });
+      await sut.get(requestURL);
+      result = await sut.get(requestURL, { fullResponse: true });
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({
+        data: requestResponseData,
+        status: 200,
+        headers: {
+          'cache-control': 'max-age=60',
+          'x-total': '10',
+        },
+        url: requestURL,
+        request: {
+          url: requestURL,
+          method: 'GET',
+        },
+      });
+    });
+
+    it("shouldn't share in-flight requests with different formats", async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let results = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { dedupe: true });
+      results = await Promise.all([
+        sut.get(requestURL),
+        sut.get(requestURL, { fullResponse: true }),
+      ]);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(results[0]).toEqual({});
+      expect(results[1].data).toEqual({});
+    });
+  });
+
+  describe('pagination', () => {
+    it('should create a paginator for an endpoint', () => {
+      // Given
+      const name = 'users';
+      const parameters = {
+        status: 'active',
+      };
+      const options = {
+        strategy: 'cursor',
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', { users: 'users' }, jest.fn());
+      result = sut.paginate(name, parameters, options);
+      // Then
+      expect(result).toBeInstanceOf(APIClientPaginator);
+      expect(APIClientPaginator).toHaveBeenCalledTimes(1);
+      expect(APIClientPaginator).toHaveBeenCalledWith(sut, name, parameters, options);
+    });
+  });
+
+  describe('events', () => {
+    const requestURL = 'http://example.com';
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should create its own events hub', () => {
+      // Given
+      let sut = null;
+      // When
+      sut = new APIClient('', '', jest.fn());
+      // Then
+      expect(sut.events).toBeInstanceOf(EventsHub);
+    });
+
+    it('should emit events when a request starts and succeeds', async () => {
+      // Given
+      const requestResponse = {
+        status: 201,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const events = new EventsHub();
+      const onStart = jest.fn();
+      const onSuccess = jest.fn();
+      const onError = jest.fn();
+      events.on('request:start', onStart);
+      events.on('request:success', onSuccess);
+      events.on('request:error', onError);
+      const now = 1000;
+      const duration = 250;
+      jest
+        .spyOn(Date, 'now')
+        .mockImplementationOnce(() => now)
+        .mockImplementationOnce(() => now + duration);
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { events });
+      await sut.post(requestURL, 'hello');
+      // Then
+      expect(sut.events).toBe(events);
+      expect(onStart).toHaveBeenCalledTimes(1);
+      expect(onStart).toHaveBeenCalledWith({
+        url: requestURL,
+        method: 'POST',
+        request: {
+          url: requestURL,
+          method: 'POST',
+          body: 'hello',
+          headers: {},
+        },
+      });
+      expect(onSuccess).toHaveBeenCalledTimes(1);
+      expect(onSuccess).toHaveBeenCalledWith({
+        url: requestURL,
+        method: 'POST',
+        request: {
+          url: requestURL,
+          method: 'POST',
+          body: 'hello',
+          headers: {},
+        },
+        status: 201,
+        duration,
+      });
+      expect(onError).toHaveBeenCalledTimes(0);
+    });
+
+    it('should emit an event when a request fails', async () => {
+      // Given
+      const requestResponse = {
+        status: 404,
+        json: jest.fn(() => Promise.resolve({ error: 'Not found' })),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const networkError = new Error('Offline');
+      fetchClient.mockImplementationOnce(() => Promise.reject(networkError));
+      const onSuccess = jest.fn();
+      const onError = jest.fn();
+      let sut = null;
+      let errors = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      sut.events.on('request:success', onSuccess);
+      sut.events.on('request:error', onError);
+      errors = [
+        await sut.get(requestURL).catch((error) => error),
+        await sut.get(requestURL).catch((error) => error),
+      ];
+      // Then
+      expect(onSuccess).toHaveBeenCalledTimes(0);
+      expect(onError).toHaveBeenCalledTimes(2);
+      expect(onError).toHaveBeenNthCalledWith(1, {
+        url: requestURL,
+        method: 'GET',
+        request: {
+          url: requestURL,
+          method: 'GET',
+        },
+        status: null,
+        duration: expect.any(Number),
+        error: errors[0],
+      });
+      expect(errors[0].code).toBe('network_error');
+      expect(onError).toHaveBeenNthCalledWith(2, {
+        url: requestURL,
+        method: 'GET',
+        request: {
+          url: requestURL,
+          method: 'GET',
+        },
+        status: 404,
+        duration: expect.any(Number),
+        error: errors[1],
+      });
+    });
+
+    it('should emit an event when a request is retried', async () => {
+      // Given
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      const networkError = new Error('Offline');
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.reject(networkError));
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve({
+          status: 503,
+          json: jest.fn(() => Promise.resolve({})),
+        }),
+      );
+      fetchClient.mockImplementationOnce(() =>
+        Promise.resolve({
+          status: 200,
+          json: jest.fn(() => Promise.resolve({})),
+        }),
+      );
+      const onRetry = jest.fn();
+      let sut = null;
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        {
+          retry: {
+            maxAttempts: 3,
+            delay: 100,
+            jitter: false,
+          },
+        },
+      );
+      sut.events.on('request:retry', onRetry);
+      await sut.get(requestURL);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(3);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenNthCalledWith(1, {
+        url: requestURL,
+        method: 'GET',
+        request: {
+          url: requestURL,
+          method: 'GET',
+        },
+        status: null,
+        error: expect.any(APIClientError),
+        attempt: 2,
+        delay: 100,
+      });
+      expect(onRetry).toHaveBeenNthCalledWith(2, {
+        url: requestURL,
+        method: 'GET',
+        request: {
+          url: requestURL,
+          method: 'GET',
+        },
+        status: 503,
+        error: null,
+        attempt: 3,
+        delay: 200,
+      });
+    });
+
+    it('should allow the subscribers to modify the requests', async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const requestInterceptor = jest.fn((request) => ({
+        ...request,
+        headers: {
+          'X-Interceptor': 'yes',
+        },
+      }));
+      const onOptions = jest.fn((request) =>
+        Promise.resolve({
+          ...request,
+          headers: {
+            ...request.headers,
+            'X-Subscriber': 'yes',
+          },
+        }),
+      );
+      const authStrategy = jest.fn((request) => request);
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { auth: authStrategy });
+      sut.addInterceptor('request', requestInterceptor);
+      sut.events.on('request:options', onOptions);
+      await sut.get(requestURL);
+      // Then
+      expect(onOptions).toHaveBeenCalledTimes(1);
+      expect(onOptions).toHaveBeenCalledWith(
+        {
+          url: requestURL,
+          method: 'GET',
+          headers: {
+            'X-Interceptor': 'yes',
+          },
+        },
+        sut,
+      );
+      expect(authStrategy).toHaveBeenCalledWith(
+        {
+          url: requestURL,
+          method: 'GET',
+          headers: {
+            'X-Interceptor': 'yes',
+            'X-Subscriber': 'yes',
+          },
+        },
+        sut,
+      );
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'GET',
+        headers: {
+          'X-Interceptor': 'yes',
+          'X-Subscriber': 'yes',
+        },
+      });
+    });
+
+    it("shouldn't emit events for responses served from the cache", async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Cache-Control': 'max-age=60',
+        },
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const onStart = jest.fn();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { cache: true });
+      sut.events.on('request:start', onStart);
+      await sut.get(requestURL);
+      await sut.get(requestURL);
+      // Then
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(onStart).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('scheduling', () => {
+    const { AbortController } = global;
+    const requestURL = 'http://example.com/users';
+    const requestResponse = {
+      status: 200,
+      json: jest.fn(() => Promise.resolve({})),
+    };
+    /**
+     * Creates a fake scheduler that runs the tasks right away.
+     *
+     * @returns {Object}
+     */
+    const createScheduler = () => ({
+      schedule: jest.fn((fn) => fn()),
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("shouldn't have a scheduler by default", () => {
+      // Given
+      let sut = null;
+      // When
+      sut = new APIClient('', '', jest.fn());
+      // Then
+      expect(sut.scheduler).toBeNull();
+    });
+
+    it('should create a scheduler with the limits', () => {
+      // Given
+      const scheduler = {
+        concurrency: 2,
+        rate: {
+          limit: 5,
+          interval: 1000,
+        },
+      };
+      let sut = null;
+      // When
+      sut = new APIClient('', '', jest.fn(), {}, { scheduler });
+      // Then
+      expect(sut.scheduler).toBeInstanceOf(APIClientScheduler);
+      expect(APIClientScheduler).toHaveBeenCalledTimes(1);
+      expect(APIClientScheduler).toHaveBeenCalledWith(scheduler);
+    });
+
+    it('should send the requests through the scheduler', async () => {
+      // Given
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const scheduler = createScheduler();
+      const controller = new AbortController();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { scheduler });
+      await sut.get(requestURL, { priority: 2, signal: controller.signal });
+      // Then
+      expect(sut.scheduler).toBe(scheduler);
+      expect(scheduler.schedule).toHaveBeenCalledTimes(1);
+      expect(scheduler.schedule).toHaveBeenCalledWith(expect.any(Function), {
+        host: 'example.com',
+        endpoint: null,
+        priority: 2,
+        signal: controller.signal,
+        createAbortError: expect.any(Function),
+      });
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'GET',
+        signal: expect.any(Object),
+      });
+    });
+
+    it('should send the name of the endpoint to the scheduler', async () => {
+      // Given
+      const url = 'http://example.com';
+      const endpoints = {
+        users: {
+          list: 'users',
+        },
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const scheduler = createScheduler();
+      let sut = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient, {}, { scheduler });
+      await sut.call('users.list');
+      // Then
+      expect(scheduler.schedule).toHaveBeenCalledWith(expect.any(Function), {
+        host: 'example.com',
+        endpoint: 'users.list',
+        priority: 0,
+        signal: undefined,
+        createAbortError: expect.any(Function),
+      });
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'GET',
+      });
+    });
+
+    it('should schedule each attempt of a request', async () => {
+      // Given
+      const fetchClient = jest
+        .fn()
+        .mockImplementationOnce(() => Promise.resolve({ status: 503 }))
+        .mockImplementationOnce(() => Promise.resolve(requestResponse));
+      const scheduler = createScheduler();
+      jest.spyOn(global, 'setTimeout').mockImplementation((fn) => fn());
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { scheduler, retry: 2 });
+      await sut.get(requestURL);
+      // Then
+      expect(scheduler.schedule).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject a queued request with an abort error', async () => {
+      // Given
+      const fetchClient = jest.fn();
+      const scheduler = {
+        schedule: jest.fn((fn, { createAbortError }) =>
+          Promise.reject(createAbortError()),
+        ),
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { scheduler });
+      result = await sut.get(requestURL).catch((error) => error);
+      // Then
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.code).toBe('aborted');
+      expect(fetchClient).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('graphql', () => {
+    const url = 'http://example.com';
+    const endpoints = {
+      graphql: 'graphql',
+    };
+    const query = 'query User($id: ID!) { user(id: $id) { name } }';
+    const variables = {
+      id: 5,
+    };
+    /**
+     * Creates a response with a JSON body.
+     *
+     * @param {Object} body          The body of the response.
+     * @param {number} [status=200]  The status of the response.
+     * @returns {Object}
+     */
+    const createResponse = (body, status = 200) => ({
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      json: jest.fn(() => Promise.resolve(body)),
+    });
+
+    it('should post an operation and resolve with its data', async () => {
+      // Given
+      const data = {
+        user: {
+          name: 'Rosario',
+        },
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(createResponse({ data })));
+      const authStrategy = jest.fn((request) => ({
+        ...request,
+        headers: {
+          ...request.headers,
+          Authorization: 'Bearer token',
+        },
+      }));
+      const requestInterceptor = jest.fn((request) => request);
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient(
+        url,
+        endpoints,
+        fetchClient,
+        { 'X-Client': 'app' },
+        { auth: authStrategy },
+      );
+      sut.addInterceptor('request', requestInterceptor);
+      result = await sut.graphql('graphql', query, variables, {
+        operationName: 'User',
+      });
+      // Then
+      expect(result).toEqual(data);
+      expect(requestInterceptor).toHaveBeenCalledTimes(1);
+      expect(authStrategy).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledWith(`${url}/graphql`, {
+        method: 'POST',
+        headers: {
+          'X-Client': 'app',
+          'Content-Type': 'application/json',
+          Authorization: 'Bearer token',
+        },
+        body: JSON.stringify({
+          variables,
+          operationName: 'User',
+          query,
+        }),
+      });
+    });
+
+    it('should reject a response with errors', async () => {
+      // Given
+      const body = {
+        data: {
+          user: null,
+        },
+        errors: [{ message: 'Not found' }, { message: 'Unauthorized field' }],
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(createResponse(body)));
+      const errorInterceptor = jest.fn((error) => Promise.reject(error));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient);
+      sut.addInterceptor('error', errorInterceptor);
+      result = await sut.graphql('graphql', query, variables).catch((error) => error);
+      // Then
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.code).toBe('graphql_error');
+      expect(result.message).toBe('[200]: Not found, Unauthorized field');
+      expect(result.status).toBe(200);
+      expect(result.errors).toEqual(body.errors);
+      expect(result.body).toEqual(body);
+      expect(result.method).toBe('POST');
+      expect(result.url).toBe(`${url}/graphql`);
+      expect(errorInterceptor).toHaveBeenCalledTimes(1);
+      expect(errorInterceptor).toHaveBeenCalledWith(result, expect.any(Object));
+    });
+
+    it('should resolve with the full response', async () => {
+      // Given
+      const data = {
+        user: null,
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(createResponse({ data })));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient);
+      result = await sut.graphql('graphql', query, variables, { fullResponse: true });
+      // Then
+      expect(result).toEqual({
+        data,
+        status: 200,
+        headers: {
+          'content-type': 'application/json',
+        },
+        url: `${url}/graphql`,
+        request: expect.any(Object),
+      });
+    });
+
+    it('should send only the hash of a persisted query', async () => {
+      // Given
+      const hash = 'abc123';
+      const data = {
+        user: null,
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(createResponse({ data })));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient);
+      result = await sut.graphql('graphql', query, variables, { persistedQuery: hash });
+      // Then
+      expect(result).toEqual(data);
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(fetchClient.mock.calls[0][1].body)).toEqual({
+        variables,
+        extensions: {
+          persistedQuery: {
+            version: 1,
+            sha256Hash: hash,
+          },
+        },
+      });
+    });
+
+    it("should send the query if the server doesn't know the persisted query", async () => {
+      // Given
+      const hash = 'abc123';
+      const data = {
+        user: null,
+      };
+      const fetchClient = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          Promise.resolve(
+            createResponse({ errors: [{ message: 'PersistedQueryNotFound' }] }),
+          ),
+        )
+        .mockImplementationOnce(() => Promise.resolve(createResponse({ data })))
+        .mockImplementationOnce(() =>
+          Promise.resolve(
+            createResponse(
+              {
+                errors: [
+                  {
+                    message: 'Not found',
+                    extensions: { code: 'PERSISTED_QUERY_NOT_FOUND' },
+                  },
+                ],
+              },
+              400,
+            ),
+          ),
+        )
+        .mockImplementationOnce(() => Promise.resolve(createResponse({ data })));
+      let sut = null;
+      let resultOne = null;
+      let resultTwo = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient);
+      resultOne = await sut.graphql('graphql', query, variables, {
+        persistedQuery: hash,
+      });
+      resultTwo = await sut.graphql('graphql', query, variables, {
+        persistedQuery: hash,
+      });
+      // Then
+      expect(resultOne).toEqual(data);
+      expect(resultTwo).toEqual(data);
+      expect(fetchClient).toHaveBeenCalledTimes(4);
+      [1, 3].forEach((call) => {
+        expect(JSON.parse(fetchClient.mock.calls[call][1].body)).toEqual({
+          variables,
+          query,
+          extensions: {
+            persistedQuery: {
+              version: 1,
+              sha256Hash: hash,
+            },
+          },
+        });
+      });
+    });
+
+    it("should reject if the endpoint doesn't exist", () => {
+      // Given
+      const name = 'unknown';
+      let sut = null;
+      // When
+      sut = new APIClient(url, endpoints, jest.fn());
+      // Then
+      return expect(sut.graphql(name, query)).rejects.toThrow(
+        `Trying to request unknown endpoint: ${name}`,
+      );
+    });
+  });
+
+  describe('progress', () => {
+    const requestURL = 'http://example.com/files';
+    /**
+     * A minimal `ReadableStream` that only supports pull sources, so the tests don't
+     * depend on the environment having streams.
+     */
+    class FakeReadableStream {
+      /**
+       * @param {Object} source  The underlying source of the stream.
+       */
+      constructor(source) {
+        this.source = source;
+      }
+      /**
+       * Creates a reader that pulls the chunks from the source.
+       *
+       * @returns {Object}
+       */
+      getReader() {
+        const chunks = [];
+        let closed = false;
+        const controller = {
+          enqueue: (chunk) => chunks.push(chunk),
+          close: () => {
+            closed = true;
+          },
+        };
+        return {
+          read: () => {
+            if (!chunks.length && !closed) {
+              this.source.pull(controller);
+            }
+
+            return Promise.resolve(
+              chunks.length
+                ? { done: false, value: chunks.shift() }
+                : { done: true, value: undefined },
+            );
+          },
+        };
+      }
+    }
+    const originalGlobals = {
+      ReadableStream: global.ReadableStream,
+      TextDecoder: global.TextDecoder,
+      TextEncoder: global.TextEncoder,
+    };
+
+    beforeEach(() => {
+      global.ReadableStream = FakeReadableStream;
+      global.TextDecoder = util.TextDecoder;
+      global.TextEncoder = util.TextEncoder;
+    });
+
+    afterEach(() => {
+      Object.assign(global, originalGlobals);
+    });
+
+    it('should report the progress of a download', async () => {
+      // Given
+      const body = { name: 'Rosario' };
+      const bytes = new util.TextEncoder().encode(JSON.stringify(body));
+      const chunks = [bytes.subarray(0, 10), bytes.subarray(10)];
+      const reader = {
+        read: jest.fn(() =>
+          Promise.resolve(
+            chunks.length ? { done: false, value: chunks.shift() } : { done: true },
+          ),
+        ),
+      };
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Content-Length': String(bytes.byteLength),
+        },
+        body: {
+          getReader: jest.fn(() => reader),
+        },
+        json: jest.fn(),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const onDownloadProgress = jest.fn();
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      result = await sut.get(requestURL, { onDownloadProgress });
+      // Then
+      expect(result).toEqual(body);
+      expect(requestResponse.json).toHaveBeenCalledTimes(0);
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, { method: 'GET' });
+      expect(onDownloadProgress.mock.calls).toEqual([
+        [{ loaded: 0, total: bytes.byteLength, progress: 0 }],
+        [{ loaded: 10, total: bytes.byteLength, progress: 10 / bytes.byteLength }],
+        [{ loaded: bytes.byteLength, total: bytes.byteLength, progress: 1 }],
+        [{ loaded: bytes.byteLength, total: bytes.byteLength, progress: 1 }],
+      ]);
+    });
+
+    it("should report a download once if the body can't be read as a stream", async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        headers: {
+          'Content-Length': '10',
+        },
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const onDownloadProgress = jest.fn();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.get(requestURL, { onDownloadProgress });
+      // Then
+      expect(requestResponse.json).toHaveBeenCalledTimes(1);
+      expect(onDownloadProgress).toHaveBeenCalledTimes(1);
+      expect(onDownloadProgress).toHaveBeenCalledWith({
+        loaded: 10,
+        total: 10,
+        progress: 1,
+      });
+    });
+
+    it('should report when an upload starts and ends if streams are not enabled', async () => {
+      // Given
+      const body = 'Rosario';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const onUploadProgress = jest.fn();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, body, { onUploadProgress, bodyType: 'text' });
+      // Then
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/plain;charset=UTF-8',
+        },
+        body,
+      });
+      expect(onUploadProgress.mock.calls).toEqual([
+        [{ loaded: 0, total: body.length, progress: 0 }],
+        [{ loaded: body.length, total: body.length, progress: 1 }],
+      ]);
+    });
+
+    it('should report the progress of an upload using a stream', async () => {
+      // Given
+      const size = 100000;
+      const body = new Uint8Array(size);
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const received = [];
+      const fetchClient = jest.fn((url, options) => {
+        const reader = options.body.getReader();
+        /**
+         * Reads the request body until the stream is done.
+         *
+         * @returns {Promise<Object>}
+         */
+        const read = () =>
+          reader.read().then(({ done, value }) => {
+            if (done) {
+              return requestResponse;
+            }
+
+            received.push(value.byteLength);
+            return read();
+          });
+
+        return read();
+      });
+      const onUploadProgress = jest.fn();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { streamUploads: true });
+      await sut.post(requestURL, body, { onUploadProgress, bodyType: 'binary' });
+      // Then
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+        body: expect.any(FakeReadableStream),
+        duplex: 'half',
+      });
+      expect(received).toEqual([65536, size - 65536]);
+      expect(onUploadProgress.mock.calls).toEqual([
+        [{ loaded: 0, total: size, progress: 0 }],
+        [{ loaded: 65536, total: size, progress: 65536 / size }],
+        [{ loaded: size, total: size, progress: 1 }],
+      ]);
+    });
+  });
+
+  describe('idempotency', () => {
+    const requestURL = 'http://example.com/orders';
+    const requestBody = { product: 5 };
+
+    it("shouldn't add idempotency keys by default", async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      await sut.post(requestURL, requestBody);
+      // Then
+      expect(sut.idempotency).toEqual({
+        enabled: false,
+        header: 'Idempotency-Key',
+        methods: ['POST', 'PATCH'],
+        generator: expect.any(Function),
+      });
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(requestBody),
+      });
+    });
+
+    it('should generate UUIDs as keys', () => {
+      // Given
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', jest.fn());
+      result = sut.idempotency.generator({});
+      // Then
+      expect(result).toMatch(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+      );
+    });
+
+    describe('key generator', () => {
+      const originalCrypto = Object.getOwnPropertyDescriptor(global, 'crypto');
+      /**
+       * Replaces the global `crypto` object.
+       *
+       * @param {?Object} value  The new value for the global.
+       */
+      const setCrypto = (value) => {
+        Object.defineProperty(global, 'crypto', {
+          value,
+          configurable: true,
+          writable: true,
+        });
+      };
+
+      afterEach(() => {
+        if (originalCrypto) {
+          Object.defineProperty(global, 'crypto', originalCrypto);
+        } else {
+          delete global.crypto;
+        }
+
+        jest.restoreAllMocks();
+      });
+
+      it('should use crypto.randomUUID if available', () => {
+        // Given
+        const key = 'some-uuid';
+        const crypto = {
+          randomUUID: jest.fn(() => key),
+        };
+        setCrypto(crypto);
+        let sut = null;
+        let result = null;
+        // When
+        sut = new APIClient('', '', jest.fn());
+        result = sut.idempotency.generator({});
+        // Then
+        expect(result).toBe(key);
+        expect(crypto.randomUUID).toHaveBeenCalledTimes(1);
+      });
+
+      it('should use crypto.getRandomValues if randomUUID is not available', () => {
+        // Given
+        const crypto = {
+          getRandomValues: jest.fn((bytes) => bytes.fill(255)),
+        };
+        setCrypto(crypto);
+        let sut = null;
+        let result = null;
+        // When
+        sut = new APIClient('', '', jest.fn());
+        result = sut.idempotency.generator({});
+        // Then
+        expect(result).toBe('ffffffff-ffff-4fff-bfff-ffffffffffff');
+        expect(crypto.getRandomValues).toHaveBeenCalledTimes(1);
+      });
+
+      it("should use Math.random if there's no global crypto", () => {
+        // Given
+        jest.spyOn(Math, 'random').mockImplementation(() => 0);
+        setCrypto(undefined);
+        let sut = null;
+        let result = null;
+        // When
+        sut = new APIClient('', '', jest.fn());
+        result = sut.idempotency.generator({});
+        // Then
+        expect(result).toBe('00000000-0000-4000-8000-000000000000');
+        expect(Math.random).toHaveBeenCalledTimes(16);
+      });
+    });
+
+    it('should keep the same key across the retries of a request', async () => {
+      // Given
+      const key = 'order-key';
+      const generator = jest.fn(() => key);
+      const failedResponse = {
+        status: 503,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const successResponse = {
+        status: 200,
+        headers: {},
+        json: jest.fn(() => Promise.resolve({ id: 25 })),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(failedResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(successResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        {
+          idempotency: { generator },
+          retry: { maxAttempts: 2, delay: 0, jitter: false },
+          fullResponse: true,
+        },
+      );
+      result = await sut.post(requestURL, requestBody);
+      // Then
+      expect(sut.idempotency.enabled).toBe(true);
+      expect(result.data).toEqual({ id: 25 });
+      expect(result.idempotencyKey).toBe(key);
+      expect(generator).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      [1, 2].forEach((call) => {
+        expect(fetchClient).toHaveBeenNthCalledWith(call, requestURL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': key,
+          },
+          body: JSON.stringify(requestBody),
+        });
+      });
+    });
+
+    it('should use the key of the request options, or skip it', async () => {
+      // Given
+      const key = 'replayed-key';
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { idempotency: true });
+      await sut.post(requestURL, requestBody, { idempotencyKey: key });
+      await sut.patch(requestURL, requestBody, { idempotencyKey: false });
+      sut.setIdempotency({ header: 'X-Request-Key', methods: ['put'] });
+      await sut.put(requestURL, requestBody, { idempotencyKey: key });
+      // Then
+      expect(sut.idempotency).toEqual({
+        enabled: true,
+        header: 'X-Request-Key',
+        methods: ['PUT'],
+        generator: expect.any(Function),
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': key,
+        },
+        body: JSON.stringify(requestBody),
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(requestBody),
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(3, requestURL, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Request-Key': key,
+        },
+        body: JSON.stringify(requestBody),
+      });
+    });
+
+    it('should include the key on the errors', async () => {
+      // Given
+      const key = 'order-key';
+      const generator = jest.fn(() => key);
+      const requestResponse = {
+        status: 500,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { idempotency: { generator } });
+      result = await sut.post(requestURL, requestBody).catch((error) => error);
+      // Then
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.idempotencyKey).toBe(key);
+    });
+
+    it('should keep the key when replaying a request after refreshing the token', async () => {
+      // Given
+      const key = 'order-key';
+      const generator = jest.fn(() => key);
+      const unauthorizedResponse = {
+        status: 401,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const successResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(unauthorizedResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(successResponse));
+      const tokenRefresher = jest.fn(() => Promise.resolve('new-token'));
+      let sut = null;
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        { tokenRefresher, idempotency: { generator } },
+      );
+      await sut.post(requestURL, requestBody);
+      // Then
+      expect(generator).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledTimes(2);
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': key,
+          Authorization: 'Bearer new-token',
+        },
+        body: JSON.stringify(requestBody),
+      });
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const requestURL = 'http://example.com/users';
+
+    it("shouldn't have a circuit breaker by default", () => {
+      // Given
+      let sut = null;
+      // When
+      sut = new APIClient('', '', jest.fn());
+      // Then
+      expect(sut.circuitBreaker).toBeNull();
+    });
+
+    it('should create a circuit breaker with the options', () => {
+      // Given
+      const circuitBreaker = {
+        threshold: 3,
+        scope: 'endpoint',
+      };
+      let sut = null;
+      // When
+      sut = new APIClient('', '', jest.fn(), {}, { circuitBreaker });
+      // Then
+      expect(sut.circuitBreaker).toBeInstanceOf(APIClientCircuitBreaker);
+      expect(APIClientCircuitBreaker).toHaveBeenCalledTimes(1);
+      expect(APIClientCircuitBreaker).toHaveBeenCalledWith(circuitBreaker);
+    });
+
+    it('should send the requests through the circuit breaker', async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const circuitBreaker = {
+        execute: jest.fn((fn) => fn()),
+      };
+      const url = 'http://example.com';
+      const endpoints = {
+        users: '/users',
+      };
+      let sut = null;
+      // When
+      sut = new APIClient(url, endpoints, fetchClient, {}, { circuitBreaker });
+      await sut.call('users');
+      // Then
+      expect(sut.circuitBreaker).toBe(circuitBreaker);
+      expect(circuitBreaker.execute).toHaveBeenCalledTimes(1);
+      expect(circuitBreaker.execute).toHaveBeenCalledWith(expect.any(Function), {
+        host: 'example.com',
+        endpoint: 'users',
+        createError: expect.any(Function),
+      });
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+    });
+
+    it("should reject with a circuit_open error, and without retrying, if it's open", async () => {
+      // Given
+      const fetchClient = jest.fn();
+      const circuitBreaker = {
+        execute: jest.fn((fn, { createError }) =>
+          Promise.reject(createError('example.com', { state: 'open' })),
+        ),
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { circuitBreaker, retry: 3 });
+      result = await sut.get(requestURL).catch((error) => error);
+      // Then
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.code).toBe('circuit_open');
+      expect(result.message).toBe('The circuit for example.com is open');
+      expect(result.url).toBe(requestURL);
+      expect(result.method).toBe('GET');
+      expect(circuitBreaker.execute).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('logging', () => {
+    const requestURL = 'http://example.com/users';
+    /**
+     * Creates a logger with the methods of the `Logger` service.
+     *
+     * @returns {Object}
+     */
+    const createLogger = () => ({
+      info: jest.fn(),
+      warning: jest.fn(),
+      error: jest.fn(),
+    });
+
+    it("shouldn't log the requests by default", () => {
+      // Given
+      let sut = null;
+      // When
+      sut = new APIClient('', '', jest.fn());
+      // Then
+      expect(sut.logging).toBeNull();
+    });
+
+    it('should log the successful requests', async () => {
+      // Given
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const logger = createLogger();
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient, {}, { logging: logger });
+      await sut.get(requestURL);
+      // Then
+      expect(sut.logging).toEqual({
+        logger,
+        headers: false,
+        bodies: false,
+        redactHeaders: ['authorization', 'cookie', 'set-cookie'],
+        redactQuery: ['x-api-key', 'api_key', 'access_token', 'token'],
+        redactPaths: [],
+        placeholder: '[REDACTED]',
+      });
+      expect(logger.info).toHaveBeenCalledTimes(1);
+      expect(logger.info).toHaveBeenCalledWith(
+        expect.stringMatching(/^GET http:\/\/example\.com\/users 200 \(\d+ms\)$/),
+      );
+    });
+
+    it('should log the retries and the failed requests', async () => {
+      // Given
+      const failedResponse = {
+        status: 503,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const errorResponse = {
+        status: 500,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(failedResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(errorResponse));
+      const logger = createLogger();
+      let sut = null;
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        {
+          logging: { logger },
+          retry: { maxAttempts: 2, delay: 0, jitter: false },
+        },
+      );
+      await sut.get(requestURL).catch(() => {});
+      // Then
+      expect(logger.info).toHaveBeenCalledTimes(0);
+      expect(logger.warning).toHaveBeenCalledTimes(1);
+      expect(logger.warning).toHaveBeenCalledWith(
+        `GET ${requestURL} failed (503), retrying in 0ms (attempt 2)`,
+      );
+      expect(logger.error).toHaveBeenCalledTimes(1);
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /^GET http:\/\/example\.com\/users 500 \(\d+ms\): \[500\]: Internal Server Error$/,
+        ),
+      );
+    });
+
+    it('should log the headers and the bodies, after redacting them', async () => {
+      // Given
+      const requestBody = {
+        user: {
+          name: 'Rosario',
+          password: 'secret',
+        },
+        cards: [{ number: '4111' }, { number: '5555' }],
+      };
+      const requestResponse = {
+        status: 201,
+        headers: {
+          'Content-Type': 'application/json',
+          'Set-Cookie': 'session=abc',
+        },
+        json: jest.fn(() => Promise.resolve({ id: 5, token: 'abc' })),
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const logger = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      };
+      let sut = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      sut.setAuthorizationToken('my-token');
+      sut.setLogging({
+        logger,
+        headers: true,
+        bodies: true,
+        redactPaths: ['user.password', 'cards.*.number', 'token', 'missing.path'],
+      });
+      await sut.post(requestURL, requestBody);
+      sut.setLogging(null);
+      await sut.post(requestURL, requestBody);
+      // Then
+      expect(sut.logging).toBeNull();
+      expect(logger.info).toHaveBeenCalledTimes(1);
+      expect(logger.info.mock.calls[0][0].split('\n')).toEqual([
+        expect.stringMatching(/^POST http:\/\/example\.com\/users 201 \(\d+ms\)$/),
+        `Request headers: ${JSON.stringify({
+          Authorization: '[REDACTED]',
+          'Content-Type': 'application/json',
+        })}`,
+        `Response headers: ${JSON.stringify({
+          'content-type': 'application/json',
+          'set-cookie': '[REDACTED]',
+        })}`,
+        `Request body: ${JSON.stringify({
+          user: {
+            name: 'Rosario',
+            password: '[REDACTED]',
+          },
+          cards: [{ number: '[REDACTED]' }, { number: '[REDACTED]' }],
+        })}`,
+        `Response body: ${JSON.stringify({ id: 5, token: '[REDACTED]' })}`,
+      ]);
+    });
+
+    it('should redact the query string parameters of the URLs', async () => {
+      // Given
+      const failedResponse = {
+        status: 503,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const requestResponse = {
+        status: 200,
+        json: jest.fn(() => Promise.resolve({})),
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(failedResponse));
+      fetchClient.mockImplementation(() => Promise.resolve(requestResponse));
+      const logger = createLogger();
+      let sut = null;
+      // When
+      sut = new APIClient(
+        '',
+        '',
+        fetchClient,
+        {},
+        {
+          auth: apiKeyAuth('SECRET', { name: 'api_key', location: 'query' }),
+          logging: { logger },
+          retry: { maxAttempts: 2, delay: 0, jitter: false },
+        },
+      );
+      await sut.get(`${requestURL}?page=2`);
+      sut.setLogging({ logger, redactQuery: ['Page'] });
+      await sut.get(`${requestURL}?page=2`);
+      // Then
+      expect(fetchClient).toHaveBeenNthCalledWith(
+        1,
+        `${requestURL}?page=2&api_key=SECRET`,
+        {
+          method: 'GET',
+        },
+      );
+      expect(logger.warning).toHaveBeenCalledTimes(1);
+      expect(logger.warning).toHaveBeenCalledWith(
+        `GET ${requestURL}?page=2&api_key=[REDACTED] failed (503), retrying in 0ms (attempt 2)`,
+      );
+      expect(logger.info).toHaveBeenCalledTimes(2);
+      expect(logger.info).toHaveBeenNthCalledWith(
+        1,
+        expect.stringMatching(
+          /^GET http:\/\/example\.com\/users\?page=2&api_key=\[REDACTED\] 200 \(\d+ms\)$/,
+        ),
+      );
+      expect(logger.info).toHaveBeenNthCalledWith(
+        2,
+        expect.stringMatching(
+          /^GET http:\/\/example\.com\/users\?page=\[REDACTED\]&api_key=SECRET 200 \(\d+ms\)$/,
+        ),
+      );
+    });
+  });
+
+  describe('streaming', () => {
+    const { AbortController } = global;
+    const requestURL = 'http://example.com/feed';
+    const originalTextDecoder = global.TextDecoder;
+    /**
+     * Creates a response with a body that can be read as a `ReadableStream`.
+     *
+     * @param {string[]} chunks  The chunks of text the body will return.
+     * @returns {Object}
+     */
+    const createStreamResponse = (chunks) => {
+      const encoder = new util.TextEncoder();
+      const pending = chunks.map((chunk) => encoder.encode(chunk));
+      const reader = {
+        read: jest.fn(() =>
+          Promise.resolve(
+            pending.length
+              ? { done: false, value: pending.shift() }
+              : { done: true, value: undefined },
+          ),
+        ),
+        cancel: jest.fn(() => Promise.resolve()),
+      };
+      return {
+        status: 200,
+        body: {
+          getReader: jest.fn(() => reader),
+        },
+        reader,
+      };
+    };
+    /**
+     * Reads all the values of an async iterator.
+     *
+     * @param {AsyncIterable} iterator  The iterator to read.
+     * @returns {Promise<Array>}
+     */
+    const readAll = async (iterator) => {
+      const values = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const value of iterator) {
+        values.push(value);
+      }
+
+      return values;
+    };
+
+    beforeEach(() => {
+      global.TextDecoder = util.TextDecoder;
+    });
+
+    afterEach(() => {
+      global.TextDecoder = originalTextDecoder;
+    });
+
+    it('should stream the records of an NDJSON response', async () => {
+      // Given
+      const requestResponse = createStreamResponse([
+        '{"id":1}\n{"id"',
+        ':2}\r\n\n',
+        '{"id":3}',
+      ]);
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      result = await readAll(sut.streamNDJSON(requestURL));
+      // Then
+      expect(result).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+      expect(fetchClient).toHaveBeenCalledWith(requestURL, {
+        method: 'GET',
+        headers: {
+          Accept: 'application/x-ndjson',
+        },
+      });
+    });
+
+    it('should reject when an NDJSON record is invalid', async () => {
+      // Given
+      const lines = ['{"id":1}\n', 'invalid\n'];
+      const bodyIterator = {
+        next: jest.fn(() =>
+          Promise.resolve(
+            lines.length
+              ? { done: false, value: lines.shift() }
+              : { done: true, value: undefined },
+          ),
+        ),
+      };
+      const requestResponse = {
+        status: 200,
+        body: {
+          [Symbol.asyncIterator]: jest.fn(() => bodyIterator),
+        },
+      };
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let iterator = null;
+      let first = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      iterator = sut.streamNDJSON(requestURL, {
+        method: 'post',
+        body: { query: 'users' },
+      });
+      first = await iterator.next();
+      result = await iterator.next().catch((error) => error);
+      // Then
+      expect(first).toEqual({ done: false, value: { id: 1 } });
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.code).toBe('parse_error');
+      expect(result.method).toBe('POST');
+      expect(await iterator.next()).toEqual({ done: true, value: undefined });
+    });
+
+    it('should cancel the stream when the iteration ends early', async () => {
+      // Given
+      const requestResponse = createStreamResponse(['{"id":1}\n{"id":2}\n']);
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let iterator = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      iterator = sut.streamNDJSON(requestURL);
+      await iterator.next();
+      result = await iterator.return();
+      // Then
+      expect(result).toEqual({ done: true, value: undefined });
+      expect(requestResponse.reader.cancel).toHaveBeenCalledTimes(1);
+      expect(await iterator.next()).toEqual({ done: true, value: undefined });
+    });
+
+    it('should stream Server-Sent Events and reconnect with the last ID', async () => {
+      // Given
+      const firstResponse = createStreamResponse([
+        ': welcome\nretry: 0\n\n',
+        'data: first\nid: 1\n\nevent: update\ndata: line one\n',
+        'data: line two\nid: 2\n\n',
+        'data: incomplete',
+      ]);
+      const secondResponse = createStreamResponse(['event: update\ndata:last\n\n']);
+      const lastResponse = {
+        status: 204,
+        body: null,
+      };
+      const fetchClient = jest.fn();
+      fetchClient.mockImplementationOnce(() => Promise.resolve(firstResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(secondResponse));
+      fetchClient.mockImplementationOnce(() => Promise.resolve(lastResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      result = await readAll(sut.streamEvents(requestURL));
+      // Then
+      expect(result).toEqual([
+        { event: 'message', data: 'first', id: '1' },
+        { event: 'update', data: 'line one\nline two', id: '2' },
+        { event: 'update', data: 'last', id: '2' },
+      ]);
+      expect(fetchClient).toHaveBeenCalledTimes(3);
+      expect(fetchClient).toHaveBeenNthCalledWith(1, requestURL, {
+        method: 'GET',
+        headers: {
+          Accept: 'text/event-stream',
+        },
+      });
+      expect(fetchClient).toHaveBeenNthCalledWith(2, requestURL, {
+        method: 'GET',
+        headers: {
+          Accept: 'text/event-stream',
+          'Last-Event-ID': '2',
+        },
+      });
+    });
+
+    it("shouldn't reconnect if the option is disabled", async () => {
+      // Given
+      const requestResponse = createStreamResponse(['data: only\n\n']);
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      result = await readAll(sut.streamEvents(requestURL, { reconnect: false }));
+      // Then
+      expect(result).toEqual([{ event: 'message', data: 'only', id: null }]);
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject the iterator when the signal gets aborted', async () => {
+      // Given
+      const requestResponse = createStreamResponse(['data: one\n\ndata: two\n\n']);
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const controller = new AbortController();
+      let sut = null;
+      let iterator = null;
+      let first = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      iterator = sut.streamEvents(requestURL, { signal: controller.signal });
+      first = await iterator.next();
+      controller.abort();
+      result = await iterator.next().catch((error) => error);
+      // Then
+      expect(first.value.data).toBe('one');
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.code).toBe('aborted');
+    });
+
+    it('should reject the events iterator when the signal gets aborted during a read', async () => {
+      // Given
+      const requestResponse = createStreamResponse(['data: one\n\n']);
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const controller = new AbortController();
+      let sut = null;
+      let iterator = null;
+      let first = null;
+      let pending = null;
+      let result = null;
+      let afterAbort = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      iterator = sut.streamEvents(requestURL, { signal: controller.signal });
+      first = await iterator.next();
+      requestResponse.reader.read.mockImplementation(() => new Promise(() => {}));
+      pending = iterator.next();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      controller.abort();
+      result = await pending.catch((error) => error);
+      afterAbort = await iterator.next().catch((error) => error);
+      // Then
+      expect(first.value.data).toBe('one');
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.code).toBe('aborted');
+      expect(result.url).toBe(requestURL);
+      expect(requestResponse.reader.cancel).toHaveBeenCalledTimes(1);
+      expect(afterAbort.code).toBe('aborted');
+      expect(fetchClient).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject the records iterator when the signal gets aborted during a read', async () => {
+      // Given
+      const requestResponse = createStreamResponse(['{"id":1}\n']);
+      const fetchClient = jest.fn(() => Promise.resolve(requestResponse));
+      const controller = new AbortController();
+      let sut = null;
+      let iterator = null;
+      let first = null;
+      let pending = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fetchClient);
+      iterator = sut.streamNDJSON(requestURL, { signal: controller.signal });
+      first = await iterator.next();
+      requestResponse.reader.read.mockImplementation(() => new Promise(() => {}));
+      pending = iterator.next();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      controller.abort();
+      result = await pending.catch((error) => error);
+      // Then
+      expect(first).toEqual({ done: false, value: { id: 1 } });
+      expect(result).toBeInstanceOf(APIClientError);
+      expect(result.code).toBe('aborted');
+      expect(requestResponse.reader.cancel).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('fake fetch client', () => {
+    const requestURL = 'http://example.com/logs';
+    const originalTextEncoder = global.TextEncoder;
+    const originalTextDecoder = global.TextDecoder;
+
+    beforeEach(() => {
+      global.TextEncoder = util.TextEncoder;
+      global.TextDecoder = util.TextDecoder;
+    });
+
+    afterEach(() => {
+      global.TextEncoder = originalTextEncoder;
+      global.TextDecoder = originalTextDecoder;
+    });
+
+    it('should decode binary responses', async () => {
+      // Given
+      const fakeFetch = new APIClientFakeFetch();
+      fakeFetch.on('get', requestURL, { body: new Uint8Array([1, 2, 3]) });
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fakeFetch.fetch);
+      result = await sut.get(requestURL, { responseType: 'arrayBuffer' });
+      // Then
+      expect(Array.from(new Uint8Array(result))).toEqual([1, 2, 3]);
+    });
+
+    it('should stream the records of a response', async () => {
+      // Given
+      const fakeFetch = new APIClientFakeFetch();
+      fakeFetch.on('get', requestURL, { body: '{"id":1}\n{"id":2}\n' });
+      let sut = null;
+      let iterator = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fakeFetch.fetch);
+      iterator = sut.streamNDJSON(requestURL);
+      result = [await iterator.next(), await iterator.next(), await iterator.next()];
+      // Then
+      expect(result).toEqual([
+        { done: false, value: { id: 1 } },
+        { done: false, value: { id: 2 } },
+        { done: true, value: undefined },
+      ]);
+    });
+
+    it('should report the download progress', async () => {
+      // Given
+      const body = {
+        message: 'hello-world',
+      };
+      const fakeFetch = new APIClientFakeFetch();
+      fakeFetch.on('get', requestURL, {
+        headers: {
+          'Content-Length': `${JSON.stringify(body).length}`,
+        },
+        body,
+      });
+      const onDownloadProgress = jest.fn();
+      let sut = null;
+      let result = null;
+      // When
+      sut = new APIClient('', '', fakeFetch.fetch);
+      result = await sut.get(requestURL, { onDownloadProgress });
+      // Then
+      expect(result).toEqual(body);
+      expect(onDownloadProgress).toHaveBeenCalledTimes(3);
+      expect(onDownloadProgress).toHaveBeenLastCalledWith({
+        loaded: JSON.stringify(body).length,
+        total: JSON.stringify(body).length,
+        progress: 1,
+      });
+    });
+  });
 });
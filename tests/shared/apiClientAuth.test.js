@@ -0,0 +1,197 @@
+jest.unmock('../../shared/apiClientAuth');
+
+const util = require('util');
+const { apiKeyAuth, basicAuth, bearerAuth } = require('../../shared/apiClientAuth');
+
+describe('APIClientAuth', () => {
+  describe('bearerAuth', () => {
+    it('should add a bearer token to a request', async () => {
+      // Given
+      const token = 'some-token';
+      const request = {
+        url: 'http://example.com',
+        method: 'GET',
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = bearerAuth(token);
+      result = await sut(request);
+      // Then
+      expect(result).toEqual({
+        ...request,
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+      expect(request).toEqual({
+        url: 'http://example.com',
+        method: 'GET',
+      });
+    });
+
+    it('should get the token from a function', async () => {
+      // Given
+      const token = 'some-token';
+      const getToken = jest.fn(() => Promise.resolve(token));
+      const request = {
+        url: 'http://example.com',
+        method: 'GET',
+        headers: {
+          'X-Custom': 'value',
+        },
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = bearerAuth(getToken);
+      result = await sut(request);
+      // Then
+      expect(result).toEqual({
+        ...request,
+        headers: {
+          'X-Custom': 'value',
+          Authorization: `Bearer ${token}`,
+        },
+      });
+      expect(getToken).toHaveBeenCalledTimes(1);
+    });
+
+    it("shouldn't modify a request if there's no token", async () => {
+      // Given
+      const request = {
+        url: 'http://example.com',
+        method: 'GET',
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = bearerAuth(() => '');
+      result = await sut(request);
+      // Then
+      expect(result).toBe(request);
+    });
+  });
+
+  describe('basicAuth', () => {
+    it('should add a username and a password to a request', async () => {
+      // Given
+      const username = 'rosario';
+      const password = 'pásswörd';
+      const request = {
+        url: 'http://example.com',
+        method: 'GET',
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = basicAuth(username, () => Promise.resolve(password));
+      result = await sut(request);
+      // Then
+      expect(result).toEqual({
+        ...request,
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString(
+            'base64',
+          )}`,
+        },
+      });
+    });
+
+    it('should encode the credentials without Buffer', async () => {
+      // Given
+      const { Buffer, TextEncoder } = global;
+      const username = 'rosario';
+      const password = 'pásswörd';
+      const request = {
+        url: 'http://example.com',
+        method: 'GET',
+      };
+      const expected = Buffer.from(`${username}:${password}`).toString('base64');
+      let sut = null;
+      let result = null;
+      // When
+      delete global.Buffer;
+      global.TextEncoder = util.TextEncoder;
+      sut = basicAuth(username, password);
+      try {
+        result = await sut(request);
+      } finally {
+        global.Buffer = Buffer;
+        global.TextEncoder = TextEncoder;
+      }
+      // Then
+      expect(result).toEqual({
+        ...request,
+        headers: {
+          Authorization: `Basic ${expected}`,
+        },
+      });
+    });
+  });
+
+  describe('apiKeyAuth', () => {
+    it('should add an API key to the headers of a request', async () => {
+      // Given
+      const key = 'some-key';
+      const request = {
+        url: 'http://example.com',
+        method: 'GET',
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = apiKeyAuth(key);
+      result = await sut(request);
+      // Then
+      expect(result).toEqual({
+        ...request,
+        headers: {
+          'X-API-Key': key,
+        },
+      });
+    });
+
+    it('should add an API key with a custom header name', async () => {
+      // Given
+      const key = 'some-key';
+      const name = 'api-token';
+      const request = {
+        url: 'http://example.com',
+        method: 'GET',
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = apiKeyAuth(key, { name });
+      result = await sut(request);
+      // Then
+      expect(result).toEqual({
+        ...request,
+        headers: {
+          [name]: key,
+        },
+      });
+    });
+
+    it('should add an API key to the query string of a request', async () => {
+      // Given
+      const key = 'some key';
+      const name = 'apiKey';
+      const request = {
+        url: 'http://example.com/users?page=2',
+        method: 'GET',
+      };
+      let sut = null;
+      let result = null;
+      // When
+      sut = apiKeyAuth(key, { name, location: 'query' });
+      result = await sut(request);
+      // Then
+      expect(result).toEqual({
+        ...request,
+        url: 'http://example.com/users?page=2&apiKey=some+key',
+      });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+jest.unmock('../../shared/apiClientCircuitBreaker');
+
+const APIClientCircuitBreaker = require('../../shared/apiClientCircuitBreaker');
+
+describe('APIClientCircuitBreaker', () => {
+  const host = 'api.example.com';
+  /**
+   * Creates a task that resolves with a response with a specific status.
+   *
+   * @param {number} status  The status for the response.
+   * @returns {Function}
+   */
+  const createTask = (status) => jest.fn(() => Promise.resolve({ status }));
+  /**
+   * Creates a task that rejects with a specific error.
+   *
+   * @param {Error} error  The error for the task.
+   * @returns {Function}
+   */
+  const createFailingTask = (error) => jest.fn(() => Promise.reject(error));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should be instantiated with the default options', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new APIClientCircuitBreaker();
+    // Then
+    expect(sut).toBeInstanceOf(APIClientCircuitBreaker);
+    expect(sut.options).toEqual({
+      threshold: 5,
+      cooldown: 30000,
+      halfOpenRequests: 1,
+      scope: 'host',
+      statuses: [500, 502, 503, 504],
+    });
+    expect(sut.states).toEqual({});
+    expect(sut.getState(host)).toEqual({
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      retryAt: null,
+    });
+  });
+
+  it('should run the tasks while the circuit is closed', async () => {
+    // Given
+    const response = { status: 200 };
+    const fn = jest.fn(() => Promise.resolve(response));
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientCircuitBreaker();
+    result = await sut.execute(fn, { host });
+    // Then
+    expect(result).toBe(response);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(sut.states).toEqual({
+      [host]: {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        retryAt: null,
+      },
+    });
+  });
+
+  it('should open the circuit when the failures reach the threshold', async () => {
+    // Given
+    const now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const error = new Error('Network error');
+    const fn = createTask(200);
+    const circuitError = new Error('Open circuit');
+    const createError = jest.fn(() => circuitError);
+    let sut = null;
+    let results = null;
+    let result = null;
+    // When
+    sut = new APIClientCircuitBreaker({ threshold: 3, cooldown: 500 });
+    results = [
+      await sut.execute(createTask(503), { host }),
+      await sut.execute(createFailingTask(error), { host }).catch((reason) => reason),
+      await sut.execute(createTask(500), { host }),
+    ];
+    result = await sut.execute(fn, { host, createError }).catch((reason) => reason);
+    // Then
+    expect(results).toEqual([{ status: 503 }, error, { status: 500 }]);
+    expect(result).toBe(circuitError);
+    expect(fn).toHaveBeenCalledTimes(0);
+    expect(createError).toHaveBeenCalledTimes(1);
+    expect(createError).toHaveBeenCalledWith(host, {
+      state: 'open',
+      failures: 3,
+      openedAt: now,
+      retryAt: now + 500,
+    });
+    expect(sut.getState(host).state).toBe('open');
+  });
+
+  it('should only count consecutive failures', async () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new APIClientCircuitBreaker({ threshold: 2 });
+    await sut.execute(createTask(503), { host });
+    await sut.execute(createTask(404), { host });
+    await sut.execute(createTask(503), { host });
+    // Then
+    expect(sut.getState(host)).toEqual({
+      state: 'closed',
+      failures: 1,
+      openedAt: null,
+      retryAt: null,
+    });
+  });
+
+  it('should close the circuit if a request succeeds after the cool-down', async () => {
+    // Given
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    let resolveTrial = null;
+    const trial = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          resolveTrial = resolve;
+        }),
+    );
+    const fn = createTask(200);
+    let sut = null;
+    let trialPromise = null;
+    let result = null;
+    // When
+    sut = new APIClientCircuitBreaker({ threshold: 1, cooldown: 500 });
+    await sut.execute(createTask(503), { host });
+    now += 500;
+    trialPromise = sut.execute(trial, { host });
+    await Promise.resolve();
+    result = await sut.execute(fn, { host }).catch((reason) => reason);
+    // Then
+    expect(sut.getState(host).state).toBe('half-open');
+    expect(result).toBeInstanceOf(Error);
+    expect(result.message).toBe(`The circuit for ${host} is open`);
+    expect(fn).toHaveBeenCalledTimes(0);
+    resolveTrial({ status: 200 });
+    await trialPromise;
+    expect(sut.getState(host).state).toBe('closed');
+  });
+
+  it('should open the circuit again if a request fails after the cool-down', async () => {
+    // Given
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    let sut = null;
+    // When
+    sut = new APIClientCircuitBreaker({ threshold: 2, cooldown: 500 });
+    await sut.execute(createTask(503), { host });
+    await sut.execute(createTask(503), { host });
+    now += 500;
+    await sut.execute(createTask(503), { host });
+    // Then
+    expect(sut.getState(host)).toEqual({
+      state: 'open',
+      failures: 3,
+      openedAt: now,
+      retryAt: now + 500,
+    });
+  });
+
+  it("shouldn't count aborted requests", async () => {
+    // Given
+    const error = new Error('Aborted');
+    error.code = 'aborted';
+    let sut = null;
+    // When
+    sut = new APIClientCircuitBreaker({ threshold: 1 });
+    await sut.execute(createFailingTask(error), { host }).catch(() => {});
+    // Then
+    expect(sut.getState(host).state).toBe('closed');
+  });
+
+  it('should use the endpoints as keys', async () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new APIClientCircuitBreaker({ threshold: 1, scope: 'endpoint' });
+    await sut.execute(createTask(503), { host, endpoint: 'users.list' });
+    await sut.execute(createTask(200), { host, endpoint: 'users.get' });
+    await sut.execute(createTask(200), { host });
+    // Then
+    expect(Object.keys(sut.states)).toEqual(['users.list', 'users.get', host]);
+    expect(sut.getState('users.list').state).toBe('open');
+    expect(sut.getState('users.get').state).toBe('closed');
+  });
+
+  it('should reset the circuits', async () => {
+    // Given
+    const otherHost = 'other.example.com';
+    let sut = null;
+    let afterOne = null;
+    // When
+    sut = new APIClientCircuitBreaker({ threshold: 1 });
+    await sut.execute(createTask(503), { host });
+    await sut.execute(createTask(503), { host: otherHost });
+    sut.reset(host);
+    afterOne = sut.states;
+    sut.reset();
+    // Then
+    expect(Object.keys(afterOne)).toEqual([otherHost]);
+    expect(sut.states).toEqual({});
+  });
+});
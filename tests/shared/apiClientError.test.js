@@ -0,0 +1,87 @@
+jest.unmock('../../shared/apiClientError');
+
+const APIClientError = require('../../shared/apiClientError');
+
+describe('APIClientError', () => {
+  it('should be instantiated with a message and a code', () => {
+    // Given
+    const message = 'Something went terribly wrong';
+    const code = 'network_error';
+    let sut = null;
+    // When
+    sut = new APIClientError(message, code);
+    // Then
+    expect(sut).toBeInstanceOf(APIClientError);
+    expect(sut).toBeInstanceOf(Error);
+    expect(sut.name).toBe('APIClientError');
+    expect(sut.message).toBe(message);
+    expect(sut.code).toBe(code);
+    expect(sut.status).toBeNull();
+    expect(sut.body).toBeNull();
+    expect(sut.headers).toEqual({});
+    expect(sut.url).toBe('');
+    expect(sut.method).toBe('');
+    expect(sut.cause).toBeNull();
+    expect(sut.errors).toEqual([]);
+    expect(sut.idempotencyKey).toBeNull();
+    expect(sut.isClientError).toBe(false);
+    expect(sut.isServerError).toBe(false);
+  });
+
+  it('should be instantiated with the information of the request and response', () => {
+    // Given
+    const message = 'Something went terribly wrong';
+    const code = 'client_error';
+    const details = {
+      status: 422,
+      body: {
+        errors: {
+          name: 'Required',
+        },
+      },
+      headers: {
+        'x-request-id': 'Rosario',
+      },
+      url: 'http://example.com/users',
+      method: 'POST',
+      cause: new Error('Original error'),
+      idempotencyKey: 'order-5',
+    };
+    let sut = null;
+    // When
+    sut = new APIClientError(message, code, details);
+    // Then
+    expect(sut.code).toBe(code);
+    expect(sut.status).toBe(details.status);
+    expect(sut.body).toBe(details.body);
+    expect(sut.headers).toEqual(details.headers);
+    expect(sut.url).toBe(details.url);
+    expect(sut.method).toBe(details.method);
+    expect(sut.cause).toBe(details.cause);
+    expect(sut.idempotencyKey).toBe(details.idempotencyKey);
+    expect(sut.isClientError).toBe(true);
+    expect(sut.isServerError).toBe(false);
+  });
+
+  it('should include the errors of a GraphQL response', () => {
+    // Given
+    const errors = [{ message: 'Unknown field' }];
+    let sut = null;
+    // When
+    sut = new APIClientError('GraphQL error', 'graphql_error', { status: 200, errors });
+    // Then
+    expect(sut.code).toBe('graphql_error');
+    expect(sut.errors).toEqual(errors);
+    expect(sut.errors).not.toBe(errors);
+  });
+
+  it('should identify server errors', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new APIClientError('Server error', 'server_error', { status: 500 });
+    // Then
+    expect(sut.isClientError).toBe(false);
+    expect(sut.isServerError).toBe(true);
+  });
+});
@@ -0,0 +1,327 @@
+jest.unmock('../../shared/apiClientFakeFetch');
+
+const util = require('util');
+const APIClientFakeFetch = require('../../shared/apiClientFakeFetch');
+
+describe('APIClientFakeFetch', () => {
+  const { AbortController } = global;
+  const requestURL = 'http://example.com/users/5?fields=name';
+  const originalTextEncoder = global.TextEncoder;
+  const originalTextDecoder = global.TextDecoder;
+
+  beforeEach(() => {
+    global.TextEncoder = util.TextEncoder;
+    global.TextDecoder = util.TextDecoder;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    global.TextEncoder = originalTextEncoder;
+    global.TextDecoder = originalTextDecoder;
+  });
+
+  it('should respond using a route', async () => {
+    // Given
+    const body = {
+      name: 'Rosario',
+    };
+    let sut = null;
+    let response = null;
+    let result = null;
+    // When
+    sut = new APIClientFakeFetch();
+    sut.on('get', 'http://example.com/users/*', { body });
+    response = await sut.fetch(requestURL);
+    result = await response.json();
+    // Then
+    expect(response.status).toBe(200);
+    expect(response.ok).toBe(true);
+    expect(response.url).toBe(requestURL);
+    expect(response.headers).toEqual({
+      'Content-Type': 'application/json',
+    });
+    expect(result).toEqual(body);
+    expect(sut.mode).toBe('routes');
+    expect(sut.calls).toEqual([
+      {
+        url: requestURL,
+        method: 'GET',
+        headers: {},
+        body: null,
+      },
+    ]);
+  });
+
+  it('should match relative patterns, regular expressions and any method', async () => {
+    // Given
+    const handler = jest.fn(() => ({ status: 201, body: 'created' }));
+    let sut = null;
+    let responseOne = null;
+    let responseTwo = null;
+    let responseThree = null;
+    // When
+    sut = new APIClientFakeFetch();
+    sut
+      .on('post', /\/users\/(\d+)$/, handler)
+      .on('get', '/users/5?fields=*', { body: 'relative' })
+      .on('*', '*', { status: 404 });
+    responseOne = await sut.fetch('http://example.com/users/7', {
+      method: 'POST',
+      body: 'data',
+    });
+    responseTwo = await sut.fetch(requestURL);
+    responseThree = await sut.fetch('http://example.com/other', { method: 'DELETE' });
+    // Then
+    expect(responseOne.status).toBe(201);
+    expect(await responseOne.text()).toBe('created');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(
+      {
+        url: 'http://example.com/users/7',
+        method: 'POST',
+        headers: {},
+        body: 'data',
+      },
+      expect.arrayContaining(['/users/7', '7']),
+    );
+    expect(await responseTwo.text()).toBe('relative');
+    expect(responseThree.status).toBe(404);
+    expect(responseThree.ok).toBe(false);
+    expect(await responseThree.text()).toBe('');
+  });
+
+  it('should respond with binary bodies', async () => {
+    // Given
+    const body = new Uint8Array([104, 105, 33]);
+    let sut = null;
+    let response = null;
+    let arrayBuffer = null;
+    let blob = null;
+    let text = null;
+    // When
+    sut = new APIClientFakeFetch();
+    sut.on('get', requestURL, { body });
+    response = await sut.fetch(requestURL);
+    arrayBuffer = await response.arrayBuffer();
+    blob = await response.blob();
+    text = await response.text();
+    // Then
+    expect(response.headers).toEqual({
+      'Content-Type': 'application/octet-stream',
+    });
+    expect(arrayBuffer).toBeInstanceOf(ArrayBuffer);
+    expect(Array.from(new Uint8Array(arrayBuffer))).toEqual([104, 105, 33]);
+    expect(blob).toBeInstanceOf(global.Blob);
+    expect(blob.size).toBe(body.byteLength);
+    expect(blob.type).toBe('application/octet-stream');
+    expect(text).toBe('hi!');
+  });
+
+  it('should allow reading the body as a stream', async () => {
+    // Given
+    const body = {
+      name: 'Rosario',
+    };
+    let sut = null;
+    let response = null;
+    let emptyResponse = null;
+    let reader = null;
+    let first = null;
+    let second = null;
+    // When
+    sut = new APIClientFakeFetch();
+    sut.on('get', requestURL, { body }).on('delete', requestURL, { status: 204 });
+    response = await sut.fetch(requestURL);
+    emptyResponse = await sut.fetch(requestURL, { method: 'DELETE' });
+    reader = response.body.getReader();
+    first = await reader.read();
+    second = await reader.read();
+    // Then
+    expect(first.done).toBe(false);
+    expect(new util.TextDecoder().decode(first.value)).toBe(JSON.stringify(body));
+    expect(second).toEqual({ done: true, value: undefined });
+    expect((await response.arrayBuffer()).byteLength).toBe(first.value.byteLength);
+    expect(emptyResponse.body).toBeNull();
+  });
+
+  it('should limit how many times a route can be used', async () => {
+    // Given
+    let sut = null;
+    let responseOne = null;
+    let responseTwo = null;
+    // When
+    sut = new APIClientFakeFetch();
+    sut
+      .on('get', requestURL, { status: 503 }, { times: 1 })
+      .on('get', requestURL, { body: 'ok' });
+    responseOne = await sut.fetch(requestURL);
+    responseTwo = await sut.fetch(requestURL);
+    // Then
+    expect(responseOne.status).toBe(503);
+    expect(responseTwo.status).toBe(200);
+  });
+
+  it('should reject requests with errors', async () => {
+    // Given
+    const error = new Error('Network error');
+    const handlerError = new Error('Handler error');
+    let sut = null;
+    let resultOne = null;
+    let resultTwo = null;
+    let resultThree = null;
+    // When
+    sut = new APIClientFakeFetch();
+    sut.on('get', requestURL, error).on('post', requestURL, () => {
+      throw handlerError;
+    });
+    resultOne = await sut.fetch(requestURL).catch((reason) => reason);
+    resultTwo = await sut.fetch(requestURL, { method: 'post' }).catch((reason) => reason);
+    resultThree = await sut.fetch('http://example.com').catch((reason) => reason);
+    // Then
+    expect(resultOne).toBe(error);
+    expect(resultTwo).toBe(handlerError);
+    expect(resultThree).toBeInstanceOf(Error);
+    expect(resultThree.message).toBe('No route for GET http://example.com');
+  });
+
+  it('should wait before responding', async () => {
+    // Given
+    const delay = 150;
+    jest.spyOn(global, 'setTimeout');
+    let sut = null;
+    let response = null;
+    // When
+    sut = new APIClientFakeFetch({ delay: 10 });
+    sut.on('get', requestURL, {}, { delay });
+    response = await sut.fetch(requestURL);
+    // Then
+    expect(response.status).toBe(200);
+    expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), delay);
+  });
+
+  it('should reject a delayed request when its signal gets aborted', async () => {
+    // Given
+    const controller = new AbortController();
+    let sut = null;
+    let promise = null;
+    let result = null;
+    // When
+    sut = new APIClientFakeFetch({ delay: 1000 });
+    sut.on('get', requestURL, {});
+    promise = sut.fetch(requestURL, { signal: controller.signal });
+    await Promise.resolve();
+    controller.abort();
+    result = await promise.catch((error) => error);
+    // Then
+    expect(result).toBeInstanceOf(Error);
+    expect(result.name).toBe('AbortError');
+  });
+
+  it('should record the interactions of a real fetch client', async () => {
+    // Given
+    const body = {
+      name: 'Rosario',
+    };
+    const fetchClient = jest.fn(() =>
+      Promise.resolve({
+        status: 200,
+        url: requestURL,
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+        },
+        text: jest.fn(() => Promise.resolve(JSON.stringify(body))),
+      }),
+    );
+    const options = {
+      method: 'PUT',
+      body: '{"name":"Rosario"}',
+    };
+    let sut = null;
+    let response = null;
+    let result = null;
+    // When
+    sut = new APIClientFakeFetch({ fetchClient });
+    response = await sut.fetch(requestURL, options);
+    result = await response.json();
+    // Then
+    expect(result).toEqual(body);
+    expect(sut.mode).toBe('record');
+    expect(fetchClient).toHaveBeenCalledTimes(1);
+    expect(fetchClient).toHaveBeenCalledWith(requestURL, options);
+    expect(sut.recordings).toEqual([
+      {
+        request: {
+          method: 'PUT',
+          url: requestURL,
+          body: options.body,
+        },
+        response: {
+          status: 200,
+          headers: {
+            'content-type': 'application/json; charset=utf-8',
+          },
+          body,
+        },
+      },
+    ]);
+  });
+
+  it('should replay recorded interactions in order', async () => {
+    // Given
+    const recordings = [
+      {
+        request: { method: 'GET', url: requestURL, body: null },
+        response: { status: 200, body: { version: 1 } },
+      },
+      {
+        request: { method: 'POST', url: requestURL, body: 'one' },
+        response: { status: 201, body: 'created one' },
+      },
+      {
+        request: { method: 'GET', url: requestURL, body: null },
+        response: { status: 200, body: { version: 2 } },
+      },
+    ];
+    let sut = null;
+    let results = null;
+    let missing = null;
+    // When
+    sut = new APIClientFakeFetch({ recordings });
+    results = await Promise.all(
+      [
+        sut.fetch(requestURL),
+        sut.fetch(requestURL, { method: 'POST', body: 'one' }),
+        sut.fetch(requestURL),
+        sut.fetch(requestURL),
+      ].map((promise) => promise.then((response) => response.text())),
+    );
+    missing = await sut
+      .fetch(requestURL, { method: 'POST', body: 'two' })
+      .catch((error) => error);
+    // Then
+    expect(sut.mode).toBe('replay');
+    expect(results).toEqual([
+      '{"version":1}',
+      'created one',
+      '{"version":2}',
+      '{"version":2}',
+    ]);
+    expect(missing).toBeInstanceOf(Error);
+    expect(missing.message).toBe(`No recording for POST ${requestURL}`);
+  });
+
+  it('should remove the routes and the calls when reset', async () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientFakeFetch();
+    sut.on('get', '*', {});
+    await sut.fetch(requestURL);
+    sut.reset();
+    result = await sut.fetch(requestURL).catch((error) => error);
+    // Then
+    expect(result).toBeInstanceOf(Error);
+    expect(sut.calls.length).toBe(1);
+  });
+});
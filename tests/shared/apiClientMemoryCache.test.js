@@ -0,0 +1,76 @@
+jest.unmock('../../shared/apiClientMemoryCache');
+
+const APIClientMemoryCache = require('../../shared/apiClientMemoryCache');
+
+describe('APIClientMemoryCache', () => {
+  it('should be instantiated without a limit of entries', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new APIClientMemoryCache();
+    // Then
+    expect(sut).toBeInstanceOf(APIClientMemoryCache);
+    expect(sut.maxEntries).toBe(0);
+    expect(sut.size).toBe(0);
+  });
+
+  it('should save, get and delete entries', () => {
+    // Given
+    const key = 'GET http://example.com';
+    const entry = {
+      body: {
+        message: 'hello-world',
+      },
+    };
+    let sut = null;
+    let savedEntry = null;
+    let deleted = null;
+    let deletedAgain = null;
+    let entryAfterDelete = null;
+    // When
+    sut = new APIClientMemoryCache();
+    sut.set(key, entry);
+    savedEntry = sut.get(key);
+    deleted = sut.delete(key);
+    deletedAgain = sut.delete(key);
+    entryAfterDelete = sut.get(key);
+    // Then
+    expect(savedEntry).toBe(entry);
+    expect(deleted).toBe(true);
+    expect(deletedAgain).toBe(false);
+    expect(entryAfterDelete).toBeNull();
+  });
+
+  it('should remove all the entries', () => {
+    // Given
+    let sut = null;
+    let sizeBeforeClear = null;
+    // When
+    sut = new APIClientMemoryCache();
+    sut.set('one', {});
+    sut.set('two', {});
+    sizeBeforeClear = sut.size;
+    sut.clear();
+    // Then
+    expect(sizeBeforeClear).toBe(2);
+    expect(sut.size).toBe(0);
+  });
+
+  it('should remove the oldest entries when the limit is reached', () => {
+    // Given
+    const maxEntries = 2;
+    let sut = null;
+    // When
+    sut = new APIClientMemoryCache(maxEntries);
+    sut.set('one', { one: true });
+    sut.set('two', { two: true });
+    sut.set('one', { one: false });
+    sut.set('three', { three: true });
+    // Then
+    expect(sut.maxEntries).toBe(maxEntries);
+    expect(sut.size).toBe(maxEntries);
+    expect(sut.get('two')).toBeNull();
+    expect(sut.get('one')).toEqual({ one: false });
+    expect(sut.get('three')).toEqual({ three: true });
+  });
+});
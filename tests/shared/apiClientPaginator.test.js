@@ -0,0 +1,275 @@
+jest.unmock('../../shared/objectUtils');
+jest.unmock('../../shared/apiClientPaginator');
+
+const APIClientPaginator = require('../../shared/apiClientPaginator');
+
+describe('APIClientPaginator', () => {
+  /**
+   * Creates a fake client that resolves each call with the next response on a list.
+   *
+   * @param {Object[]} responses  The list of responses, as the client would resolve them
+   *                              with `fullResponse`.
+   * @returns {Object}
+   */
+  const createClient = (responses) => {
+    const queue = responses.slice();
+    /**
+     * Resolves with the next response.
+     *
+     * @returns {Promise<Object>}
+     */
+    const getResponse = () => Promise.resolve({ headers: {}, ...queue.shift() });
+    return {
+      call: jest.fn(getResponse),
+      get: jest.fn(getResponse),
+    };
+  };
+
+  it('should iterate the items of an endpoint using page numbers', async () => {
+    // Given
+    const client = createClient([{ data: [1, 2] }, { data: [3, 4] }, { data: [5] }]);
+    const name = 'users';
+    let sut = null;
+    const result = [];
+    // When
+    sut = new APIClientPaginator(client, name, { status: 'active' }, { limit: 2 });
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const item of sut) {
+      result.push(item);
+    }
+    // Then
+    expect(result).toEqual([1, 2, 3, 4, 5]);
+    expect(sut.done).toBe(true);
+    expect(sut.pages).toBe(3);
+    expect(client.call).toHaveBeenCalledTimes(3);
+    expect(client.call).toHaveBeenNthCalledWith(
+      1,
+      name,
+      { status: 'active', page: 1, limit: 2 },
+      null,
+      { fullResponse: true },
+    );
+    expect(client.call).toHaveBeenNthCalledWith(
+      3,
+      name,
+      { status: 'active', page: 3, limit: 2 },
+      null,
+      { fullResponse: true },
+    );
+  });
+
+  it('should stop when a page is empty', async () => {
+    // Given
+    const client = createClient([{ data: { users: [1, 2] } }, { data: { users: [] } }]);
+    const name = 'users';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientPaginator(
+      client,
+      name,
+      { page: 5 },
+      {
+        pageParam: 'p',
+        itemsPath: 'users',
+        request: { headers: { 'X-Custom': 'value' } },
+      },
+    );
+    result = await sut.all();
+    // Then
+    expect(result).toEqual([1, 2]);
+    expect(client.call).toHaveBeenCalledTimes(2);
+    expect(client.call).toHaveBeenNthCalledWith(1, name, { page: 5, p: 1 }, null, {
+      headers: { 'X-Custom': 'value' },
+      fullResponse: true,
+    });
+    expect(client.call).toHaveBeenNthCalledWith(2, name, { page: 5, p: 2 }, null, {
+      headers: { 'X-Custom': 'value' },
+      fullResponse: true,
+    });
+  });
+
+  it('should iterate the items of an endpoint using an offset', async () => {
+    // Given
+    const client = createClient([{ data: [1, 2, 3] }, { data: [4] }]);
+    const name = 'users';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientPaginator(
+      client,
+      name,
+      {},
+      { strategy: 'offset', limit: 3, limitParam: 'count' },
+    );
+    result = await sut.all();
+    // Then
+    expect(result).toEqual([1, 2, 3, 4]);
+    expect(client.call).toHaveBeenCalledTimes(2);
+    expect(client.call).toHaveBeenNthCalledWith(2, name, { offset: 3, count: 3 }, null, {
+      fullResponse: true,
+    });
+  });
+
+  it('should iterate the items of an endpoint using a cursor', async () => {
+    // Given
+    const client = createClient([
+      { data: { items: [1], meta: { next: 'abc' } } },
+      { data: { items: [2], meta: { next: 'def' } } },
+      { data: { items: [3], meta: { next: null } } },
+    ]);
+    const name = 'users';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientPaginator(
+      client,
+      name,
+      {},
+      {
+        strategy: 'cursor',
+        itemsPath: 'items',
+        cursorPath: 'meta.next',
+        cursorParam: 'after',
+      },
+    );
+    result = await sut.all();
+    // Then
+    expect(result).toEqual([1, 2, 3]);
+    expect(client.call).toHaveBeenCalledTimes(3);
+    expect(client.call).toHaveBeenNthCalledWith(1, name, {}, null, {
+      fullResponse: true,
+    });
+    expect(client.call).toHaveBeenNthCalledWith(2, name, { after: 'abc' }, null, {
+      fullResponse: true,
+    });
+    expect(client.call).toHaveBeenNthCalledWith(3, name, { after: 'def' }, null, {
+      fullResponse: true,
+    });
+  });
+
+  it('should iterate the pages of an endpoint using the Link header', async () => {
+    // Given
+    const firstResponse = {
+      data: [1, 2],
+      url: 'http://example.com/users?page=1',
+      headers: {
+        link:
+          '<http://example.com/users?page=2>; rel="next", ' +
+          '<http://example.com/users?page=9>; rel="last"',
+      },
+    };
+    const secondResponse = {
+      data: [3, 4],
+      url: 'http://example.com/users?page=2',
+      headers: {
+        link: '</users?page=1>; rel="prev first", </users?page=3>; rel=next',
+      },
+    };
+    const thirdResponse = {
+      data: [5],
+      url: 'http://example.com/users?page=3',
+      headers: {
+        link: '</users?page=2>; rel="prev"',
+      },
+    };
+    const client = createClient([firstResponse, secondResponse, thirdResponse]);
+    const name = 'users';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientPaginator(client, name, {}, { strategy: 'link', mode: 'pages' });
+    result = await sut.all();
+    // Then
+    expect(result).toEqual([
+      { number: 1, items: [1, 2], response: firstResponse },
+      { number: 2, items: [3, 4], response: secondResponse },
+      { number: 3, items: [5], response: thirdResponse },
+    ]);
+    expect(client.call).toHaveBeenCalledTimes(1);
+    expect(client.call).toHaveBeenCalledWith(name, {}, null, { fullResponse: true });
+    expect(client.get).toHaveBeenCalledTimes(2);
+    expect(client.get).toHaveBeenNthCalledWith(1, 'http://example.com/users?page=2', {
+      fullResponse: true,
+    });
+    expect(client.get).toHaveBeenNthCalledWith(2, 'http://example.com/users?page=3', {
+      fullResponse: true,
+    });
+  });
+
+  it('should stop after the maximum number of pages', async () => {
+    // Given
+    const client = createClient([{ data: [1, 2] }, { data: [3, 4] }, { data: [5, 6] }]);
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientPaginator(client, 'users', {}, { maxPages: 2 });
+    result = await sut.all();
+    // Then
+    expect(result).toEqual([1, 2, 3, 4]);
+    expect(client.call).toHaveBeenCalledTimes(2);
+  });
+
+  it('should request the pages sequentially and only when needed', async () => {
+    // Given
+    const client = createClient([{ data: [1, 2] }, { data: [3] }, { data: [] }]);
+    let sut = null;
+    let results = null;
+    // When
+    sut = new APIClientPaginator(client, 'users');
+    results = await Promise.all([sut.next(), sut.next(), sut.next()]);
+    // Then
+    expect(results).toEqual([
+      { value: 1, done: false },
+      { value: 2, done: false },
+      { value: 3, done: false },
+    ]);
+    expect(client.call).toHaveBeenCalledTimes(2);
+    expect(sut.done).toBe(false);
+  });
+
+  it('should stop requesting pages when the loop is interrupted', async () => {
+    // Given
+    const client = createClient([{ data: [1, 2] }, { data: [3, 4] }]);
+    let sut = null;
+    const result = [];
+    // When
+    sut = new APIClientPaginator(client, 'users');
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const item of sut) {
+      result.push(item);
+      if (result.length === 1) {
+        break;
+      }
+    }
+    // Then
+    expect(result).toEqual([1]);
+    expect(sut.done).toBe(true);
+    expect(await sut.next()).toEqual({ value: undefined, done: true });
+    expect(client.call).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop and reject when a request fails', async () => {
+    // Given
+    const error = new Error('Something went wrong');
+    const client = {
+      call: jest.fn(() => Promise.reject(error)),
+    };
+    let sut = null;
+    // When/Then
+    expect.assertions(3);
+    sut = new APIClientPaginator(client, 'users');
+    return sut.next().catch((result) => {
+      expect(result).toBe(error);
+      expect(sut.done).toBe(true);
+      expect(client.call).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should throw an error with an invalid strategy', () => {
+    // Given/When/Then
+    expect(() => new APIClientPaginator({}, 'users', {}, { strategy: 'magic' })).toThrow(
+      /invalid pagination strategy/i,
+    );
+  });
+});
@@ -0,0 +1,271 @@
+jest.unmock('../../shared/apiClientScheduler');
+
+const APIClientScheduler = require('../../shared/apiClientScheduler');
+
+describe('APIClientScheduler', () => {
+  const { AbortController } = global;
+  /**
+   * Creates a task that won't finish until its `finish` method gets called.
+   *
+   * @param {*} [value]  The value the task will resolve with.
+   * @returns {Object}
+   */
+  const createTask = (value) => {
+    const task = {
+      fn: null,
+      finish: null,
+    };
+    task.fn = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          /**
+           * Resolves the task promise.
+           */
+          task.finish = () => {
+            resolve(value);
+          };
+        }),
+    );
+    return task;
+  };
+  /**
+   * Waits for the pending promises to be resolved.
+   *
+   * @returns {Promise}
+   */
+  const flush = () =>
+    new Promise((resolve) => {
+      setTimeout(resolve, 0);
+    });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run tasks right away when there are no limits', async () => {
+    // Given
+    const value = 'done';
+    const fn = jest.fn(() => Promise.resolve(value));
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientScheduler();
+    result = await sut.schedule(fn);
+    // Then
+    expect(result).toBe(value);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(sut.pending).toBe(0);
+    expect(sut.running).toBe(0);
+  });
+
+  it('should limit the number of tasks running at the same time', async () => {
+    // Given
+    const taskOne = createTask('one');
+    const taskTwo = createTask('two');
+    const taskThree = createTask('three');
+    let sut = null;
+    let promises = null;
+    let result = null;
+    // When
+    sut = new APIClientScheduler({ concurrency: 2 });
+    promises = [taskOne, taskTwo, taskThree].map((task) => sut.schedule(task.fn));
+    await flush();
+    // Then
+    expect(taskOne.fn).toHaveBeenCalledTimes(1);
+    expect(taskTwo.fn).toHaveBeenCalledTimes(1);
+    expect(taskThree.fn).toHaveBeenCalledTimes(0);
+    expect(sut.running).toBe(2);
+    expect(sut.pending).toBe(1);
+    taskOne.finish();
+    await flush();
+    expect(taskThree.fn).toHaveBeenCalledTimes(1);
+    taskTwo.finish();
+    taskThree.finish();
+    result = await Promise.all(promises);
+    expect(result).toEqual(['one', 'two', 'three']);
+    expect(sut.running).toBe(0);
+  });
+
+  it('should start the tasks with higher priority first', async () => {
+    // Given
+    const blocker = createTask();
+    const order = [];
+    /**
+     * Creates a task that saves its name on the list when it starts.
+     *
+     * @param {string} name  The name of the task.
+     * @returns {Function}
+     */
+    const createNamedTask = (name) =>
+      jest.fn(() => {
+        order.push(name);
+        return Promise.resolve(name);
+      });
+    let sut = null;
+    let promises = null;
+    // When
+    sut = new APIClientScheduler({ concurrency: 1 });
+    promises = [
+      sut.schedule(blocker.fn),
+      sut.schedule(createNamedTask('low')),
+      sut.schedule(createNamedTask('high-first'), { priority: 5 }),
+      sut.schedule(createNamedTask('high-second'), { priority: 5 }),
+      sut.schedule(createNamedTask('medium'), { priority: 1 }),
+    ];
+    await flush();
+    blocker.finish();
+    await Promise.all(promises);
+    // Then
+    expect(order).toEqual(['high-first', 'high-second', 'medium', 'low']);
+  });
+
+  it('should limit the number of tasks that start on an interval', async () => {
+    // Given
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const timers = [];
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn, delay) => {
+      timers.push({ fn, delay });
+      return timers.length;
+    });
+    jest.spyOn(global, 'clearTimeout').mockImplementation(() => {});
+    const fns = [1, 2, 3].map((value) => jest.fn(() => Promise.resolve(value)));
+    let sut = null;
+    let promises = null;
+    let result = null;
+    // When
+    sut = new APIClientScheduler({ rate: { limit: 2, interval: 100 } });
+    promises = fns.map((fn) => sut.schedule(fn));
+    // Then
+    expect(sut.pending).toBe(1);
+    expect(timers).toEqual([{ fn: expect.any(Function), delay: 50 }]);
+    now += 50;
+    timers[0].fn();
+    expect(sut.pending).toBe(0);
+    result = await Promise.all(promises);
+    expect(result).toEqual([1, 2, 3]);
+    fns.forEach((fn) => expect(fn).toHaveBeenCalledTimes(1));
+  });
+
+  it('should use the limits of the hosts and the endpoints', async () => {
+    // Given
+    const hostTaskOne = createTask();
+    const hostTaskTwo = createTask();
+    const endpointTaskOne = createTask();
+    const endpointTaskTwo = createTask();
+    const otherTask = createTask();
+    let sut = null;
+    // When
+    sut = new APIClientScheduler({
+      hosts: {
+        'api.example.com': { concurrency: 1 },
+      },
+      endpoints: {
+        'users.list': { concurrency: 1 },
+      },
+    });
+    sut.schedule(hostTaskOne.fn, { host: 'api.example.com' });
+    sut.schedule(hostTaskTwo.fn, { host: 'api.example.com' });
+    sut.schedule(endpointTaskOne.fn, { host: 'other.com', endpoint: 'users.list' });
+    sut.schedule(endpointTaskTwo.fn, { host: 'other.com', endpoint: 'users.list' });
+    sut.schedule(otherTask.fn, { host: 'other.com', endpoint: 'users.get' });
+    await flush();
+    // Then
+    expect(hostTaskOne.fn).toHaveBeenCalledTimes(1);
+    expect(hostTaskTwo.fn).toHaveBeenCalledTimes(0);
+    expect(endpointTaskOne.fn).toHaveBeenCalledTimes(1);
+    expect(endpointTaskTwo.fn).toHaveBeenCalledTimes(0);
+    expect(otherTask.fn).toHaveBeenCalledTimes(1);
+    expect(sut.running).toBe(3);
+    expect(sut.pending).toBe(2);
+    hostTaskOne.finish();
+    endpointTaskOne.finish();
+    await flush();
+    expect(hostTaskTwo.fn).toHaveBeenCalledTimes(1);
+    expect(endpointTaskTwo.fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should remove a task from the queue when its signal gets aborted', async () => {
+    // Given
+    const blocker = createTask();
+    const fn = jest.fn(() => Promise.resolve());
+    const error = new Error('aborted');
+    const createAbortError = jest.fn(() => error);
+    const controller = new AbortController();
+    let sut = null;
+    let promise = null;
+    let result = null;
+    // When
+    sut = new APIClientScheduler({ concurrency: 1 });
+    sut.schedule(blocker.fn);
+    promise = sut.schedule(fn, { signal: controller.signal, createAbortError });
+    controller.abort();
+    result = await promise.catch((reason) => reason);
+    blocker.finish();
+    await flush();
+    // Then
+    expect(result).toBe(error);
+    expect(createAbortError).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledTimes(0);
+    expect(sut.pending).toBe(0);
+  });
+
+  it('should reject a task if its signal was already aborted', async () => {
+    // Given
+    const fn = jest.fn(() => Promise.resolve());
+    const controller = new AbortController();
+    controller.abort();
+    let sut = null;
+    let result = null;
+    // When
+    sut = new APIClientScheduler();
+    result = await sut
+      .schedule(fn, { signal: controller.signal })
+      .catch((error) => error);
+    // Then
+    expect(result).toBeInstanceOf(Error);
+    expect(result.message).toBe('The task was aborted');
+    expect(fn).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reject all the queued tasks when cleared', async () => {
+    // Given
+    const blocker = createTask();
+    const fn = jest.fn(() => Promise.resolve());
+    const error = new Error('cleared');
+    let sut = null;
+    let promise = null;
+    let result = null;
+    // When
+    sut = new APIClientScheduler({ concurrency: 1 });
+    sut.schedule(blocker.fn);
+    promise = sut.schedule(fn);
+    sut.clear(error);
+    result = await promise.catch((reason) => reason);
+    // Then
+    expect(result).toBe(error);
+    expect(fn).toHaveBeenCalledTimes(0);
+    expect(sut.pending).toBe(0);
+    expect(sut.running).toBe(1);
+  });
+
+  it('should release the limits when a task fails', async () => {
+    // Given
+    const error = new Error('Something went wrong');
+    const failingFn = jest.fn(() => Promise.reject(error));
+    const fn = jest.fn(() => Promise.resolve('done'));
+    let sut = null;
+    let failingResult = null;
+    let result = null;
+    // When
+    sut = new APIClientScheduler({ concurrency: 1 });
+    [failingResult, result] = await Promise.all([
+      sut.schedule(failingFn).catch((reason) => reason),
+      sut.schedule(fn),
+    ]);
+    // Then
+    expect(failingResult).toBe(error);
+    expect(result).toBe('done');
+    expect(sut.running).toBe(0);
+  });
+});